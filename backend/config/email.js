@@ -1,8 +1,10 @@
 // Email configuration for Gmail SMTP
 module.exports = {
+  // Set EMAIL_SERVICE (e.g. 'gmail') to use a known provider instead of host/port
+  service: process.env.EMAIL_SERVICE,
   host: process.env.EMAIL_HOST || 'smtp.gmail.com',
   port: parseInt(process.env.EMAIL_PORT || '587', 10),
-  secure: false, // true for 465, false for other ports
+  secure: process.env.EMAIL_SECURE === 'true', // true for 465, false for other ports
   auth: {
     user: process.env.EMAIL_USER,
     pass: process.env.EMAIL_PASS,
@@ -40,5 +42,55 @@ module.exports.templates = {
       `,
       text: `Welcome to MeetCute81!\n\nThank you for signing up. Please verify your email address by visiting this URL:\n\n${verificationUrl}\n\nAfter verification, you'll be taken to set up your profile.\n\nIf you didn't create an account, you can safely ignore this email.`
     };
+  },
+  // `title` and `body` are plain text written by the app, never user input
+  notification: ({ title, body, url }) => {
+    return {
+      subject: title,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>${title}</h2>
+          <p>${body}</p>
+          <p style="text-align: center; margin: 30px 0;">
+            <a href="${url}"
+               style="background-color: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold;">
+              Open MeetCute81
+            </a>
+          </p>
+          <hr>
+          <p style="color: #666; font-size: 12px;">
+            You can choose which emails you get in your notification settings.
+          </p>
+        </div>
+      `,
+      text: `${title}\n\n${body}\n\n${url}\n\nYou can choose which emails you get in your notification settings.`
+    };
+  },
+  // `items` are app-written lines such as "3 new matches"
+  digest: ({ frequency, items, appUrl, unsubscribeUrl }) => {
+    const period = frequency === 'weekly' ? 'this week' : 'today';
+    return {
+      subject: `Your MeetCute81 activity ${period}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>Here's what you missed ${period}</h2>
+          <ul>
+            ${items.map(item => `<li>${item}</li>`).join('\n            ')}
+          </ul>
+          <p style="text-align: center; margin: 30px 0;">
+            <a href="${appUrl}"
+               style="background-color: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold;">
+              See what's new
+            </a>
+          </p>
+          <hr>
+          <p style="color: #666; font-size: 12px;">
+            You get this ${frequency} summary because you have unseen activity on MeetCute81.
+            <a href="${unsubscribeUrl}">Unsubscribe from these emails</a>.
+          </p>
+        </div>
+      `,
+      text: `Here's what you missed ${period}:\n\n${items.map(item => `- ${item}`).join('\n')}\n\n${appUrl}\n\nUnsubscribe from these emails: ${unsubscribeUrl}`
+    };
   }
 };
@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 
 module.exports = {
   NODE_ENV: process.env.NODE_ENV || 'development',
@@ -12,5 +13,15 @@ module.exports = {
   DB_PASSWORD: process.env.DB_PASSWORD || 'postgres',
   DB_PORT: process.env.DB_PORT || 5432,
 
-  FRONTEND_URL: process.env.FRONTEND_URL || 'http://localhost:5173'
+  FRONTEND_URL: process.env.FRONTEND_URL || 'http://localhost:5173',
+  // Public URL of this API, used for links that must hit the backend directly (e.g. email unsubscribe)
+  API_URL: process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`,
+
+  // How WebSocket events reach instances: 'memory' for a single process,
+  // 'postgres' (LISTEN/NOTIFY) when running more than one
+  WS_PUBSUB_ADAPTER: process.env.WS_PUBSUB_ADAPTER || 'memory',
+
+  // Where chat attachments are kept. Must not be under the public uploads directory.
+  ATTACHMENT_STORAGE: process.env.ATTACHMENT_STORAGE || 'local',
+  ATTACHMENT_DIR: process.env.ATTACHMENT_DIR || path.join(__dirname, '..', 'storage', 'attachments')
 };
\ No newline at end of file
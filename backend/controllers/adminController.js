@@ -3,6 +3,14 @@ const { insertAdminLog } = require('../utils/adminLogger');
 const PaymentMethod = require('../models/PaymentMethod');
 const Transaction = require('../models/Transaction'); // Added Transaction model import
 const WithdrawalRequest = require('../models/WithdrawalRequest'); // Added WithdrawalRequest model
+const AppSetting = require('../models/AppSetting');
+const Message = require('../models/Message');
+const MessageEdit = require('../models/MessageEdit');
+const MatchRankingService = require('../services/MatchRankingService');
+const NotificationService = require('../services/NotificationService');
+const ReportService = require('../services/ReportService');
+const BoostProduct = require('../models/BoostProduct');
+const { validateBoostProduct } = require('../utils/validation');
 
 exports.getDashboardStats = async (req, res) => {
   const client = await pool.connect();
@@ -189,6 +197,13 @@ exports.updateUserStatus = async (req, res) => {
     );
 
     await client.query('COMMIT');
+    if (['active', 'suspended', 'banned'].includes(status)) {
+      NotificationService.notify(req.app.get('wsController'), parseInt(id, 10), 'moderation', {
+        kind: 'account_status',
+        status,
+        reason: status === 'active' ? null : (reason || null)
+      });
+    }
     res.json({ message: 'User status updated successfully' });
   } catch (err) {
     await client.query('ROLLBACK');
@@ -613,6 +628,7 @@ exports.getReportedContent = async (req, res) => {
     const reports = result.rows.map(report => ({
       id: report.id,
       type: report.type,
+      category: report.category,
       reason: report.reason,
       status: report.status,
       contentId: report.content_id,
@@ -697,6 +713,8 @@ exports.updateReportStatus = async (req, res) => {
     });
     
     await client.query('COMMIT');
+
+    ReportService.notifyOutcome(req.app.get('wsController'), reportCheck.rows[0], { status, action });
     
     res.json({ message: 'Report status updated successfully' });
   } catch (err) {
@@ -1272,4 +1290,196 @@ exports.deleteSubscriptionFeature = async (req, res) => {
   } finally {
     client.release();
   }
-};
\ No newline at end of file
+};
+
+// --- Message Moderation ---
+
+// A message with all its earlier versions, including deleted messages.
+// Reading a private conversation is logged.
+exports.getMessageHistory = async (req, res) => {
+  try {
+    const messageId = parseInt(req.params.messageId);
+    const message = Number.isInteger(messageId) ? await Message.getForModeration(messageId) : null;
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+    const edits = await MessageEdit.listForMessage(messageId);
+
+    await insertAdminLog({
+      adminId: req.user.id,
+      action: 'VIEW_MESSAGE_HISTORY',
+      targetUserId: message.sender_id,
+      targetType: 'message',
+      targetId: messageId
+    });
+
+    res.json({ message, edits });
+  } catch (err) {
+    console.error('Error getting message history:', err);
+    res.status(500).json({ message: 'Failed to get message history' });
+  }
+};
+
+// --- Application Settings ---
+
+exports.getAppSettings = async (req, res) => {
+  try {
+    const settings = await AppSetting.getAll();
+    res.json(settings);
+  } catch (err) {
+    console.error('Error listing app settings:', err);
+    res.status(500).json({ message: 'Failed to list app settings' });
+  }
+};
+
+exports.updateAppSetting = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { key } = req.params;
+    const { value } = req.body;
+
+    const validationError = AppSetting.validate(key, value);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    await client.query('BEGIN');
+    const setting = await AppSetting.set(key, value, req.user.id, client);
+    await insertAdminLog({
+      adminId: req.user.id,
+      action: 'UPDATE_APP_SETTING',
+      targetType: 'app_setting',
+      details: `Set ${key} to ${JSON.stringify(value)}`,
+      client
+    });
+    await client.query('COMMIT');
+    res.json(setting);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error updating app setting:', err);
+    res.status(500).json({ message: 'Failed to update app setting' });
+  } finally {
+    client.release();
+  }
+};
+
+// --- Suggestion Ranking ---
+
+// Shows the suggestions a given user would get, with each score broken down by signal
+exports.explainSuggestions = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId, 10);
+    if (Number.isNaN(userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    const { limit, cursor } = req.query;
+    const result = await MatchRankingService.getSuggestions(userId, { limit, cursor, explain: true });
+    res.json(result);
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error('Error explaining suggestions:', err);
+    res.status(500).json({ message: 'Failed to explain suggestions' });
+  }
+};
+
+// --- Real-time ---
+
+// WebSocket connection counts for the instance that answers, plus the
+// cluster totals as of the other instances' last heartbeat
+exports.getRealtimeMetrics = (req, res) => {
+  const wsController = req.app.get('wsController');
+  if (!wsController) {
+    return res.status(503).json({ message: 'WebSocket server is not running' });
+  }
+  res.json(wsController.getMetrics());
+};
+
+// --- Boost Products ---
+
+exports.listBoostProducts = async (req, res) => {
+  try {
+    const products = await BoostProduct.getAll({ activeOnly: false });
+    res.json(products);
+  } catch (err) {
+    console.error('Error listing boost products:', err);
+    res.status(500).json({ message: 'Failed to list boost products' });
+  }
+};
+
+exports.createBoostProduct = async (req, res) => {
+  try {
+    const { error, value } = validateBoostProduct(req.body);
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const product = await BoostProduct.create(value);
+    await insertAdminLog({
+      adminId: req.user.id,
+      action: 'CREATE_BOOST_PRODUCT',
+      targetType: 'boost_product',
+      targetId: product.id,
+      details: `Created boost product ${product.id}: ${product.name} (${product.price} ${product.currency})`
+    });
+    res.status(201).json(product);
+  } catch (err) {
+    console.error('Error creating boost product:', err);
+    res.status(500).json({ message: 'Failed to create boost product' });
+  }
+};
+
+exports.updateBoostProduct = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: 'Invalid boost product ID' });
+    }
+    const { error, value } = validateBoostProduct(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ message: error.details[0].message });
+    }
+
+    const product = await BoostProduct.update(id, value);
+    if (!product) {
+      return res.status(404).json({ message: 'Boost product not found' });
+    }
+    await insertAdminLog({
+      adminId: req.user.id,
+      action: 'UPDATE_BOOST_PRODUCT',
+      targetType: 'boost_product',
+      targetId: id,
+      details: `Updated boost product ${id}: ${JSON.stringify(value)}`
+    });
+    res.json(product);
+  } catch (err) {
+    console.error('Error updating boost product:', err);
+    res.status(500).json({ message: 'Failed to update boost product' });
+  }
+};
+
+exports.deleteBoostProduct = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ message: 'Invalid boost product ID' });
+    }
+
+    const product = await BoostProduct.deactivate(id);
+    if (!product) {
+      return res.status(404).json({ message: 'Boost product not found' });
+    }
+    await insertAdminLog({
+      adminId: req.user.id,
+      action: 'DEACTIVATE_BOOST_PRODUCT',
+      targetType: 'boost_product',
+      targetId: id,
+      details: `Deactivated boost product ${id}: ${product.name}`
+    });
+    res.json({ message: 'Boost product deactivated', product });
+  } catch (err) {
+    console.error('Error deactivating boost product:', err);
+    res.status(500).json({ message: 'Failed to deactivate boost product' });
+  }
+};
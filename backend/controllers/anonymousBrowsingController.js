@@ -1,14 +1,20 @@
 const AnonymousBrowsingSession = require('../models/AnonymousBrowsingSession');
+const AppSetting = require('../models/AppSetting');
+
+// Used when the `anonymous_session_minutes` setting is missing
+const DEFAULT_SESSION_MINUTES = 60;
 
 const anonymousBrowsingController = {
   /**
    * Starts an anonymous browsing session for the authenticated user.
+   * The session ends by itself after the configured number of minutes.
    * Assumes prior isAuthenticated and checkFeatureAccess('anonymousBrowsing') middleware.
    */
   startAnonymousBrowsing: async (req, res) => {
     try {
       const userId = req.user.id;
-      const session = await AnonymousBrowsingSession.startSession(userId);
+      const durationMinutes = await AppSetting.get('anonymous_session_minutes', DEFAULT_SESSION_MINUTES);
+      const session = await AnonymousBrowsingSession.startSession(userId, durationMinutes);
       res.status(201).json({
         message: 'Anonymous browsing session started.',
         session
@@ -58,6 +64,40 @@ const anonymousBrowsingController = {
       console.error('Error in getAnonymousBrowsingStatus controller:', error);
       res.status(500).json({ error: 'Failed to retrieve anonymous browsing status.' });
     }
+  },
+
+  /**
+   * Lists the authenticated user's past anonymous browsing sessions with durations.
+   * Assumes prior isAuthenticated middleware.
+   */
+  getAnonymousBrowsingHistory: async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+      const { sessions, total } = await AnonymousBrowsingSession.getHistory(userId, { limit, offset: (page - 1) * limit });
+      res.json({
+        sessions: sessions.map(session => ({
+          id: session.id,
+          startTime: session.start_time,
+          endTime: session.end_time,
+          expiresAt: session.expires_at,
+          isActive: session.is_active,
+          durationSeconds: session.duration_seconds,
+          profilesViewed: session.profiles_viewed
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Error in getAnonymousBrowsingHistory controller:', error);
+      res.status(500).json({ error: 'Failed to retrieve anonymous browsing history.' });
+    }
   }
 };
 
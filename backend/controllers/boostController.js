@@ -1,65 +1,184 @@
 const ProfileBoost = require('../models/ProfileBoost');
+const BoostProduct = require('../models/BoostProduct');
+const BoostService = require('../services/BoostService');
+const ApiError = require('../utils/ApiError');
+
+// Shapes a row from ProfileBoost.getHistoryWithStats into the stats payload.
+// Lift compares activity during the boost with the same-length window before it.
+const formatBoostStats = (boost) => {
+  if (!boost) {
+    return null;
+  }
+  const lift = (during, before) => (before > 0 ? Math.round((during / before) * 100) / 100 : null);
+  return {
+    impressions: boost.impressions,
+    profileViews: boost.profile_views,
+    likesReceived: boost.likes_received,
+    baseline: {
+      profileViews: boost.baseline_views,
+      likesReceived: boost.baseline_likes
+    },
+    viewsLift: lift(boost.profile_views, boost.baseline_views),
+    likesLift: lift(boost.likes_received, boost.baseline_likes)
+  };
+};
 
 const boostController = {
   /**
-   * Activates a profile boost for the authenticated user.
+   * Lists the boost products users can buy.
    */
-  activateBoost: async (req, res) => {
+  getProducts: async (req, res) => {
     try {
-      const userId = req.user.id; // Assuming isAuthenticated middleware populates req.user
-      const { boostType = 'standard', durationHours = 1 } = req.body; // Defaults for V1
+      const products = await BoostProduct.getAll();
+      res.json({ products });
+    } catch (error) {
+      console.error('Error listing boost products in controller:', error);
+      res.status(500).json({ error: 'Failed to list boost products.' });
+    }
+  },
 
-      if (typeof durationHours !== 'number' || durationHours <= 0) {
-        return res.status(400).json({ error: 'Invalid durationHours. Must be a positive number.' });
+  /**
+   * Buys a boost product with the authenticated user's site balance.
+   * To pay through a payment method instead, initiate a transaction with
+   * itemCategory 'boost'; the boost is scheduled once it is verified.
+   */
+  purchaseBoost: async (req, res) => {
+    try {
+      const productId = parseInt(req.body.productId, 10);
+      if (Number.isNaN(productId)) {
+        return res.status(400).json({ error: 'productId is required and must be a number.' });
       }
-      if (typeof boostType !== 'string' || boostType.trim() === '') {
-        return res.status(400).json({ error: 'Invalid boostType. Must be a non-empty string.' });
+
+      const { boost, transaction } = await BoostService.purchaseWithBalance(req.user.id, productId);
+      res.status(201).json({
+        message: boost.is_queued ? 'Boost purchased and queued after your current boost.' : 'Boost purchased and activated.',
+        boost,
+        transaction
+      });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return res.status(error.statusCode).json({ error: error.message });
       }
+      console.error('Error purchasing boost in controller:', error);
+      res.status(500).json({ error: 'Failed to purchase boost.' });
+    }
+  },
 
-      // Optional: Check if user already has an active boost.
-      // For V1, we allow creating a new one. getActiveUserBoost will pick the "latest".
-      // const existingBoost = await ProfileBoost.getActiveUserBoost(userId);
-      // if (existingBoost) {
-      //   return res.status(409).json({
-      //     message: 'An active boost already exists. Please wait for it to expire or allow stacking/replacement (future feature).',
-      //     activeBoost: existingBoost
-      //   });
-      // }
+  /**
+   * Redeems one of the authenticated user's free monthly boosts.
+   * Without a productId the cheapest allowance-eligible product is used.
+   */
+  activateBoost: async (req, res) => {
+    try {
+      let productId = req.body.productId !== undefined ? parseInt(req.body.productId, 10) : null;
+      if (Number.isNaN(productId)) {
+        return res.status(400).json({ error: 'productId must be a number.' });
+      }
+      if (productId === null) {
+        const eligible = (await BoostProduct.getAll()).find(product => product.allowance_eligible);
+        if (!eligible) {
+          return res.status(404).json({ error: 'No boost products are currently available with the monthly allowance.' });
+        }
+        productId = eligible.id;
+      }
 
-      const boost = await ProfileBoost.activate(userId, boostType, durationHours);
+      const { boost, allowance } = await BoostService.redeemAllowance(req.user.id, req.user.subscription_tier, productId);
       res.status(201).json({
-        message: 'Profile boost activated successfully!',
-        boost
+        message: boost.is_queued ? 'Free boost queued after your current boost.' : 'Profile boost activated successfully!',
+        boost,
+        allowance
       });
     } catch (error) {
+      if (error instanceof ApiError) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
       console.error('Error activating profile boost in controller:', error);
       res.status(500).json({ error: 'Failed to activate profile boost.' });
     }
   },
 
   /**
-   * Gets the current active boost status for the authenticated user.
+   * Gets the authenticated user's free boost allowance for this month.
+   */
+  getAllowance: async (req, res) => {
+    try {
+      const allowance = await BoostService.getAllowanceStatus(req.user.id, req.user.subscription_tier);
+      res.json(allowance);
+    } catch (error) {
+      console.error('Error getting boost allowance in controller:', error);
+      res.status(500).json({ error: 'Failed to get boost allowance.' });
+    }
+  },
+
+  /**
+   * Gets the current active boost status for the authenticated user,
+   * including how the active boost is performing so far.
    */
   getBoostStatus: async (req, res) => {
     try {
       const userId = req.user.id; // Assuming isAuthenticated middleware populates req.user
-      const activeBoost = await ProfileBoost.getActiveUserBoost(userId);
+      const [activeBoost, queuedBoosts] = await Promise.all([
+        ProfileBoost.getActiveUserBoost(userId),
+        ProfileBoost.getQueuedBoosts(userId)
+      ]);
 
       if (activeBoost) {
+        const [withStats] = await ProfileBoost.getHistoryWithStats(userId, { boostId: activeBoost.id, limit: 1 });
         res.json({
           isBoosted: true,
-          boostDetails: activeBoost
+          boostDetails: activeBoost,
+          stats: formatBoostStats(withStats),
+          queuedBoosts
         });
       } else {
         res.json({
           isBoosted: false,
-          boostDetails: null
+          boostDetails: null,
+          stats: null,
+          queuedBoosts
         });
       }
     } catch (error) {
       console.error('Error getting boost status in controller:', error);
       res.status(500).json({ error: 'Failed to get boost status.' });
     }
+  },
+
+  /**
+   * Lists the authenticated user's past and current boosts with their stats.
+   */
+  getBoostHistory: async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+      const [boosts, total] = await Promise.all([
+        ProfileBoost.getHistoryWithStats(userId, { limit, offset: (page - 1) * limit }),
+        ProfileBoost.countForUser(userId)
+      ]);
+
+      res.json({
+        boosts: boosts.map(boost => ({
+          id: boost.id,
+          boostType: boost.boost_type,
+          multiplier: parseFloat(boost.multiplier),
+          startTime: boost.start_time,
+          endTime: boost.end_time,
+          isActive: boost.is_active,
+          stats: formatBoostStats(boost)
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Error getting boost history in controller:', error);
+      res.status(500).json({ error: 'Failed to get boost history.' });
+    }
   }
 };
 
@@ -1,4 +1,6 @@
 const Gift = require('../models/Gift');
+const RealtimeEventService = require('../services/RealtimeEventService');
+const NotificationService = require('../services/NotificationService');
 
 // Gift Items Controllers
 exports.getAllGiftItems = async (req, res) => {
@@ -100,10 +102,22 @@ exports.sendGift = async (req, res) => {
       isAnonymous: !!isAnonymous,
       useSiteBalance: !!useSiteBalance // Pass the flag to the model method
     });
+    RealtimeEventService.giftReceived(req.app.get('wsController'), gift);
+    NotificationService.notify(req.app.get('wsController'), gift.recipient_id, 'gift', {
+      giftId: gift.id,
+      fromUserId: gift.is_anonymous ? null : gift.sender_id
+    });
 
     res.status(201).json(gift);
   } catch (err) {
     console.error('Error sending gift:', err.message, err.stack);
+    if (err.code === 'USER_BLOCKED') {
+      return res.status(404).json({
+        success: false,
+        error: err.message,
+        code: 'RECIPIENT_NOT_FOUND'
+      });
+    }
     if (err.code === 'INSUFFICIENT_TIER') {
       return res.status(403).json({ 
         success: false,
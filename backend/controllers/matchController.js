@@ -5,29 +5,135 @@ const Match = require('../models/Match');
 const User = require('../models/User');
 const Profile = require('../models/Profile');
 const Like = require('../models/Like');
+const Message = require('../models/Message');
+const UserPreference = require('../models/UserPreference');
+const Dislike = require('../models/Dislike');
+const UserBlock = require('../models/UserBlock');
+const MatchRankingService = require('../services/MatchRankingService');
+const SuperLikeService = require('../services/SuperLikeService');
+const RealtimeEventService = require('../services/RealtimeEventService');
+const NotificationService = require('../services/NotificationService');
+const ApiError = require('../utils/ApiError');
+const { validatePreferences } = require('../utils/validation');
 const { incrementSwipeCountForUser } = require('../middleware/usageLimits');
 
+const MAX_SUPER_LIKE_PURCHASE = 50;
+
+// The body stays a bare array of profiles; the cursor for the next page, if
+// any, goes in the X-Next-Cursor header
 exports.getPotentialMatches = async (req, res) => {
   try {
-    const matches = await Profile.getPotentialMatches(req.user.id);
-    res.json(matches);
+    const { limit, cursor } = req.query;
+    const { profiles, nextCursor } = await MatchRankingService.getSuggestions(req.user.id, { limit, cursor });
+    if (nextCursor) {
+      res.set('X-Next-Cursor', nextCursor);
+    }
+    res.json(profiles);
   } catch (err) {
+    if (err.statusCode === 400) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
     console.error(err);
     res.status(500).json({ error: 'Failed to get matches' });
   }
 };
 
+exports.getPreferences = async (req, res) => {
+  try {
+    const preferences = await UserPreference.getForUser(req.user.id);
+    res.json({ success: true, preferences });
+  } catch (err) {
+    console.error('Error fetching discovery preferences:', err);
+    res.status(500).json({ success: false, error: 'Failed to get preferences' });
+  }
+};
+
+exports.updatePreferences = async (req, res) => {
+  try {
+    const { error, value } = validatePreferences(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error: error.details[0].message });
+    }
+
+    const current = await UserPreference.getForUser(req.user.id);
+    const minAge = value.min_age !== undefined ? value.min_age : current.min_age;
+    const maxAge = value.max_age !== undefined ? value.max_age : current.max_age;
+    if (minAge > maxAge) {
+      return res.status(400).json({ success: false, error: 'min_age cannot be greater than max_age' });
+    }
+
+    const unknownCountries = await UserPreference.findUnknownCountryIds(value.country_ids);
+    if (unknownCountries.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown country_ids: ${unknownCountries.join(', ')}`
+      });
+    }
+
+    const preferences = await UserPreference.upsert(req.user.id, value);
+    res.json({ success: true, preferences: { ...preferences, is_default: false } });
+  } catch (err) {
+    console.error('Error updating discovery preferences:', err);
+    res.status(500).json({ success: false, error: 'Failed to update preferences' });
+  }
+};
+
+// Tells both users about a new match in real time and in their inboxes
+const notifyMatch = (wsController, match) => {
+  RealtimeEventService.matchCreated(wsController, match);
+  NotificationService.notify(wsController, match.user1_id, 'match', { matchId: match.id, userId: match.user2_id });
+  NotificationService.notify(wsController, match.user2_id, 'match', { matchId: match.id, userId: match.user1_id });
+};
+
+/**
+ * Shared follow-up for a newly recorded like or super like: clears an earlier
+ * pass, counts the swipe and creates the match if the like is mutual. The
+ * recipient gets either match or like notifications and events.
+ * @returns {Promise<boolean>} Whether the like created a match.
+ */
+const afterLike = async (req, likedUserId, { isSuper, countSwipe = true }) => {
+  const userId = req.user.id;
+  const wsController = req.app.get('wsController');
+  // Liking someone previously passed on (e.g. after the cooldown) supersedes the pass
+  await Dislike.deleteDislike(userId, likedUserId);
+
+  if (countSwipe) {
+    await incrementSwipeCountForUser(req);
+  }
+
+  const isMutual = await Match.checkMutualLike(userId, likedUserId);
+  if (isMutual) {
+    const match = await Match.createMatch(userId, likedUserId);
+    notifyMatch(wsController, match);
+    return true;
+  }
+
+  const targetUser = await User.findById(likedUserId);
+  const targetTier = targetUser?.tier_level || targetUser?.subscription_tier || 'Basic';
+  RealtimeEventService.likeReceived(wsController, { likerId: userId, recipientId: likedUserId, recipientTier: targetTier, isSuper });
+  // Plain likes only notify Basic users, who can't browse their likes; super likes always notify
+  if (isSuper || targetTier === 'Basic') {
+    const revealLiker = isSuper && !req.user.is_incognito;
+    NotificationService.notify(wsController, likedUserId, isSuper ? 'super_like' : 'like', revealLiker ? { fromUserId: userId } : {});
+  }
+  return false;
+};
+
 exports.likeProfile = async (req, res) => {
   try {
     const userId = req.user.id;
-    const likedUserId = req.params.id;
-    
+    const likedUserId = parseInt(req.params.id, 10);
+
+    if (Number.isNaN(likedUserId)) {
+      return res.status(400).json({ error: 'Invalid user id' });
+    }
     if (userId === likedUserId) {
       return res.status(400).json({ error: 'Cannot like yourself' });
     }
     
+    // Blocked users are reported as missing either way round
     const userExists = await User.findById(likedUserId);
-    if (!userExists) {
+    if (!userExists || await UserBlock.isBlockedEither(userId, likedUserId)) {
       return res.status(404).json({ error: 'User not found' });
     }
     
@@ -46,31 +152,8 @@ exports.likeProfile = async (req, res) => {
     }
     
     await Match.createLike({ userId, likedUserId });
-    
-    // --- Create a 'liked' notification for the target user if they are Basic tier (best effort) ---
-    try {
-      const targetUser = await User.findById(likedUserId);
-      const targetTier = targetUser?.tier_level || targetUser?.subscription_tier || 'Basic';
-      if (targetTier === 'Basic') {
-        await pool.query(
-          `INSERT INTO notifications (user_id, type, payload) VALUES ($1, 'like', jsonb_build_object('from', $2)) ON CONFLICT DO NOTHING`,
-          [likedUserId, userId]
-        );
-      }
-    } catch (notifErr) {
-      console.error('Failed to create like notification:', notifErr);
-    }
-    
-    await incrementSwipeCountForUser(req);
-    
-    const isMutual = await Match.checkMutualLike(userId, likedUserId);
-    
-    if (isMutual) {
-      await Match.createMatch(userId, likedUserId);
-      return res.json({ match: true });
-    }
-    
-    res.json({ match: false });
+    const isMutual = await afterLike(req, likedUserId, { isSuper: false });
+    res.json({ match: isMutual });
   } catch (err) {
     if (err.limitExceeded && err.limitType === 'swipe') {
       return res.status(err.statusCode || 429).json({
@@ -90,6 +173,181 @@ exports.likeProfile = async (req, res) => {
   }
 };
 
+/**
+ * Super likes a profile. Uses the tier's daily allowance first, then
+ * purchased credits. Upgrading an earlier plain like doesn't count as another swipe.
+ */
+exports.superLikeProfile = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const likedUserId = parseInt(req.params.id, 10);
+
+    if (Number.isNaN(likedUserId)) {
+      return res.status(400).json({ success: false, error: 'Invalid user id' });
+    }
+    if (userId === likedUserId) {
+      return res.status(400).json({ success: false, error: 'Cannot like yourself' });
+    }
+
+    const userExists = await User.findById(likedUserId);
+    if (!userExists || await UserBlock.isBlockedEither(userId, likedUserId)) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const tier = req.user.subscription_tier || 'Basic';
+    const { source, wasLiked } = await SuperLikeService.send(userId, tier, likedUserId);
+    const alreadyMatched = wasLiked && await Match.checkMutualLike(userId, likedUserId);
+    const isMutual = alreadyMatched || await afterLike(req, likedUserId, { isSuper: true, countSwipe: !wasLiked });
+
+    res.json({
+      success: true,
+      match: isMutual,
+      source,
+      superLikes: await SuperLikeService.getStatus(userId, tier)
+    });
+  } catch (err) {
+    if (err instanceof ApiError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message });
+    }
+    if (err.limitExceeded && err.limitType === 'swipe') {
+      return res.status(err.statusCode || 429).json({
+        success: false,
+        error: err.message || 'Daily swipe limit reached.',
+        limitExceeded: true,
+        limitType: 'swipe',
+      });
+    }
+    console.error('Error in superLikeProfile:', err);
+    res.status(500).json({ success: false, error: 'Failed to super like profile' });
+  }
+};
+
+exports.getSuperLikeStatus = async (req, res) => {
+  try {
+    const tier = req.user.subscription_tier || 'Basic';
+    const [status, price] = await Promise.all([
+      SuperLikeService.getStatus(req.user.id, tier),
+      SuperLikeService.getPrice()
+    ]);
+    res.json({ success: true, superLikes: status, price });
+  } catch (err) {
+    console.error('Error fetching super like status:', err);
+    res.status(500).json({ success: false, error: 'Failed to get super like status' });
+  }
+};
+
+/**
+ * Buys extra super likes with the user's site balance.
+ */
+exports.purchaseSuperLikes = async (req, res) => {
+  try {
+    const quantity = req.body.quantity !== undefined ? parseInt(req.body.quantity, 10) : 1;
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_SUPER_LIKE_PURCHASE) {
+      return res.status(400).json({
+        success: false,
+        error: `quantity must be a whole number between 1 and ${MAX_SUPER_LIKE_PURCHASE}.`
+      });
+    }
+
+    const { credits, transaction } = await SuperLikeService.purchaseWithBalance(req.user.id, quantity);
+    res.status(201).json({ success: true, credits, transaction });
+  } catch (err) {
+    if (err instanceof ApiError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message });
+    }
+    console.error('Error purchasing super likes:', err);
+    res.status(500).json({ success: false, error: 'Failed to purchase super likes' });
+  }
+};
+
+exports.passProfile = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const passedUserId = parseInt(req.params.id, 10);
+
+    if (Number.isNaN(passedUserId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    if (userId === passedUserId) {
+      return res.status(400).json({ error: 'Cannot pass on yourself' });
+    }
+
+    const userExists = await User.findById(passedUserId);
+    if (!userExists) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const existingLike = await Like.checkLike(userId, passedUserId);
+    if (existingLike) {
+      return res.status(409).json({ error: 'You have already liked this profile' });
+    }
+
+    const dislike = await Dislike.createDislike(userId, passedUserId);
+
+    await incrementSwipeCountForUser(req);
+
+    res.json({ success: true, passed: true, passedAt: dislike.created_at });
+  } catch (err) {
+    if (err.limitExceeded && err.limitType === 'swipe') {
+      return res.status(err.statusCode || 429).json({
+        success: false,
+        error: err.message || 'Daily swipe limit reached.',
+        limitExceeded: true,
+        limitType: 'swipe',
+      });
+    }
+
+    console.error('Full error in passProfile:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to pass profile',
+      message: err.message
+    });
+  }
+};
+
+// Undo the most recent like or pass. Likes that already produced a match
+// can't be rewound; the user has to unmatch instead.
+exports.rewindLastSwipe = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const lastSwipe = await Dislike.getLastSwipe(userId);
+
+    if (!lastSwipe) {
+      return res.status(404).json({ success: false, error: 'No swipe to rewind' });
+    }
+
+    if (lastSwipe.action === 'like') {
+      const match = await Match.checkMatch(userId, lastSwipe.target_user_id);
+      if (match) {
+        return res.status(409).json({
+          success: false,
+          error: 'This like already resulted in a match. Unmatch instead.',
+          matchId: match.id
+        });
+      }
+      await Like.deleteLike(userId, lastSwipe.target_user_id);
+    } else {
+      await Dislike.deleteDislike(userId, lastSwipe.target_user_id);
+    }
+
+    const profile = await Profile.findByUserId(lastSwipe.target_user_id);
+
+    res.json({
+      success: true,
+      rewound: {
+        action: lastSwipe.action,
+        userId: lastSwipe.target_user_id,
+        swipedAt: lastSwipe.created_at
+      },
+      profile
+    });
+  } catch (err) {
+    console.error('Error rewinding last swipe:', err);
+    res.status(500).json({ success: false, error: 'Failed to rewind last swipe' });
+  }
+};
+
 exports.getMatches = async (req, res) => {
   try {
     const matches = await Match.getUserMatches(req.user.id);
@@ -122,6 +380,9 @@ exports.checkAndCreateMatch = async (req, res) => {
     if (!likedUserId) {
       return res.status(400).json({ error: 'likedUserId is required' });
     }
+    if (await UserBlock.isBlockedEither(req.user.id, likedUserId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
     await Like.createLike(req.user.id, likedUserId);
     const otherUserLike = await Like.checkLike(likedUserId, req.user.id);
@@ -130,11 +391,18 @@ exports.checkAndCreateMatch = async (req, res) => {
       const existingMatch = await Match.checkMatch(req.user.id, likedUserId);
       if (!existingMatch) {
         const match = await Match.createMatch(req.user.id, likedUserId);
+        notifyMatch(req.app.get('wsController'), match);
         res.json({ match, message: "It's a match!" });
       } else {
         res.json({ match: existingMatch, message: 'Match already exists' });
       }
     } else {
+      const likedUser = await User.findById(likedUserId);
+      RealtimeEventService.likeReceived(req.app.get('wsController'), {
+        likerId: req.user.id,
+        recipientId: likedUserId,
+        recipientTier: likedUser?.subscription_tier || 'Basic'
+      });
       res.json({ message: 'Like recorded, waiting for the other person to like back' });
     }
   } catch (err) {
@@ -155,6 +423,8 @@ exports.unmatch = async (req, res) => {
     const match = deletedMatch;
     await Like.deleteLike(match.user1_id, match.user2_id);
     await Like.deleteLike(match.user2_id, match.user1_id);
+    await Message.endConversationBetween(match.user1_id, match.user2_id);
+    RealtimeEventService.unmatched(req.app.get('wsController'), match, req.user.id);
     
     res.json({ message: 'Successfully unmatched' });
   } catch (err) {
@@ -163,20 +433,21 @@ exports.unmatch = async (req, res) => {
   }
 };
 
-// --- New feature: Likes You list (Premium+ tiers) ---
+// --- New feature: Likes You list (Premium+ tiers; super likes are shown to everyone) ---
 exports.getLikesYou = async (req, res) => {
   try {
     const userId = req.user.id;
 
     // Fetch users who have liked the current user but whom the current user has NOT liked and are not yet matched
     const query = `
-      SELECT p.*, u.id as user_id
+      SELECT p.*, u.id as user_id, l.is_super
       FROM likes l
       JOIN users u ON u.id = l.user_id
       JOIN profiles p ON p.user_id = u.id
       WHERE l.liked_user_id = $1
         AND u.profile_complete = true
         AND u.is_active = true
+        AND u.is_incognito = false -- incognito likers are only revealed by a match
         AND NOT EXISTS (
           SELECT 1 FROM likes l2
           WHERE l2.user_id = $1 AND l2.liked_user_id = u.id
@@ -185,7 +456,8 @@ exports.getLikesYou = async (req, res) => {
           SELECT 1 FROM matches m
           WHERE (m.user1_id = $1 AND m.user2_id = u.id) OR (m.user1_id = u.id AND m.user2_id = $1)
         )
-      ORDER BY l.created_at DESC
+        AND ${UserBlock.notBlockedBetween('$1', 'u.id')}
+      ORDER BY l.is_super DESC, l.created_at DESC
       LIMIT 100;
     `;
 
@@ -198,8 +470,9 @@ exports.getLikesYou = async (req, res) => {
       return res.status(200).json({ success: true, likes: result.rows });
     }
 
-    // Basic users – only send count, not identities
-    return res.status(200).json({ success: true, likes: [], count: result.rows.length });
+    // Basic users – only super likers are revealed; plain likes are just counted
+    const superLikes = result.rows.filter(row => row.is_super);
+    return res.status(200).json({ success: true, likes: superLikes, count: result.rows.length - superLikes.length });
   } catch (err) {
     console.error('Error fetching Likes You list:', err);
     res.status(500).json({ success: false, error: 'Failed to fetch Likes You list' });
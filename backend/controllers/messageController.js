@@ -2,9 +2,16 @@
 
 const Message = require('../models/Message');
 const User = require('../models/User');
-const pool = require('../config/db');
+const FeaturePermission = require('../models/FeaturePermission');
+const MessagingService = require('../services/MessagingService');
+const AttachmentService = require('../services/AttachmentService');
 const logger = require('../utils/logger');
+const ApiError = require('../utils/ApiError');
 const { validationResult } = require('express-validator');
+const { validateLocationShare } = require('../utils/validation');
+
+// Lets the tiers it is enabled for open a conversation before matching
+const MESSAGE_BEFORE_MATCH = 'messageBeforeMatch';
 
 // Get or create a conversation between two users
 exports.getOrCreateConversation = async (req, res) => {
@@ -13,9 +20,16 @@ exports.getOrCreateConversation = async (req, res) => {
     const currentUserId = req.user.id;
     if (!userId) { return res.status(400).json({ success: false, error: 'User ID is required' }); }
     if (parseInt(userId) === currentUserId) { return res.status(400).json({ success: false, error: 'Cannot create a conversation with yourself' }); }
-    const conversationId = await Message.getOrCreateConversation(currentUserId, parseInt(userId));
+    const allowWithoutMatch = await FeaturePermission.hasAccess(MESSAGE_BEFORE_MATCH, req.user.subscription_tier || 'Basic');
+    const conversationId = await Message.getOrCreateConversation(currentUserId, parseInt(userId), { allowWithoutMatch });
     res.json({ success: true, data: { conversationId } });
   } catch (error) {
+    if (error.code === 'USER_BLOCKED') {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    if (error.code === 'NOT_MATCHED') {
+      return res.status(403).json({ success: false, error: 'You can only message your matches.', code: 'NOT_MATCHED' });
+    }
     logger.error('Error getting or creating conversation:', error);
     res.status(500).json({ success: false, error: 'Failed to get or create conversation' });
   }
@@ -23,12 +37,23 @@ exports.getOrCreateConversation = async (req, res) => {
 
 // Get messages in a conversation
 exports.getMessages = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
   try {
     const { conversationId } = req.params;
-    const { before, limit = 50 } = req.query;
+    const { before, around, limit = 50 } = req.query;
     if (!conversationId) { return res.status(400).json({ success: false, error: 'Conversation ID is required' }); }
+    const { visible } = await Message.getAccess(parseInt(conversationId), req.user.id);
+    if (!visible) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
     const messages = await Message.getByConversation(parseInt(conversationId), { 
       before: before ? parseInt(before) : null, 
+      around: around ? parseInt(around) : null,
+      viewerId: req.user.id,
       limit: parseInt(limit) 
     });
     res.json({ success: true, data: messages });
@@ -38,13 +63,47 @@ exports.getMessages = async (req, res) => {
   }
 };
 
+// Search the user's conversations. Each result's `context` opens the
+// conversation at that message (GET /:conversationId/messages?around=).
+exports.searchMessages = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const limit = req.query.limit ? parseInt(req.query.limit) : 20;
+    const matches = await Message.search(req.user.id, req.query.q, {
+      limit,
+      before: req.query.cursor ? parseInt(req.query.cursor) : null
+    });
+    const results = matches.map(({ conversation_id, participants, ...message }) => ({
+      ...message,
+      conversation: { id: conversation_id, participants },
+      context: { conversationId: conversation_id, around: message.id }
+    }));
+    const nextCursor = matches.length === limit ? String(matches[matches.length - 1].id) : null;
+    res.json({ success: true, data: results, nextCursor });
+  } catch (error) {
+    logger.error('Error searching messages:', error);
+    res.status(500).json({ success: false, error: 'Failed to search messages' });
+  }
+};
+
 // Get user's conversations
 exports.getConversations = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
   try {
-    const { limit = 20, offset = 0 } = req.query;
+    const { limit = 20, offset = 0, archived, unreadOnly } = req.query;
     const conversations = await Message.getUserConversations(req.user.id, { 
       limit: parseInt(limit), 
-      offset: parseInt(offset) 
+      offset: parseInt(offset),
+      archived: archived === 'true',
+      unreadOnly: unreadOnly === 'true'
     });
     console.log(`[MessageController] Returning ${conversations.length} conversations for user ${req.user.id}.`);
     res.json({ success: true, data: conversations });
@@ -54,6 +113,15 @@ exports.getConversations = async (req, res) => {
   }
 };
 
+// Responds with an ApiError's status, message and any client-facing code
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error instanceof ApiError) {
+    const { code, limit, remaining } = error;
+    return res.status(error.statusCode).json({ success: false, error: error.message, code, limit, remaining });
+  }
+  res.status(500).json({ success: false, error: fallbackMessage });
+};
+
 // Send a message
 exports.sendMessage = async (req, res) => {
   const errors = validationResult(req);
@@ -61,104 +129,79 @@ exports.sendMessage = async (req, res) => {
     return res.status(400).json({ success: false, errors: errors.array() });
   }
 
-  const { conversationId, content, messageType = 'text', parentMessageId } = req.body;
-  const sender = req.user;
-  const DAILY_MESSAGE_LIMIT = 10;
-
-  console.log(`[SendMessage] User ID: ${sender.id}, Tier: '${sender.subscription_tier}'. Checking message limits...`);
-
-  try {
-    if (sender.subscription_tier === 'Basic') {
-      console.log('[SendMessage] User is Basic. Applying limit logic.');
-
-      // First, update the counter and check the limit in a single atomic operation
-      const updateResult = await pool.query(
-        `WITH updated AS (
-          UPDATE users 
-          SET 
-            message_count_today = CASE 
-              WHEN last_message_date::date = CURRENT_DATE 
-              THEN message_count_today + 1 
-              ELSE 1 
-            END,
-            last_message_date = NOW()
-          WHERE id = $1
-          RETURNING message_count_today, last_message_date
-        )
-        SELECT message_count_today, 
-               last_message_date,
-               CASE 
-                 WHEN message_count_today >= $2 THEN true
-                 ELSE false
-               END as limit_reached
-        FROM updated`,
-        [sender.id, DAILY_MESSAGE_LIMIT]
-      );
-
-      if (!updateResult.rows[0]) {
-        console.error('[SendMessage] Failed to update message counter');
-        return res.status(500).json({
-          success: false,
-          error: 'Failed to update message counter'
-        });
-      }
-
-      const { message_count_today, last_message_date, limit_reached } = updateResult.rows[0];
-      const lastMessageDate = last_message_date ? new Date(last_message_date).toISOString().slice(0, 10) : null;
-      const today = new Date().toISOString().slice(0, 10);
-      
-      console.log(`[SendMessage] Message count updated to ${message_count_today}. Last message: ${lastMessageDate}, Today: ${today}`);
-      
-      if (limit_reached) {
-        console.log('[SendMessage] Daily message limit reached. Rejecting message.');
-        return res.status(403).json({
-          success: false,
-          error: 'Daily message limit reached for Basic users.',
-          code: 'MESSAGE_LIMIT_EXCEEDED',
-          limit: DAILY_MESSAGE_LIMIT,
-          remaining: 0
-        });
-      }
-    } else {
-      console.log(`[SendMessage] User is ${sender.subscription_tier}. Skipping limit logic.`);
+  const { conversationId, content, messageType = 'text', parentMessageId, clientMessageId, attachmentId } = req.body;
+  let location = null;
+  if (req.body.location !== undefined) {
+    if (attachmentId) {
+      return res.status(400).json({ success: false, error: 'A message can have an attachment or a location, not both' });
     }
-
-    const message = await Message.create({
-      senderId: sender.id,
+    const { error, value } = validateLocationShare(req.body.location);
+    if (error) {
+      return res.status(400).json({ success: false, error: error.details[0].message });
+    }
+    location = value;
+  }
+  try {
+    const { message, duplicate } = await MessagingService.send(req.user, {
       conversationId: parseInt(conversationId),
       content,
       messageType,
-      parentMessageId: parentMessageId ? parseInt(parentMessageId) : null
-    });
+      parentMessageId: parentMessageId ? parseInt(parentMessageId) : null,
+      clientMessageId: clientMessageId || null,
+      attachmentId: attachmentId ? parseInt(attachmentId) : null,
+      location
+    }, req.app.get('wsController'));
 
-    const wsController = req.app.get('wsController');
-    if (wsController) {
-      const participants = await Message.getConversationParticipants(parseInt(conversationId));
-      participants.forEach(participantId => {
-        wsController.broadcastToUser(participantId, { type: 'NEW_MESSAGE', data: message });
-      });
+    res.status(duplicate ? 200 : 201).json({ success: true, data: message, duplicate });
+  } catch (error) {
+    if (!(error instanceof ApiError)) {
+      logger.error('Error sending message:', error);
     }
+    sendServiceError(res, error, 'Failed to send message');
+  }
+};
 
-    await Message.markAsRead(parseInt(conversationId), sender.id, message.id);
+// Conversation settings: each changes only the requesting user's view
+const updateConversationSettings = (changesFrom, failureMessage) => async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
 
-    res.status(201).json({ success: true, data: message });
+  try {
+    const settings = await MessagingService.updateConversationSettings(
+      req.user.id,
+      parseInt(req.params.conversationId),
+      changesFrom(req),
+      req.app.get('wsController')
+    );
+    res.json({ success: true, data: settings });
   } catch (error) {
-    logger.error('Error sending message:', error);
-    const status = error.statusCode || 500;
-    res.status(status).json({
-      success: false,
-      error: error.message || 'Failed to send message'
-    });
+    if (!(error instanceof ApiError)) {
+      logger.error(`${failureMessage}:`, error);
+    }
+    sendServiceError(res, error, failureMessage);
   }
 };
 
+// Mute notifications, indefinitely or `until` a time
+exports.muteConversation = updateConversationSettings(
+  req => ({ muted: true, mutedUntil: req.body.until ? new Date(req.body.until) : null }),
+  'Failed to mute conversation'
+);
+exports.unmuteConversation = updateConversationSettings(() => ({ muted: false }), 'Failed to unmute conversation');
+exports.archiveConversation = updateConversationSettings(() => ({ archived: true }), 'Failed to archive conversation');
+exports.unarchiveConversation = updateConversationSettings(() => ({ archived: false }), 'Failed to unarchive conversation');
+exports.pinConversation = updateConversationSettings(() => ({ pinned: true }), 'Failed to pin conversation');
+exports.unpinConversation = updateConversationSettings(() => ({ pinned: false }), 'Failed to unpin conversation');
+
 // Mark messages as read
 exports.markAsRead = async (req, res) => {
   try {
     const { conversationId, messageId } = req.body;
     const userId = req.user.id;
     if (!conversationId) return res.status(400).json({ success: false, error: 'Conversation ID is required' });
-    await Message.markAsRead(parseInt(conversationId), userId, messageId ? parseInt(messageId) : null);
+    await MessagingService.markRead(userId, parseInt(conversationId), messageId ? parseInt(messageId) : null, req.app.get('wsController'));
     res.json({ success: true, data: { conversationId, messageId } });
   } catch (error) {
     logger.error('Error marking messages as read:', error);
@@ -174,27 +217,47 @@ exports.editMessage = async (req, res) => {
     const userId = req.user.id;
     if (!messageId) return res.status(400).json({ success: false, error: 'Message ID is required' });
     if (!content || content.trim() === '') return res.status(400).json({ success: false, error: 'Message content is required' });
-    const message = await Message.edit(parseInt(messageId), content, userId);
-    if (!message) return res.status(404).json({ success: false, error: 'Message not found or not authorized' });
+    const message = await MessagingService.edit(userId, parseInt(messageId), content, req.app.get('wsController'));
     res.json({ success: true, data: message });
   } catch (error) {
-    logger.error('Error editing message:', error);
-    res.status(500).json({ success: false, error: 'Failed to edit message' });
+    if (!(error instanceof ApiError)) {
+      logger.error('Error editing message:', error);
+    }
+    sendServiceError(res, error, 'Failed to edit message');
   }
 };
 
-// Delete a message
+// Delete a message for everyone (default) or, with ?scope=me, for the user only
 exports.deleteMessage = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
   try {
     const { messageId } = req.params;
     const userId = req.user.id;
-    if (!messageId) return res.status(400).json({ success: false, error: 'Message ID is required' });
-    const result = await Message.delete(parseInt(messageId), userId);
-    if (!result) return res.status(404).json({ success: false, error: 'Message not found or not authorized' });
-    res.json({ success: true, data: { messageId } });
+    const { scope = 'everyone' } = req.query;
+    const result = await MessagingService.delete(userId, parseInt(messageId), req.app.get('wsController'), scope);
+    res.json({ success: true, data: result });
   } catch (error) {
-    logger.error('Error deleting message:', error);
-    res.status(500).json({ success: false, error: 'Failed to delete message' });
+    if (!(error instanceof ApiError)) {
+      logger.error('Error deleting message:', error);
+    }
+    sendServiceError(res, error, 'Failed to delete message');
+  }
+};
+
+// A message's earlier versions, for participants of its conversation
+exports.getMessageHistory = async (req, res) => {
+  try {
+    const history = await MessagingService.getHistory(req.user.id, parseInt(req.params.messageId));
+    res.json({ success: true, data: history });
+  } catch (error) {
+    if (!(error instanceof ApiError)) {
+      logger.error('Error fetching message history:', error);
+    }
+    sendServiceError(res, error, 'Failed to fetch message history');
   }
 };
 
@@ -205,15 +268,14 @@ exports.reactToMessage = async (req, res) => {
     const { emoji, action = 'add' } = req.body;
     const userId = req.user.id;
     if (!messageId || !emoji) return res.status(400).json({ success: false, error: 'Message ID and emoji are required' });
-    let result;
-    if (action === 'add') result = await Message.addReaction(parseInt(messageId), userId, emoji);
-    else if (action === 'remove') result = await Message.removeReaction(parseInt(messageId), userId, emoji);
-    else return res.status(400).json({ success: false, error: 'Invalid action' });
-    if (!result && action === 'add') return res.status(400).json({ success: false, error: 'Failed to add reaction' });
+    if (action !== 'add' && action !== 'remove') return res.status(400).json({ success: false, error: 'Invalid action' });
+    await MessagingService.react(userId, parseInt(messageId), emoji, action, req.app.get('wsController'));
     res.json({ success: true, data: { messageId, emoji, action } });
   } catch (error) {
-    logger.error('Error updating reaction:', error);
-    res.status(500).json({ success: false, error: `Failed to ${req.body.action || 'update'} reaction` });
+    if (!(error instanceof ApiError)) {
+      logger.error('Error updating reaction:', error);
+    }
+    sendServiceError(res, error, `Failed to ${req.body.action || 'update'} reaction`);
   }
 };
 
@@ -228,4 +290,80 @@ exports.getMessageReactions = async (req, res) => {
     logger.error('Error fetching message reactions:', error);
     res.status(500).json({ success: false, error: 'Failed to fetch message reactions' });
   }
-};
\ No newline at end of file
+};
+
+// Upload an image, audio, video or PDF to a conversation (multipart field `file`).
+// Send it by passing the returned id as `attachmentId` when sending a message.
+exports.uploadAttachment = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'A file is required' });
+  }
+
+  try {
+    const { durationSeconds } = req.body;
+    const attachment = await AttachmentService.upload(req.user.id, parseInt(req.params.conversationId), req.file, {
+      durationSeconds: durationSeconds !== undefined ? parseFloat(durationSeconds) : null
+    });
+    res.status(201).json({ success: true, data: AttachmentService.present(attachment) });
+  } catch (error) {
+    if (!(error instanceof ApiError)) {
+      logger.error('Error uploading attachment:', error);
+    }
+    sendServiceError(res, error, 'Failed to upload attachment');
+  }
+};
+
+// Short-lived download link for media elements that can't send the auth header
+exports.getAttachmentLink = async (req, res) => {
+  try {
+    const link = await AttachmentService.createLink(req.user.id, parseInt(req.params.attachmentId));
+    res.json({ success: true, data: link });
+  } catch (error) {
+    if (!(error instanceof ApiError)) {
+      logger.error('Error creating attachment link:', error);
+    }
+    sendServiceError(res, error, 'Failed to create attachment link');
+  }
+};
+
+// Stream an attachment to a participant, authenticated by header or by a link's token
+exports.downloadAttachment = async (req, res) => {
+  try {
+    const attachmentId = parseInt(req.params.attachmentId);
+    if (Number.isNaN(attachmentId)) {
+      return res.status(404).json({ success: false, error: 'Attachment not found' });
+    }
+    const userId = req.query.token
+      ? AttachmentService.verifyLinkToken(req.query.token, attachmentId)
+      : req.user.id;
+    const { attachment, stream } = await AttachmentService.openForDownload(userId, attachmentId);
+
+    stream.once('open', () => {
+      res.set({
+        'Content-Type': attachment.mime_type,
+        'Content-Length': attachment.file_size,
+        'Content-Disposition': AttachmentService.contentDisposition(attachment),
+        'X-Content-Type-Options': 'nosniff',
+        'Cache-Control': 'private, max-age=900'
+      });
+      stream.pipe(res);
+    });
+    stream.once('error', (error) => {
+      logger.error(`Error reading attachment ${attachmentId}:`, error);
+      if (res.headersSent) {
+        res.destroy(error);
+      } else {
+        res.status(404).json({ success: false, error: 'Attachment not found' });
+      }
+    });
+  } catch (error) {
+    if (!(error instanceof ApiError)) {
+      logger.error('Error downloading attachment:', error);
+    }
+    sendServiceError(res, error, 'Failed to download attachment');
+  }
+};
@@ -0,0 +1,155 @@
+const Notification = require('../models/Notification');
+const EmailDigestSetting = require('../models/EmailDigestSetting');
+const NotificationService = require('../services/NotificationService');
+const { validateNotificationPreferences, validateDigestSettings } = require('../utils/validation');
+
+const MAX_PAGE_SIZE = 50;
+
+// The unsubscribe token stays server-side; it only travels in digest emails
+const toDigestSettings = (row) => ({
+  frequency: row.frequency,
+  quietHoursStart: row.quiet_hours_start,
+  quietHoursEnd: row.quiet_hours_end,
+  timezone: row.timezone,
+  lastSentAt: row.last_sent_at
+});
+
+const notificationController = {
+  /**
+   * Lists the authenticated user's notifications, newest first.
+   * Query: limit (max 50), offset, unreadOnly=true.
+   */
+  getNotifications: async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+      const unreadOnly = req.query.unreadOnly === 'true';
+
+      const [{ notifications, total }, unreadCount] = await Promise.all([
+        Notification.listForUser(req.user.id, { limit, offset, unreadOnly }),
+        Notification.countUnread(req.user.id)
+      ]);
+      res.json({ notifications, total, unreadCount, limit, offset });
+    } catch (error) {
+      console.error('Error in getNotifications controller:', error);
+      res.status(500).json({ error: 'Failed to retrieve notifications.' });
+    }
+  },
+
+  getUnreadCount: async (req, res) => {
+    try {
+      const unreadCount = await Notification.countUnread(req.user.id);
+      res.json({ unreadCount });
+    } catch (error) {
+      console.error('Error in getUnreadCount controller:', error);
+      res.status(500).json({ error: 'Failed to retrieve unread notification count.' });
+    }
+  },
+
+  markAsRead: async (req, res) => {
+    try {
+      const id = parseInt(req.params.id, 10);
+      if (Number.isNaN(id)) {
+        return res.status(400).json({ error: 'Invalid notification id.' });
+      }
+      const notification = await Notification.markRead(id, req.user.id);
+      if (!notification) {
+        return res.status(404).json({ error: 'Notification not found.' });
+      }
+      res.json({ notification });
+    } catch (error) {
+      console.error('Error in markAsRead controller:', error);
+      res.status(500).json({ error: 'Failed to mark notification as read.' });
+    }
+  },
+
+  markAllAsRead: async (req, res) => {
+    try {
+      const updated = await Notification.markAllRead(req.user.id);
+      res.json({ message: 'All notifications marked as read.', updated });
+    } catch (error) {
+      console.error('Error in markAllAsRead controller:', error);
+      res.status(500).json({ error: 'Failed to mark notifications as read.' });
+    }
+  },
+
+  /**
+   * Returns the in_app / websocket / email / digest settings for every notification type.
+   */
+  getPreferences: async (req, res) => {
+    try {
+      const preferences = await NotificationService.getPreferences(req.user.id);
+      res.json({ preferences });
+    } catch (error) {
+      console.error('Error in getPreferences controller:', error);
+      res.status(500).json({ error: 'Failed to retrieve notification preferences.' });
+    }
+  },
+
+  /**
+   * Updates some channels of some types, e.g. { "match": { "email": false } }.
+   */
+  updatePreferences: async (req, res) => {
+    try {
+      const { error, value } = validateNotificationPreferences(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+      const preferences = await NotificationService.updatePreferences(req.user.id, value);
+      res.json({ preferences });
+    } catch (error) {
+      console.error('Error in updatePreferences controller:', error);
+      res.status(500).json({ error: 'Failed to update notification preferences.' });
+    }
+  },
+
+  getDigestSettings: async (req, res) => {
+    try {
+      const settings = await EmailDigestSetting.getOrCreate(req.user.id);
+      res.json({ digest: toDigestSettings(settings) });
+    } catch (error) {
+      console.error('Error in getDigestSettings controller:', error);
+      res.status(500).json({ error: 'Failed to retrieve digest settings.' });
+    }
+  },
+
+  /**
+   * Updates how often the activity digest is sent, quiet hours and time zone.
+   */
+  updateDigestSettings: async (req, res) => {
+    try {
+      const { error, value } = validateDigestSettings(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+      const settings = await EmailDigestSetting.update(req.user.id, value);
+      res.json({ digest: toDigestSettings(settings) });
+    } catch (error) {
+      console.error('Error in updateDigestSettings controller:', error);
+      res.status(500).json({ error: 'Failed to update digest settings.' });
+    }
+  },
+
+  /**
+   * Unauthenticated unsubscribe link from digest emails. Answers both the
+   * link (GET) and mail clients' one-click List-Unsubscribe-Post (POST).
+   */
+  unsubscribeDigest: async (req, res) => {
+    try {
+      const token = req.query.token;
+      if (typeof token !== 'string' || !/^[a-f0-9]{64}$/.test(token)) {
+        return res.status(400).json({ error: 'Invalid unsubscribe token.' });
+      }
+      const settings = await EmailDigestSetting.unsubscribeByToken(token);
+      if (!settings) {
+        return res.status(404).json({ error: 'Unsubscribe link not recognised.' });
+      }
+      res.json({ message: 'You have been unsubscribed from activity digest emails.' });
+    } catch (error) {
+      console.error('Error in unsubscribeDigest controller:', error);
+      res.status(500).json({ error: 'Failed to unsubscribe.' });
+    }
+  }
+};
+
+module.exports = notificationController;
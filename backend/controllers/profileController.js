@@ -1,35 +1,43 @@
 const Profile = require('../models/Profile');
 const User = require('../models/User');
+const UserLocation = require('../models/UserLocation');
+const ProfileView = require('../models/ProfileView');
+const AppSetting = require('../models/AppSetting');
+const { validateLocation } = require('../utils/validation');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 
-// Placeholder for actual logic to fetch profile visitors
-// This would typically involve logging profile views in another table
-// and then querying that table.
+// Get the authenticated user's recent profile visitors.
+// Visitors who were browsing anonymously are listed without any identity.
 const getProfileVisitors = async (req, res) => {
   const userId = req.user.id; // Assuming auth middleware sets req.user
 
   try {
-    // --- SIMULATED LOGIC ---
-    // In a real application, you would query a table that logs profile visits.
-    // For example: SELECT visitor_id, visit_timestamp FROM profile_visits WHERE visited_user_id = $1 ORDER BY visit_timestamp DESC LIMIT 20;
-    // Then, you might fetch basic details for each visitor_id.
-
-    // For now, let's return a dummy list of visitors.
-    const dummyVisitors = [
-      { id: 101, username: 'CuriousUser1', visitedAt: new Date(Date.now() - 3600000).toISOString(), mutualMatch: true },
-      { id: 102, username: 'ExplorerGal', visitedAt: new Date(Date.now() - 7200000).toISOString(), mutualMatch: false },
-      { id: 103, username: 'MysteryMan', visitedAt: new Date(Date.now() - 10800000).toISOString(), mutualMatch: true },
-    ];
-
-    // Simulate checking if the current user (premium user) has access to this feature
-    // The middleware `requireTier('Premium')` already handles this, but good to be aware.
-    console.log(`User ${userId} is accessing their profile visitors (Premium feature).`);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const views = await ProfileView.getRecentVisitors(userId, { limit, offset: (page - 1) * limit });
+
+    const visitors = views.map(view => (view.is_anonymous ? {
+      id: null,
+      username: null,
+      profilePicture: null,
+      visitedAt: view.viewed_at,
+      mutualMatch: false,
+      isAnonymous: true,
+      message: 'Someone viewed your profile'
+    } : {
+      id: view.viewer_id,
+      username: view.first_name,
+      profilePicture: view.profile_picture,
+      visitedAt: view.viewed_at,
+      mutualMatch: view.is_match,
+      isAnonymous: false
+    }));
 
     res.status(200).json({
       message: 'Successfully retrieved profile visitors.',
-      visitors: dummyVisitors,
+      visitors,
       featureTier: 'Premium'
     });
 
@@ -217,11 +225,92 @@ const markProfileComplete = async (req, res) => {
   }
 };
 
+// Used when the `location_grid_km` setting is missing
+const DEFAULT_LOCATION_GRID_KM = 2;
+
+// Shapes a user_locations row for its owner. Other users only ever see the
+// city and a rounded distance, never coordinates.
+const formatLocation = (location) => (location ? {
+  latitude: parseFloat(location.latitude),
+  longitude: parseFloat(location.longitude),
+  city: location.city,
+  updatedAt: location.updated_at
+} : null);
+
+// Get the authenticated user's stored location
+const getLocation = async (req, res) => {
+  try {
+    const location = await UserLocation.findByUserId(req.user.id);
+    res.status(200).json({ success: true, location: formatLocation(location) });
+  } catch (error) {
+    console.error('Error fetching location:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch location',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update the authenticated user's location.
+ * The submitted coordinates are snapped to the location grid before they
+ * are saved; the precise values are discarded.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const updateLocation = async (req, res) => {
+  try {
+    const { error, value } = validateLocation(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error: error.details[0].message });
+    }
+
+    const gridKm = await AppSetting.get('location_grid_km', DEFAULT_LOCATION_GRID_KM);
+    const snapped = UserLocation.snapToGrid(value.latitude, value.longitude, gridKm);
+    const location = await UserLocation.upsert(req.user.id, {
+      ...snapped,
+      city: value.city || null
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Location updated successfully',
+      location: formatLocation(location)
+    });
+  } catch (error) {
+    console.error('Error updating location:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update location',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Remove the authenticated user's location
+const deleteLocation = async (req, res) => {
+  try {
+    await UserLocation.delete(req.user.id);
+    res.status(200).json({ success: true, message: 'Location removed' });
+  } catch (error) {
+    console.error('Error removing location:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove location',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   getProfileVisitors,
   uploadProfilePicture,
   getProfile,
   updateProfile,
   markProfileComplete,
-  ensureUploadsDirectory
+  ensureUploadsDirectory,
+  getLocation,
+  updateLocation,
+  deleteLocation
 };
@@ -1,4 +1,40 @@
 const pool = require('../config/db');
+const ReportService = require('../services/ReportService');
+const RealtimeEventService = require('../services/RealtimeEventService');
+const ApiError = require('../utils/ApiError');
+const { validateReport } = require('../utils/validation');
+
+/**
+ * Lets a user report another user's profile, photo, message or behaviour.
+ * With `block: true` the reported user is blocked as well.
+ */
+exports.submitReport = async (req, res) => {
+  try {
+    const { error, value } = validateReport(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { report, block } = await ReportService.submit(req.user.id, value);
+    if (block && block.match) {
+      RealtimeEventService.unmatched(req.app.get('wsController'), block.match, req.user.id);
+    }
+    res.status(201).json({
+      id: report.id,
+      type: report.type,
+      category: report.category,
+      status: report.status,
+      createdAt: report.created_at,
+      blocked: !!block
+    });
+  } catch (err) {
+    if (err instanceof ApiError) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error('Error in submitReport:', err);
+    res.status(500).json({ message: 'Failed to submit report' });
+  }
+};
 
 exports.getReportedContent = async (req, res) => {
   const client = await pool.connect();
@@ -24,6 +60,7 @@ exports.getReportedContent = async (req, res) => {
         SELECT 
           rc.id,
           rc.type,
+          rc.category,
           rc.reason,
           rc.status,
           rc.created_at,
@@ -146,6 +183,7 @@ exports.updateReportStatus = async (req, res) => {
     ]);
 
     await client.query('COMMIT');
+    ReportService.notifyOutcome(req.app.get('wsController'), result.rows[0], { status });
     console.log('Successfully updated report status:', { id, status });
     res.json({ message: 'Report status updated successfully' });
   } catch (err) {
@@ -2,6 +2,7 @@ console.log('[DEBUG] transactionController.js module loading...');
 const Transaction = require('../models/Transaction');
 const PaymentMethod = require('../models/PaymentMethod'); // For potential direct use
 const Subscription = require('../models/Subscription'); // For fetching item details like price
+const BoostProduct = require('../models/BoostProduct'); // For boost product prices
 
 /**
  * Initiates a new transaction for a payable item (e.g., subscription package).
@@ -39,6 +40,13 @@ exports.initiateTransaction = async (req, res) => {
             amount = subscriptionPackage.price;
             currency = subscriptionPackage.currency || 'USD'; // Assuming USD if currency not on package
                                                              // In a real app, currency should be explicit.
+        } else if (itemCategory === 'boost') {
+            const boostProduct = await BoostProduct.getById(iId);
+            if (!boostProduct || !boostProduct.is_active) {
+                return res.status(404).json({ message: 'Boost product not found.' });
+            }
+            amount = parseFloat(boostProduct.price);
+            currency = boostProduct.currency;
         } else if (itemCategory === 'gift') {
             // Placeholder for gift item logic - fetch gift details and price
             // const gift = await Gift.getById(iId); // Example
@@ -1,5 +1,6 @@
 const UserActivity = require('../models/UserActivity');
 const User = require('../models/User');
+const SuperLikeService = require('../services/SuperLikeService');
 const logger = require('../utils/logger');
 
 // Define free tier limits
@@ -87,6 +88,7 @@ exports.getUsage = async (req, res) => {
     
     // Default to Basic tier if not set
     const subscriptionTier = user.subscription_tier || 'Basic';
+    const superLikes = await SuperLikeService.getStatus(userId, subscriptionTier);
     
     res.json({
       success: true,
@@ -98,7 +100,8 @@ exports.getUsage = async (req, res) => {
           remainingSwipes: isLimitedTier ? Math.max(0, FREE_TIER_LIMITS.dailySwipes - (activity.swipe_count || 0)) : null,
           remainingMessages: isLimitedTier ? Math.max(0, FREE_TIER_LIMITS.dailyMessages - (activity.message_count || 0)) : null,
           isUnlimited: !isLimitedTier
-        }
+        },
+        superLikes
       }
     });
     
@@ -1,7 +1,19 @@
 const User = require('../models/User');
 const Profile = require('../models/Profile');
 const Like = require('../models/Like'); // Added Like model
-const { validateProfile } = require('../utils/validation');
+const ProfileView = require('../models/ProfileView');
+const SavedSearch = require('../models/SavedSearch');
+const UserBlock = require('../models/UserBlock');
+const RealtimeEventService = require('../services/RealtimeEventService');
+const AdvancedMatchService = require('../services/AdvancedMatchService');
+const PresenceService = require('../services/PresenceService');
+const { validateProfile, validateProfileViewsQuery, validateAdvancedSearch, validateSavedSearch } = require('../utils/validation');
+
+const MAX_ANALYTICS_RANGE_DAYS = 366;
+const MAX_BLOCKS_PAGE_SIZE = 100;
+const MAX_PRESENCE_IDS = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const toDateString = (date) => date.toISOString().slice(0, 10);
 
 exports.getCurrentUserProfile = async (req, res) => {
   try {
@@ -19,7 +31,7 @@ exports.getCurrentUserProfile = async (req, res) => {
 exports.getProfile = async (req, res) => {
   try {
     const profile = await Profile.findByUserId(req.params.id);
-    if (!profile) {
+    if (!profile || await UserBlock.isBlockedEither(req.user.id, profile.user_id)) {
       return res.status(404).json({ error: 'Profile not found' });
     }
     res.json(profile);
@@ -86,19 +98,20 @@ exports.getWhoLikedMe = async (req, res) => {
   }
 };
 
-// Placeholder for getting incognito status (Elite feature)
+/**
+ * Gets the authenticated user's incognito mode status (Elite feature).
+ * While incognito, the user only appears in suggestions for people they have
+ * liked, their profile views aren't recorded and their likes stay hidden
+ * until they become a match.
+ */
 exports.getIncognitoStatus = async (req, res) => {
   const userId = req.user.id;
   try {
-    // In a real app, you'd fetch this from the User model, e.g., user.is_incognito
-    // const user = await User.findById(userId);
-    // const isIncognito = user.is_incognito || false;
-    const isIncognito = false; // Dummy value
-
-    console.log(`User ${userId} is checking incognito status (Elite feature). Current status: ${isIncognito}`);
-    res.status(200).json({ 
+    const user = await User.findById(userId);
+    res.status(200).json({
       message: 'Successfully retrieved incognito status.',
-      isIncognito,
+      isIncognito: user.is_incognito,
+      enabledAt: user.incognito_enabled_at,
       featureTier: 'Elite'
     });
   } catch (error) {
@@ -107,7 +120,8 @@ exports.getIncognitoStatus = async (req, res) => {
   }
 };
 
-// Placeholder for setting incognito status (Elite feature)
+// Turns incognito mode on or off (Elite feature). It is switched off
+// automatically once the Elite subscription lapses.
 exports.setIncognitoStatus = async (req, res) => {
   const userId = req.user.id;
   const { enabled } = req.body;
@@ -117,20 +131,304 @@ exports.setIncognitoStatus = async (req, res) => {
   }
 
   try {
-    // In a real app, you'd update this in the User model, e.g., await User.update(userId, { is_incognito: enabled });
-    console.log(`User ${userId} is setting incognito status to ${enabled} (Elite feature).`);
-    
-    // Simulate update
-    // const updatedUser = await User.findById(userId); 
-    // const newStatus = updatedUser.is_incognito;
+    const updated = await User.setIncognito(userId, enabled);
+    const wsController = req.app.get('wsController');
+    if (wsController) {
+      PresenceService.broadcast(wsController, userId)
+        .catch(err => console.error('Failed to broadcast presence after incognito change:', err));
+    }
 
     res.status(200).json({
       message: `Incognito mode ${enabled ? 'enabled' : 'disabled'} successfully.`,
-      isIncognito: enabled, // Return the new status
+      isIncognito: updated.is_incognito,
+      enabledAt: updated.incognito_enabled_at,
       featureTier: 'Elite'
     });
   } catch (error) {
     console.error('Error in setIncognitoStatus:', error);
     res.status(500).json({ message: 'Server error while updating incognito status.' });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Gets whether the authenticated user hides their last seen time (Elite
+ * feature). It only takes effect while the user is Elite.
+ */
+exports.getLastSeenSetting = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    res.status(200).json({ hideLastSeen: user.hide_last_seen, featureTier: 'Elite' });
+  } catch (error) {
+    console.error('Error in getLastSeenSetting:', error);
+    res.status(500).json({ message: 'Server error while fetching last seen setting.' });
+  }
+};
+
+exports.setLastSeenSetting = async (req, res) => {
+  const { hidden } = req.body;
+
+  if (typeof hidden !== 'boolean') {
+    return res.status(400).json({ message: 'Invalid input: "hidden" must be a boolean.' });
+  }
+
+  try {
+    const updated = await User.setHideLastSeen(req.user.id, hidden);
+    res.status(200).json({
+      message: `Last seen ${hidden ? 'hidden' : 'shown'} successfully.`,
+      hideLastSeen: updated.hide_last_seen,
+      featureTier: 'Elite'
+    });
+  } catch (error) {
+    console.error('Error in setLastSeenSetting:', error);
+    res.status(500).json({ message: 'Server error while updating last seen setting.' });
+  }
+};
+
+/**
+ * Returns online status and last seen time for the users in `?ids=1,2,3`.
+ * Users who aren't the caller's matches or conversation partners are left out.
+ */
+exports.getPresence = async (req, res) => {
+  try {
+    const ids = String(req.query.ids || '').split(',').filter(Boolean).map(id => parseInt(id, 10));
+    if (ids.length === 0 || ids.length > MAX_PRESENCE_IDS || ids.some(Number.isNaN)) {
+      return res.status(400).json({ error: `ids must be a comma-separated list of up to ${MAX_PRESENCE_IDS} user IDs.` });
+    }
+    const presence = await PresenceService.getPresence(req.app.get('wsController'), req.user.id, Array.from(new Set(ids)));
+    res.status(200).json({ presence });
+  } catch (err) {
+    console.error('Error in getPresence controller:', err);
+    res.status(500).json({ error: 'Failed to retrieve presence.' });
+  }
+};
+
+/**
+ * Returns profile view analytics for the authenticated user: a zero-filled
+ * daily series, unique vs repeat viewers, view -> like -> match conversion
+ * and recent viewers. Basic users only get a count of recent viewers;
+ * higher tiers see who they are (except anonymous viewers).
+ * This route is protected by checkFeatureAccess('profileViews').
+ */
+exports.getProfileViewAnalytics = async (req, res) => {
+  try {
+    const { error, value } = validateProfileViewsQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    let from;
+    let to;
+    if (value.from) {
+      from = toDateString(value.from);
+      to = toDateString(value.to);
+      if ((value.to - value.from) / DAY_MS + 1 > MAX_ANALYTICS_RANGE_DAYS) {
+        return res.status(400).json({ error: `Date range cannot exceed ${MAX_ANALYTICS_RANGE_DAYS} days.` });
+      }
+    } else {
+      const today = new Date();
+      const days = value.days || 30;
+      to = toDateString(today);
+      from = toDateString(new Date(today.getTime() - (days - 1) * DAY_MS));
+    }
+
+    const userId = req.user.id;
+    const tier = (req.subscription && req.subscription.tier_level) || req.user.subscription_tier || 'Basic';
+    const redacted = tier === 'Basic';
+    const [analytics, visitors] = await Promise.all([
+      ProfileView.getAnalytics(userId, { from, to }),
+      redacted ? [] : ProfileView.getRecentVisitors(userId, { limit: value.recentLimit })
+    ]);
+
+    // The count is of distinct viewers over the whole range, not of the listed views
+    const recentViewers = redacted
+      ? { count: analytics.totals.uniqueViewers, redacted: true, viewers: [] }
+      : {
+        count: analytics.totals.uniqueViewers,
+        redacted: false,
+        viewers: visitors.map(view => ({
+          id: view.viewer_id,
+          firstName: view.first_name,
+          profilePicture: view.profile_picture,
+          viewedAt: view.viewed_at,
+          isAnonymous: view.is_anonymous
+        }))
+      };
+
+    res.json({
+      range: { from, to },
+      ...analytics,
+      recentViewers
+    });
+  } catch (err) {
+    console.error('Error in getProfileViewAnalytics controller:', err);
+    res.status(500).json({ error: 'Failed to retrieve profile view analytics.' });
+  }
+};
+
+/**
+ * Searches profiles with the advanced-matching filters and sorts.
+ * This route is protected by checkFeatureAccess('advancedMatching').
+ */
+exports.getAdvancedMatches = async (req, res) => {
+  try {
+    const { error, value } = validateAdvancedSearch(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const { sort, limit, cursor, ...filters } = value;
+
+    const result = await AdvancedMatchService.search(req.user.id, { filters, sort, limit, cursor });
+    res.json(result);
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Error in getAdvancedMatches controller:', err);
+    res.status(500).json({ error: 'Failed to search profiles.' });
+  }
+};
+
+exports.getSavedSearches = async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.listForUser(req.user.id);
+    res.json({ savedSearches });
+  } catch (err) {
+    console.error('Error in getSavedSearches controller:', err);
+    res.status(500).json({ error: 'Failed to retrieve saved searches.' });
+  }
+};
+
+/**
+ * Saves an advanced-match search. Profiles that already match are recorded
+ * straight away, so alerts only cover profiles that match later on.
+ */
+exports.createSavedSearch = async (req, res) => {
+  try {
+    const { error, value } = validateSavedSearch(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    if (await SavedSearch.countForUser(req.user.id) >= AdvancedMatchService.MAX_SAVED_SEARCHES) {
+      return res.status(409).json({ error: `You can save up to ${AdvancedMatchService.MAX_SAVED_SEARCHES} searches.` });
+    }
+
+    const savedSearch = await SavedSearch.create(req.user.id, value);
+    await AdvancedMatchService.recordBaseline(savedSearch);
+    res.status(201).json(savedSearch);
+  } catch (err) {
+    console.error('Error in createSavedSearch controller:', err);
+    res.status(500).json({ error: 'Failed to save search.' });
+  }
+};
+
+exports.updateSavedSearch = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid saved search ID.' });
+    }
+    const { error, value } = validateSavedSearch(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const savedSearch = await SavedSearch.update(id, req.user.id, value);
+    if (!savedSearch) {
+      return res.status(404).json({ error: 'Saved search not found.' });
+    }
+    // New criteria mean a new baseline of what counts as "already seen"
+    if (value.filters !== undefined) {
+      await SavedSearch.clearHits(savedSearch.id);
+      await AdvancedMatchService.recordBaseline(savedSearch);
+    }
+    res.json(savedSearch);
+  } catch (err) {
+    console.error('Error in updateSavedSearch controller:', err);
+    res.status(500).json({ error: 'Failed to update saved search.' });
+  }
+};
+
+exports.deleteSavedSearch = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid saved search ID.' });
+    }
+    const savedSearch = await SavedSearch.delete(id, req.user.id);
+    if (!savedSearch) {
+      return res.status(404).json({ error: 'Saved search not found.' });
+    }
+    res.json({ message: 'Saved search deleted.' });
+  } catch (err) {
+    console.error('Error in deleteSavedSearch controller:', err);
+    res.status(500).json({ error: 'Failed to delete saved search.' });
+  }
+};
+
+exports.getBlockedUsers = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_BLOCKS_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { blocks, total } = await UserBlock.listForUser(req.user.id, { limit, offset });
+    res.json({
+      blocks: blocks.map(block => ({
+        id: block.user_id,
+        firstName: block.first_name,
+        profilePicture: block.profile_picture,
+        blockedAt: block.blocked_at
+      })),
+      total,
+      limit,
+      offset
+    });
+  } catch (err) {
+    console.error('Error in getBlockedUsers controller:', err);
+    res.status(500).json({ error: 'Failed to get blocked users.' });
+  }
+};
+
+/**
+ * Blocks a user. Any match between the two is removed, along with the likes
+ * in both directions, and their conversation is hidden from both of them.
+ */
+exports.blockUser = async (req, res) => {
+  try {
+    const blockedId = parseInt(req.params.id, 10);
+    if (Number.isNaN(blockedId)) {
+      return res.status(400).json({ error: 'Invalid user ID.' });
+    }
+    if (blockedId === req.user.id) {
+      return res.status(400).json({ error: 'You cannot block yourself.' });
+    }
+    const user = await User.findById(blockedId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    const { block, match } = await UserBlock.block(req.user.id, blockedId);
+    if (match) {
+      RealtimeEventService.unmatched(req.app.get('wsController'), match, req.user.id);
+    }
+    res.status(201).json({ id: blockedId, blockedAt: block.created_at });
+  } catch (err) {
+    console.error('Error in blockUser controller:', err);
+    res.status(500).json({ error: 'Failed to block user.' });
+  }
+};
+
+exports.unblockUser = async (req, res) => {
+  try {
+    const blockedId = parseInt(req.params.id, 10);
+    if (Number.isNaN(blockedId)) {
+      return res.status(400).json({ error: 'Invalid user ID.' });
+    }
+    const block = await UserBlock.unblock(req.user.id, blockedId);
+    if (!block) {
+      return res.status(404).json({ error: 'Block not found.' });
+    }
+    res.json({ message: 'User unblocked.' });
+  } catch (err) {
+    console.error('Error in unblockUser controller:', err);
+    res.status(500).json({ error: 'Failed to unblock user.' });
+  }
+};
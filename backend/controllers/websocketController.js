@@ -1,20 +1,85 @@
 // backend/controllers/websocketController.js
 
+const crypto = require('crypto');
 const WebSocket = require('ws');
 const jwt = require('jsonwebtoken');
 const pool = require('../config/db'); // Use pool for DB access
 const { JWT_SECRET } = require('../config/env'); // Correctly import secret
+const UserEventSequence = require('../models/UserEventSequence');
+const User = require('../models/User');
+const MessagingService = require('../services/MessagingService');
+const PresenceService = require('../services/PresenceService');
+const LocationShareService = require('../services/LocationShareService');
+const ApiError = require('../utils/ApiError');
+const { validateSocketAction } = require('../utils/validation');
+const { InMemoryPubSub } = require('../services/pubsub');
+
+// Version of the event envelope sent by emitEvent (acks share it)
+const EVENT_ENVELOPE_VERSION = 1;
+
+// Acks are remembered per user for a while so an action retried with the
+// same id (e.g. after a reconnect) gets the original answer instead of
+// running twice. Sends are also deduplicated in the database.
+const ACK_CACHE_TTL_MS = 10 * 60 * 1000;
+const ACK_CACHE_MAX_PER_USER = 200;
+
+// Sockets that miss a ping for a whole interval are dropped. Each interval
+// also tells the other instances which users are connected here; an
+// instance not heard from for PEER_TIMEOUT_MS is assumed gone.
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const PEER_TIMEOUT_MS = 3 * HEARTBEAT_INTERVAL_MS;
+
+// Kinds of message exchanged between instances over the pub/sub adapter
+const FANOUT = {
+  DELIVER: 'deliver', // { userId, event }: send `event` to the user's sockets
+  HELLO: 'hello', // { instanceId, userIds, connections }: a new instance; peers reply with a snapshot
+  SNAPSHOT: 'snapshot', // { instanceId, userIds, connections }: who is connected to an instance
+  CONNECTION: 'connection', // { instanceId, userId, connected, connections }: a user's first socket opened / last one closed
+  BYE: 'bye' // { instanceId }: an instance shutting down
+};
+
+// Client actions: each resolves to the ack's data or throws an ApiError
+const SOCKET_ACTIONS = {
+  SEND_MESSAGE: (wsController, user, data, id) => MessagingService.send(user, { ...data, clientMessageId: id }, wsController),
+  EDIT_MESSAGE: async (wsController, user, data) => ({ message: await MessagingService.edit(user.id, data.messageId, data.content, wsController) }),
+  DELETE_MESSAGE: (wsController, user, data) => MessagingService.delete(user.id, data.messageId, wsController, data.scope),
+  REACT_MESSAGE: (wsController, user, data) => MessagingService.react(user.id, data.messageId, data.emoji, data.action, wsController),
+  MARK_DELIVERED: (wsController, user, data) => MessagingService.markDelivered(user.id, data.messageIds, wsController),
+  MARK_READ: (wsController, user, data) => MessagingService.markRead(user.id, data.conversationId, data.messageId || null, wsController),
+  TYPING_START: (wsController, user, data) => PresenceService.setTyping(wsController, user.id, data.conversationId, true),
+  TYPING_STOP: (wsController, user, data) => PresenceService.setTyping(wsController, user.id, data.conversationId, false),
+  LOCATION_UPDATE: (wsController, user, data) => LocationShareService.update(user.id, data, wsController),
+  LOCATION_STOP: (wsController, user, data) => LocationShareService.stop(user.id, data.messageId, wsController)
+};
 
 class WebSocketController {
-  constructor(server) {
+  /**
+   * @param {http.Server} server
+   * @param {object} [options]
+   * @param {object} [options.pubsub] - Adapter from services/pubsub that
+   *   carries events between instances. Defaults to in-memory (one instance).
+   */
+  constructor(server, { pubsub = new InMemoryPubSub() } = {}) {
     if (!server) {
       throw new Error('Server instance is required for WebSocketController.');
     }
     this.wss = new WebSocket.Server({ noServer: true });
     this.clients = new Map(); // userId -> Set of WebSocket connections
+    this.recentAcks = new Map(); // userId -> Map of action id -> { ack: Promise, at }
+    this.lastAckPruneAt = Date.now();
+    this.instanceId = crypto.randomUUID();
+    this.peers = new Map(); // other instanceId -> { userIds: Set, connections, seenAt }
+    this.counters = { eventsPublished: 0, eventsDelivered: 0, deadSocketsDropped: 0 };
+
+    this.pubsub = pubsub;
+    this.pubsub.subscribe(message => this.handleFanout(message));
+    this.pubsub.start()
+      .then(() => this.publish({ kind: FANOUT.HELLO, ...this.getLocalSnapshot() }))
+      .catch(err => console.error('Failed to start WebSocket pub/sub:', err));
 
     this.setupUpgradeHandler(server);
     this.setupConnectionHandler();
+    this.startHeartbeat();
   }
 
   setupUpgradeHandler(server) {
@@ -41,18 +106,31 @@ class WebSocketController {
     this.wss.on('connection', (ws, user) => { // 'user' is the decoded JWT payload
       const userId = user.id;
 
-      if (!this.clients.has(userId)) {
+      const firstConnection = !this.clients.has(userId);
+      if (firstConnection) {
         this.clients.set(userId, new Set());
       }
       this.clients.get(userId).add(ws);
       console.log(`WebSocket client connected: User ${userId}`);
 
+      ws.isAlive = true;
+      ws.on('pong', () => {
+        ws.isAlive = true;
+      });
+
+      // Other tabs already made the user online
+      if (firstConnection) {
+        this.publish({ kind: FANOUT.CONNECTION, instanceId: this.instanceId, userId, connected: true, connections: this.countLocalConnections() });
+        PresenceService.userConnected(this, userId)
+          .catch(err => console.error(`Failed to broadcast presence for User ${userId}:`, err));
+      }
+
       ws.on('message', async (data) => {
         try {
-          const message = JSON.parse(data);
-          // Here you can route to different handlers based on message.type
-          // For now, we log it.
-          console.log(`Received message from User ${userId}:`, message);
+          const ack = await this.handleClientAction(userId, data);
+          if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(ack));
+          }
         } catch (err) {
           console.error('Error handling WebSocket message:', err);
         }
@@ -65,6 +143,9 @@ class WebSocketController {
           if (userSockets.size === 0) {
             this.clients.delete(userId);
             console.log(`WebSocket client disconnected: User ${userId} (last connection)`);
+            this.publish({ kind: FANOUT.CONNECTION, instanceId: this.instanceId, userId, connected: false, connections: this.countLocalConnections() });
+            PresenceService.userDisconnected(this, userId)
+              .catch(err => console.error(`Failed to broadcast presence for User ${userId}:`, err));
           }
         }
       });
@@ -75,6 +156,104 @@ class WebSocketController {
     });
   }
 
+  /**
+   * Runs one client action frame, { type, id, data }, and builds its ack:
+   * { v, type: 'ACK', id, ok, data } on success or
+   * { v, type: 'ACK', id, ok: false, error: { status, code, message } }.
+   * @param {number} userId - The connection's user.
+   * @param {string|Buffer} raw - The frame as received.
+   * @returns {Promise<object>} The ack.
+   */
+  async handleClientAction(userId, raw) {
+    let frame;
+    try {
+      frame = JSON.parse(raw);
+    } catch (error) {
+      return this.buildAck(null, new ApiError(400, 'Frames must be JSON.'));
+    }
+    const { error, value } = validateSocketAction(frame);
+    if (error) {
+      const id = frame && typeof frame.id === 'string' ? frame.id : null;
+      return this.buildAck(id, new ApiError(400, error.details[0].message));
+    }
+
+    const acks = this.getRecentAcks(userId);
+    let entry = acks.get(value.id);
+    if (!entry || Date.now() - entry.at > ACK_CACHE_TTL_MS) {
+      entry = { ack: this.runClientAction(userId, value), at: Date.now() };
+      acks.set(value.id, entry);
+    }
+    const ack = await entry.ack;
+    // Server errors may be transient, so a retry runs the action again
+    if (!ack.ok && ack.error.status >= 500 && acks.get(value.id) === entry) {
+      acks.delete(value.id);
+    }
+    return ack;
+  }
+
+  async runClientAction(userId, { type, id, data }) {
+    try {
+      const user = await User.findWithActiveTier(userId);
+      if (!user || !user.is_active || user.is_suspended || user.role !== 'user') {
+        throw new ApiError(403, 'Access denied. This action is for users only.');
+      }
+      return this.buildAck(id, null, await SOCKET_ACTIONS[type](this, user, data, id));
+    } catch (error) {
+      if (!(error instanceof ApiError)) {
+        console.error(`Error running ${type} for User ${userId}:`, error);
+      }
+      return this.buildAck(id, error);
+    }
+  }
+
+  buildAck(id, error, data = null) {
+    if (!error) {
+      return { v: EVENT_ENVELOPE_VERSION, type: 'ACK', id, ok: true, data };
+    }
+    const known = error instanceof ApiError;
+    return {
+      v: EVENT_ENVELOPE_VERSION,
+      type: 'ACK',
+      id,
+      ok: false,
+      error: {
+        status: known ? error.statusCode : 500,
+        code: known ? error.code : undefined,
+        message: known ? error.message : 'Internal server error'
+      }
+    };
+  }
+
+  /**
+   * The user's remembered acks, evicting the oldest beyond
+   * ACK_CACHE_MAX_PER_USER (Maps keep insertion order). Expired acks of all
+   * users are dropped at most once per TTL.
+   */
+  getRecentAcks(userId) {
+    const now = Date.now();
+    if (now - this.lastAckPruneAt > ACK_CACHE_TTL_MS) {
+      this.lastAckPruneAt = now;
+      for (const [otherUserId, acks] of this.recentAcks) {
+        for (const [id, entry] of acks) {
+          if (now - entry.at > ACK_CACHE_TTL_MS) {
+            acks.delete(id);
+          }
+        }
+        if (acks.size === 0) {
+          this.recentAcks.delete(otherUserId);
+        }
+      }
+    }
+    if (!this.recentAcks.has(userId)) {
+      this.recentAcks.set(userId, new Map());
+    }
+    const acks = this.recentAcks.get(userId);
+    while (acks.size >= ACK_CACHE_MAX_PER_USER) {
+      acks.delete(acks.keys().next().value);
+    }
+    return acks;
+  }
+
   getTokenFromRequest(req) {
     // 1. Check Sec-WebSocket-Protocol Header (preferred method)
     const protocolHeader = req.headers['sec-websocket-protocol'];
@@ -100,18 +279,239 @@ class WebSocketController {
     socket.destroy();
   }
 
+  startHeartbeat() {
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), HEARTBEAT_INTERVAL_MS);
+    this.heartbeatTimer.unref();
+  }
+
+  /**
+   * Pings every socket, dropping the ones that didn't answer the previous
+   * ping, and refreshes what the other instances know about this one.
+   */
+  heartbeat() {
+    this.wss.clients.forEach(ws => {
+      if (ws.isAlive === false) {
+        this.counters.deadSocketsDropped++;
+        ws.terminate(); // fires 'close', which does the cleanup
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+    this.publish({ kind: FANOUT.SNAPSHOT, ...this.getLocalSnapshot() });
+    this.prunePeers();
+  }
+
+  prunePeers() {
+    const now = Date.now();
+    for (const [instanceId, peer] of this.peers) {
+      if (now - peer.seenAt > PEER_TIMEOUT_MS) {
+        this.peers.delete(instanceId);
+      }
+    }
+  }
+
+  getLocalSnapshot() {
+    return {
+      instanceId: this.instanceId,
+      userIds: Array.from(this.clients.keys()),
+      connections: this.countLocalConnections()
+    };
+  }
+
+  countLocalConnections() {
+    let connections = 0;
+    this.clients.forEach(userSockets => {
+      connections += userSockets.size;
+    });
+    return connections;
+  }
+
+  /**
+   * Publishes to every instance, this one included. Failures are logged
+   * rather than thrown; real-time delivery is best effort.
+   * @returns {Promise<void>}
+   */
+  publish(message) {
+    return this.pubsub.publish(message)
+      .catch(err => console.error(`Failed to publish WebSocket ${message.kind} message:`, err));
+  }
+
+  handleFanout(message) {
+    if (message.kind === FANOUT.DELIVER) {
+      this.deliverLocally(message.userId, message.event);
+      return;
+    }
+    if (message.instanceId === this.instanceId) {
+      return;
+    }
+    switch (message.kind) {
+      case FANOUT.HELLO:
+      case FANOUT.SNAPSHOT:
+        this.peers.set(message.instanceId, {
+          userIds: new Set(message.userIds),
+          connections: message.connections,
+          seenAt: Date.now()
+        });
+        if (message.kind === FANOUT.HELLO) {
+          this.publish({ kind: FANOUT.SNAPSHOT, ...this.getLocalSnapshot() });
+        }
+        break;
+      case FANOUT.CONNECTION: {
+        const peer = this.peers.get(message.instanceId) || { userIds: new Set() };
+        if (message.connected) {
+          peer.userIds.add(message.userId);
+        } else {
+          peer.userIds.delete(message.userId);
+        }
+        peer.connections = message.connections;
+        peer.seenAt = Date.now();
+        this.peers.set(message.instanceId, peer);
+        break;
+      }
+      case FANOUT.BYE:
+        this.peers.delete(message.instanceId);
+        break;
+      default:
+        console.error(`Unknown WebSocket fan-out message kind: ${message.kind}`);
+    }
+  }
+
+  /**
+   * Sends a message to the user's sockets on whichever instances they are
+   * connected to.
+   * @returns {Promise<void>}
+   */
   broadcastToUser(userId, message) {
+    this.counters.eventsPublished++;
+    return this.publish({ kind: FANOUT.DELIVER, userId, event: message });
+  }
+
+  deliverLocally(userId, message) {
     const userSockets = this.clients.get(userId);
     if (userSockets) {
       const messageStr = JSON.stringify(message);
       userSockets.forEach(client => {
         if (client.readyState === WebSocket.OPEN) {
           client.send(messageStr);
+          this.counters.eventsDelivered++;
         }
       });
     }
   }
 
+  /**
+   * Sends an event to all of a user's connections in the standard envelope:
+   * { v, type, seq, sentAt, data }. `seq` increases by one for every event
+   * addressed to the user, including ones sent while they were offline, so
+   * a jump tells the client it missed something and should refetch.
+   * Failures are logged rather than thrown; real-time delivery is best effort.
+   * @param {number} userId - The recipient.
+   * @param {string} type - UPPER_SNAKE_CASE event type.
+   * @param {object} data - Event payload.
+   * @returns {Promise<object|null>} The envelope sent, or null if it couldn't be built.
+   */
+  async emitEvent(userId, type, data) {
+    try {
+      const envelope = {
+        v: EVENT_ENVELOPE_VERSION,
+        type,
+        seq: await UserEventSequence.next(userId),
+        sentAt: new Date().toISOString(),
+        data
+      };
+      await this.broadcastToUser(userId, envelope);
+      return envelope;
+    } catch (error) {
+      console.error(`Failed to emit ${type} event to User ${userId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Sends an event that isn't worth catching up on later (presence, typing)
+   * in the standard envelope with `seq: null`, so it doesn't count towards
+   * the user's event sequence.
+   * @param {number} userId - The recipient.
+   * @param {string} type - UPPER_SNAKE_CASE event type.
+   * @param {object} data - Event payload.
+   */
+  sendTransient(userId, type, data) {
+    this.broadcastToUser(userId, {
+      v: EVENT_ENVELOPE_VERSION,
+      type,
+      seq: null,
+      sentAt: new Date().toISOString(),
+      data
+    });
+  }
+
+  /**
+   * Whether the user has an open connection on any instance.
+   * @param {number} userId
+   * @returns {boolean}
+   */
+  isConnected(userId) {
+    if (this.clients.has(userId)) {
+      return true;
+    }
+    for (const peer of this.peers.values()) {
+      if (peer.userIds.has(userId)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * IDs of users with at least one open connection to this instance. Jobs
+   * that run on every instance use it so each user is handled only once.
+   * @returns {number[]}
+   */
+  getConnectedUserIds() {
+    return Array.from(this.clients.keys());
+  }
+
+  /**
+   * Connection counts for this instance and, as of the peers' last
+   * heartbeat, the whole cluster.
+   * @returns {object}
+   */
+  getMetrics() {
+    const clusterUserIds = new Set(this.clients.keys());
+    let clusterConnections = this.countLocalConnections();
+    this.peers.forEach(peer => {
+      peer.userIds.forEach(userId => clusterUserIds.add(userId));
+      clusterConnections += peer.connections;
+    });
+    return {
+      instanceId: this.instanceId,
+      pubsubAdapter: this.pubsub.name,
+      local: {
+        users: this.clients.size,
+        connections: this.countLocalConnections(),
+        ...this.counters
+      },
+      cluster: {
+        instances: this.peers.size + 1,
+        users: clusterUserIds.size,
+        connections: clusterConnections
+      }
+    };
+  }
+
+  /**
+   * Stops the heartbeat, tells the other instances this one is leaving and
+   * closes the pub/sub adapter and every socket.
+   */
+  async close() {
+    clearInterval(this.heartbeatTimer);
+    await this.publish({ kind: FANOUT.BYE, instanceId: this.instanceId });
+    await this.pubsub.close();
+    this.wss.clients.forEach(ws => ws.terminate());
+    this.wss.close();
+  }
+
   // You can add more broadcast methods here, e.g., broadcastToConversation
 }
 
@@ -0,0 +1,28 @@
+const cron = require('node-cron');
+const AttachmentService = require('../services/AttachmentService');
+const logger = require('../utils/logger');
+
+/**
+ * Schedule the unsent attachment cleanup job to run every hour at :30
+ */
+function scheduleAttachmentCleanup() {
+  cron.schedule('30 * * * *', async () => {
+    try {
+      const deleted = await AttachmentService.deleteUnsent();
+      if (deleted > 0) {
+        logger.info(`Deleted ${deleted} chat attachments that were never sent`);
+      }
+    } catch (error) {
+      logger.error('Error in attachment cleanup job:', error);
+    }
+  }, {
+    timezone: 'UTC',
+    scheduled: true
+  });
+
+  logger.info('Scheduled attachment cleanup job to run hourly');
+}
+
+module.exports = {
+  scheduleAttachmentCleanup
+};
@@ -0,0 +1,30 @@
+const cron = require('node-cron');
+const DigestService = require('../services/DigestService');
+const logger = require('../utils/logger');
+
+/**
+ * Schedule the email digest job to run every hour. Each user gets at most one
+ * digest per day or week; running hourly lets digests held back by quiet
+ * hours go out as soon as those end.
+ */
+function scheduleEmailDigest() {
+  cron.schedule('5 * * * *', async () => {
+    try {
+      const sent = await DigestService.sendDueDigests();
+      if (sent > 0) {
+        logger.info(`Sent ${sent} activity digest emails`);
+      }
+    } catch (error) {
+      logger.error('Error in email digest job:', error);
+    }
+  }, {
+    timezone: 'UTC',
+    scheduled: true
+  });
+
+  logger.info('Scheduled email digest job to run hourly');
+}
+
+module.exports = {
+  scheduleEmailDigest
+};
@@ -0,0 +1,73 @@
+const cron = require('node-cron');
+const ProfileBoost = require('../models/ProfileBoost');
+const Subscription = require('../models/Subscription');
+const NotificationService = require('../services/NotificationService');
+const logger = require('../utils/logger');
+
+// How far ahead of the end date subscribers are reminded
+const SUBSCRIPTION_REMINDER_DAYS = 3;
+
+/**
+ * Notifies users whose boost just ended, whose subscription ends soon, or
+ * whose subscription just ended.
+ * @param {object} wsController - The WebSocketController used to push notifications
+ * @returns {Promise<number>} How many notifications were sent
+ */
+async function sendExpiryNotifications(wsController) {
+  const [boosts, expiring, expired] = await Promise.all([
+    ProfileBoost.claimEndedForNotification(),
+    Subscription.claimExpiringForReminder(SUBSCRIPTION_REMINDER_DAYS),
+    Subscription.claimExpiredForNotification()
+  ]);
+
+  for (const boost of boosts) {
+    await NotificationService.notify(wsController, boost.user_id, 'boost_expired', {
+      boostId: boost.id,
+      boostType: boost.boost_type,
+      endedAt: boost.end_time
+    });
+  }
+  for (const subscription of expiring) {
+    await NotificationService.notify(wsController, subscription.user_id, 'subscription_expiring', {
+      subscriptionId: subscription.id,
+      tier: subscription.tier_level,
+      endsAt: subscription.end_date,
+      autoRenew: subscription.auto_renew
+    });
+  }
+  for (const subscription of expired) {
+    await NotificationService.notify(wsController, subscription.user_id, 'subscription_expired', {
+      subscriptionId: subscription.id,
+      tier: subscription.tier_level,
+      endedAt: subscription.end_date
+    });
+  }
+  return boosts.length + expiring.length + expired.length;
+}
+
+/**
+ * Schedule the expiry notifications job to run every 15 minutes
+ * @param {object} wsController - The WebSocketController used to push notifications
+ */
+function scheduleExpiryNotifications(wsController) {
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      const sent = await sendExpiryNotifications(wsController);
+      if (sent > 0) {
+        logger.info(`Sent ${sent} boost and subscription expiry notifications`);
+      }
+    } catch (error) {
+      logger.error('Error in expiry notifications job:', error);
+    }
+  }, {
+    timezone: 'UTC',
+    scheduled: true
+  });
+
+  logger.info('Scheduled expiry notifications job to run every 15 minutes');
+}
+
+module.exports = {
+  scheduleExpiryNotifications,
+  sendExpiryNotifications
+};
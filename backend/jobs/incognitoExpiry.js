@@ -0,0 +1,28 @@
+const cron = require('node-cron');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+/**
+ * Schedule the incognito expiry job to run at the start of every hour
+ */
+function scheduleIncognitoExpiry() {
+  cron.schedule('0 * * * *', async () => {
+    try {
+      const userIds = await User.disableLapsedIncognito();
+      if (userIds.length > 0) {
+        logger.info(`Disabled incognito mode for ${userIds.length} users without an active Elite subscription`);
+      }
+    } catch (error) {
+      logger.error('Error in incognito expiry job:', error);
+    }
+  }, {
+    timezone: 'UTC',
+    scheduled: true
+  });
+
+  logger.info('Scheduled incognito expiry job to run hourly');
+}
+
+module.exports = {
+  scheduleIncognitoExpiry
+};
@@ -0,0 +1,29 @@
+const cron = require('node-cron');
+const LocationShareService = require('../services/LocationShareService');
+const logger = require('../utils/logger');
+
+/**
+ * Schedule the live location expiry job to run every minute
+ * @param {WebSocketController} wsController - To tell conversations the sharing ended
+ */
+function scheduleLiveLocationExpiry(wsController) {
+  cron.schedule('* * * * *', async () => {
+    try {
+      const ended = await LocationShareService.endExpired(wsController);
+      if (ended > 0) {
+        logger.info(`Ended ${ended} expired live locations`);
+      }
+    } catch (error) {
+      logger.error('Error in live location expiry job:', error);
+    }
+  }, {
+    timezone: 'UTC',
+    scheduled: true
+  });
+
+  logger.info('Scheduled live location expiry job to run every minute');
+}
+
+module.exports = {
+  scheduleLiveLocationExpiry
+};
@@ -0,0 +1,29 @@
+const cron = require('node-cron');
+const AdvancedMatchService = require('../services/AdvancedMatchService');
+const logger = require('../utils/logger');
+
+/**
+ * Schedule the saved search alerts job to run every 15 minutes
+ * @param {object} wsController - The WebSocketController used to deliver alerts
+ */
+function scheduleSavedSearchAlerts(wsController) {
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      const sent = await AdvancedMatchService.notifySavedSearchMatches(wsController);
+      if (sent > 0) {
+        logger.info(`Sent ${sent} saved search alerts`);
+      }
+    } catch (error) {
+      logger.error('Error in saved search alerts job:', error);
+    }
+  }, {
+    timezone: 'UTC',
+    scheduled: true
+  });
+
+  logger.info('Scheduled saved search alerts job to run every 15 minutes');
+}
+
+module.exports = {
+  scheduleSavedSearchAlerts
+};
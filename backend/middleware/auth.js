@@ -3,6 +3,7 @@
 const jwt = require('jsonwebtoken');
 const env = require('../config/env');
 const pool = require('../config/db');
+const User = require('../models/User');
 
 const isAuthenticated = async (req, res, next) => {
   try {
@@ -29,53 +30,12 @@ const isAuthenticated = async (req, res, next) => {
       return res.status(401).json({ message: 'Token is not valid', error: err.message });
     }
     
-    // --- GUARANTEED CORRECT SQL QUERY ---
-    // This query uses a subquery with a unique alias ('active_tier') to avoid conflicts
-    // with the 'users.subscription_tier' column. It guarantees we get the correct,
-    // prioritized, active tier.
-    const query = `
-      SELECT 
-          u.id, 
-          u.email, 
-          u.role, 
-          u.is_active, 
-          u.is_suspended,
-          u.suspension_reason,
-          u.suspended_at,
-          u.message_count_today,
-          u.last_message_date,
-          u.profile_complete, -- Added profile_complete
-          -- Use COALESCE on our reliable subquery result
-          COALESCE(sub.active_tier, 'Basic') as subscription_tier 
-      FROM users u
-      LEFT JOIN (
-          SELECT 
-              user_id, 
-              tier_level as active_tier -- Use a unique alias
-          FROM user_subscriptions
-          WHERE user_id = $1
-            AND status = 'active'
-            AND end_date > NOW()
-          ORDER BY
-              CASE
-                  WHEN tier_level = 'Elite' THEN 1
-                  WHEN tier_level = 'Premium' THEN 2
-                  ELSE 3
-              END
-          LIMIT 1
-      ) AS sub ON u.id = sub.user_id
-      WHERE u.id = $1;
-    `;
-
     const client = await pool.connect();
     try {
-      const result = await client.query(query, [decoded.id]);
-      
-      if (result.rows.length === 0) {
+      const user = await User.findWithActiveTier(decoded.id, client);
+      if (!user) {
         return res.status(401).json({ message: 'User not found' });
       }
-
-      const user = result.rows[0];
       
       if (user.is_suspended) {
         return res.status(403).json({
@@ -122,6 +82,17 @@ const isAuthenticated = async (req, res, next) => {
       }
 
       req.user = user;
+
+      // Best effort: activity tracking must never block the request
+      User.touchLastActive(user.id).catch(err => console.error('Failed to update last_active_at:', err));
+
+      // Incognito is an Elite feature; switch it off as soon as the tier lapses
+      // rather than waiting for the scheduled cleanup
+      if (user.is_incognito && user.subscription_tier !== 'Elite') {
+        user.is_incognito = false;
+        User.setIncognito(user.id, false).catch(err => console.error('Failed to disable lapsed incognito mode:', err));
+      }
+
       next();
     } finally {
       client.release();
@@ -0,0 +1,19 @@
+-- Migration: Discovery preferences used to filter match suggestions
+
+CREATE TABLE IF NOT EXISTS user_preferences (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  min_age INTEGER NOT NULL DEFAULT 18,
+  max_age INTEGER NOT NULL DEFAULT 99,
+  -- Empty array means "any gender" / "any country"
+  genders TEXT[] NOT NULL DEFAULT '{}',
+  country_ids INTEGER[] NOT NULL DEFAULT '{}',
+  -- NULL means no distance limit
+  max_distance_km INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT user_preferences_age_range_check CHECK (min_age >= 18 AND max_age >= min_age),
+  CONSTRAINT user_preferences_distance_check CHECK (max_distance_km IS NULL OR max_distance_km > 0)
+);
+
+-- Age filtering is done on profiles.dob
+CREATE INDEX IF NOT EXISTS idx_profiles_dob ON profiles(dob);
@@ -0,0 +1,16 @@
+-- Migration: Record "pass" swipes so they can be excluded from suggestions
+
+CREATE TABLE IF NOT EXISTS dislikes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  disliked_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(user_id, disliked_user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_dislikes_user_created ON dislikes(user_id, created_at);
+
+-- Number of days before a passed profile can be suggested again
+INSERT INTO app_settings (key, value, description)
+VALUES ('pass_cooldown_days', '30', 'Days before a passed profile can reappear in suggestions')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,16 @@
+-- Migration: Track when a user was last active (used by suggestion ranking)
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS last_active_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_users_last_active_at ON users(last_active_at);
+CREATE INDEX IF NOT EXISTS idx_profile_boosts_user_window ON profile_boosts(user_id, start_time, end_time);
+
+-- Default weights for blending suggestion ranking signals
+INSERT INTO app_settings (key, value, description)
+VALUES (
+  'ranking_weights',
+  '{"likedYou": 3, "boost": 2, "activity": 1.5, "completeness": 1, "preferenceFit": 1, "elite": 0.5}',
+  'Weights applied to each signal when ranking match suggestions'
+)
+ON CONFLICT (key) DO NOTHING;
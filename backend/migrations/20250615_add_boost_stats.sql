@@ -0,0 +1,14 @@
+-- Migration: Boost performance tracking
+
+-- Number of times a boosted profile was served in someone's suggestions
+ALTER TABLE profile_boosts
+ADD COLUMN IF NOT EXISTS impressions INTEGER NOT NULL DEFAULT 0;
+
+-- Views and likes are counted per boost window
+CREATE INDEX IF NOT EXISTS idx_profile_views_viewed_user_at ON profile_views(viewed_user_id, viewed_at);
+CREATE INDEX IF NOT EXISTS idx_likes_liked_user_created ON likes(liked_user_id, created_at);
+
+-- How strongly each boost type applies its multiplier to discovery ranking
+INSERT INTO app_settings (key, value, description)
+VALUES ('boost_type_weights', '{"standard": 1, "super": 2}', 'Per boost type scaling of the boost multiplier in suggestion ranking')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,49 @@
+-- Migration: Paid boost products, purchase tracking and monthly tier allowances
+
+BEGIN;
+
+-- Admin-managed catalogue of boosts users can buy
+CREATE TABLE IF NOT EXISTS boost_products (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  boost_type VARCHAR(50) NOT NULL,
+  duration_hours INTEGER NOT NULL CHECK (duration_hours > 0),
+  multiplier NUMERIC(3,1) NOT NULL DEFAULT 1.5 CHECK (multiplier >= 1),
+  price NUMERIC(10,2) NOT NULL CHECK (price >= 0),
+  currency VARCHAR(10) NOT NULL DEFAULT 'USD',
+  -- Whether the product can be redeemed with a tier's free monthly allowance
+  allowance_eligible BOOLEAN NOT NULL DEFAULT false,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Link each boost to how it was obtained
+ALTER TABLE profile_boosts
+ADD COLUMN IF NOT EXISTS product_id INTEGER REFERENCES boost_products(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'legacy'
+  CHECK (source IN ('legacy', 'balance', 'payment', 'allowance'));
+
+CREATE INDEX IF NOT EXISTS idx_profile_boosts_user_source_created ON profile_boosts(user_id, source, created_at);
+
+-- Allow boosts to be paid for through the transactions flow
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_item_category_check;
+ALTER TABLE transactions
+ADD CONSTRAINT transactions_item_category_check
+CHECK (item_category IN ('subscription', 'gift', 'deposit', 'boost'));
+
+INSERT INTO boost_products (name, boost_type, duration_hours, multiplier, price, allowance_eligible)
+SELECT * FROM (VALUES
+  ('1 Hour Boost', 'standard', 1, 1.5, 2.99, true),
+  ('3 Hour Boost', 'standard', 3, 1.5, 6.99, false),
+  ('1 Hour Super Boost', 'super', 1, 2.0, 4.99, false)
+) AS seed(name, boost_type, duration_hours, multiplier, price, allowance_eligible)
+WHERE NOT EXISTS (SELECT 1 FROM boost_products);
+
+-- Free boosts each tier gets per calendar month
+INSERT INTO app_settings (key, value, description)
+VALUES ('boost_monthly_allowance', '{"Basic": 0, "Premium": 1, "Elite": 4}', 'Free boosts per calendar month by subscription tier')
+ON CONFLICT (key) DO NOTHING;
+
+COMMIT;
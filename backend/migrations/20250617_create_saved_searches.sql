@@ -0,0 +1,26 @@
+-- Migration: Saved advanced-match searches and the profiles each has already surfaced
+
+CREATE TABLE IF NOT EXISTS saved_searches (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  -- Same shape as the advanced-matches query filters (ageMin, genders, hasPhoto, ...)
+  filters JSONB NOT NULL DEFAULT '{}',
+  sort VARCHAR(30) NOT NULL DEFAULT 'recently_active',
+  notify BOOLEAN NOT NULL DEFAULT true,
+  last_notified_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_searches_user_id ON saved_searches(user_id);
+CREATE INDEX IF NOT EXISTS idx_saved_searches_notify ON saved_searches(user_id) WHERE notify = true;
+
+-- A profile is only announced once per saved search
+CREATE TABLE IF NOT EXISTS saved_search_hits (
+  saved_search_id INTEGER NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (saved_search_id, user_id)
+);
+
@@ -0,0 +1,18 @@
+-- Migration: User-submitted locations for distance-based discovery
+
+-- Coordinates are snapped to a coarse grid before they are stored, so the
+-- exact position a user submitted is never kept
+CREATE TABLE IF NOT EXISTS user_locations (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  latitude NUMERIC(8,5) NOT NULL CHECK (latitude BETWEEN -90 AND 90),
+  longitude NUMERIC(8,5) NOT NULL CHECK (longitude BETWEEN -180 AND 180),
+  city VARCHAR(100),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Radius searches first narrow candidates to a latitude band
+CREATE INDEX IF NOT EXISTS idx_user_locations_latitude ON user_locations(latitude);
+
+INSERT INTO app_settings (key, value, description)
+VALUES ('location_grid_km', '2', 'Size in km of the grid user coordinates are snapped to')
+ON CONFLICT (key) DO NOTHING;
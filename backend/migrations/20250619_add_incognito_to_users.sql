@@ -0,0 +1,8 @@
+-- Migration: Persist the Elite incognito mode flag
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS is_incognito BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS incognito_enabled_at TIMESTAMP WITH TIME ZONE;
+
+-- Only a small share of users are incognito at any time
+CREATE INDEX IF NOT EXISTS idx_users_incognito ON users(id) WHERE is_incognito = true;
@@ -0,0 +1,19 @@
+-- Migration: Record profile views made during anonymous browsing as anonymous,
+-- and let anonymous browsing sessions expire on their own
+
+ALTER TABLE anonymous_browsing_sessions
+ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_anonymous_browsing_sessions_user_active
+ON anonymous_browsing_sessions(user_id, start_time DESC) WHERE is_active = true;
+
+ALTER TABLE profile_views
+ADD COLUMN IF NOT EXISTS is_anonymous BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS anonymous_session_id INTEGER REFERENCES anonymous_browsing_sessions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_profile_views_anonymous_session ON profile_views(anonymous_session_id)
+WHERE anonymous_session_id IS NOT NULL;
+
+INSERT INTO app_settings (key, value, description)
+VALUES ('anonymous_session_minutes', '60', 'Minutes after which an anonymous browsing session ends automatically')
+ON CONFLICT (key) DO NOTHING;
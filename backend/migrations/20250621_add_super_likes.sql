@@ -0,0 +1,32 @@
+-- Migration: Super likes with per-tier daily allowances and purchasable extras
+
+BEGIN;
+
+ALTER TABLE likes
+ADD COLUMN IF NOT EXISTS is_super BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_likes_liked_user_super ON likes(liked_user_id, user_id) WHERE is_super = true;
+
+-- Super likes sent per day, alongside swipes and messages
+ALTER TABLE user_activities
+ADD COLUMN IF NOT EXISTS super_like_count INTEGER NOT NULL DEFAULT 0;
+
+-- Extra super likes bought on top of the daily allowance; they don't expire
+CREATE TABLE IF NOT EXISTS super_like_credits (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  balance INTEGER NOT NULL DEFAULT 0 CHECK (balance >= 0),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_item_category_check;
+ALTER TABLE transactions
+ADD CONSTRAINT transactions_item_category_check
+CHECK (item_category IN ('subscription', 'gift', 'deposit', 'boost', 'super_like'));
+
+INSERT INTO app_settings (key, value, description)
+VALUES
+  ('super_like_daily_allowance', '{"Basic": 1, "Premium": 3, "Elite": 5}', 'Free super likes per day by subscription tier'),
+  ('super_like_price', '{"price": 0.99, "currency": "USD"}', 'Price of one extra super like bought from site balance')
+ON CONFLICT (key) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,9 @@
+-- Migration: Per-user sequence numbers for real-time WebSocket events
+-- Every event sent to a user takes the next number, whether or not they are
+-- connected, so clients can spot events they missed
+
+CREATE TABLE IF NOT EXISTS user_event_sequences (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  last_seq BIGINT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,46 @@
+-- Migration: Notification inbox, per-type channel preferences and expiry tracking
+
+BEGIN;
+
+-- Already written to by likeProfile but missing from the schema dump
+CREATE TABLE IF NOT EXISTS notifications (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  is_read BOOLEAN NOT NULL DEFAULT false,
+  read_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The live table predates this migration, so the CREATE above leaves it as
+-- it is; bring it up to what the Notification model uses
+ALTER TABLE notifications
+ADD COLUMN IF NOT EXISTS payload JSONB NOT NULL DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS is_read BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS read_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON notifications(user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_unread ON notifications(user_id) WHERE is_read = false;
+
+-- Only rows that differ from the built-in defaults are stored
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL,
+  in_app BOOLEAN NOT NULL,
+  websocket BOOLEAN NOT NULL,
+  email BOOLEAN NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, type)
+);
+
+-- So each boost and subscription expiry is only announced once
+ALTER TABLE profile_boosts
+ADD COLUMN IF NOT EXISTS expiry_notified_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE user_subscriptions
+ADD COLUMN IF NOT EXISTS expiry_reminder_sent_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS expiry_notified_at TIMESTAMP WITH TIME ZONE;
+
+COMMIT;
@@ -0,0 +1,24 @@
+-- Migration: Daily/weekly email digests of unseen activity
+
+BEGIN;
+
+-- Per-user digest schedule. Users without a row get the default daily digest
+CREATE TABLE IF NOT EXISTS email_digest_settings (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  frequency VARCHAR(10) NOT NULL DEFAULT 'daily' CHECK (frequency IN ('daily', 'weekly', 'off')),
+  -- Local hours [start, end) in which no digest is sent; may wrap past midnight
+  quiet_hours_start SMALLINT CHECK (quiet_hours_start BETWEEN 0 AND 23),
+  quiet_hours_end SMALLINT CHECK (quiet_hours_end BETWEEN 0 AND 23),
+  timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  -- Lets the unsubscribe link in each digest work without logging in
+  unsubscribe_token VARCHAR(64) NOT NULL UNIQUE,
+  last_sent_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Per-type opt-out of the digest, next to the in_app/websocket/email channels
+ALTER TABLE notification_preferences
+ADD COLUMN IF NOT EXISTS digest BOOLEAN NOT NULL DEFAULT true;
+
+COMMIT;
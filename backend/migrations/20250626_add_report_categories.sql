@@ -0,0 +1,18 @@
+-- Migration: Reason categories for user-submitted reports
+-- `reason` keeps the reporter's free-text description; reports filed before
+-- this migration have no category
+
+ALTER TABLE reported_content
+  ADD COLUMN IF NOT EXISTS category VARCHAR(30);
+
+ALTER TABLE reported_content
+  DROP CONSTRAINT IF EXISTS reported_content_category_check;
+ALTER TABLE reported_content
+  ADD CONSTRAINT reported_content_category_check
+  CHECK (category IS NULL OR category IN (
+    'spam', 'harassment', 'inappropriate_content', 'fake_profile', 'scam', 'underage', 'other'
+  ));
+
+-- Rate limiting and duplicate checks look up a reporter's recent reports
+CREATE INDEX IF NOT EXISTS idx_reported_content_reporter_created
+  ON reported_content(reporter_id, created_at);
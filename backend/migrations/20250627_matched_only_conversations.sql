@@ -0,0 +1,12 @@
+-- Migration: Conversations are only for matched users
+-- Elite users may open a conversation before matching while the
+-- messageBeforeMatch feature is enabled for their tier. Unmatching or
+-- blocking ends the conversation, which hides it from both sides.
+
+ALTER TABLE conversations
+  ADD COLUMN IF NOT EXISTS opened_before_match BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS ended_at TIMESTAMP WITH TIME ZONE;
+
+INSERT INTO feature_permissions (feature_name, feature_key, basic_access, premium_access, elite_access, description)
+VALUES ('Message Before Match', 'messageBeforeMatch', false, false, true, 'Start a conversation with someone before matching')
+ON CONFLICT (feature_key) DO NOTHING;
@@ -0,0 +1,25 @@
+-- Migration: Message delivery states and client idempotency ids
+-- Each recipient of a message gets a message_status row that moves from
+-- 'sent' to 'delivered' (their client received it) to 'read'. is_read and
+-- read_at are kept in step for existing readers of the table.
+
+ALTER TABLE message_status
+  ADD COLUMN IF NOT EXISTS status VARCHAR(10) NOT NULL DEFAULT 'sent',
+  ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+ALTER TABLE message_status DROP CONSTRAINT IF EXISTS message_status_status_check;
+ALTER TABLE message_status
+  ADD CONSTRAINT message_status_status_check CHECK (status IN ('sent', 'delivered', 'read'));
+
+UPDATE message_status
+SET status = 'read', delivered_at = COALESCE(delivered_at, read_at)
+WHERE is_read = true AND status <> 'read';
+
+CREATE INDEX IF NOT EXISTS idx_message_status_user_status ON message_status(user_id, status);
+
+-- Set by clients so a retried send doesn't create a second message
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS client_message_id VARCHAR(64);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_sender_client_message_id
+  ON messages(sender_id, client_message_id)
+  WHERE client_message_id IS NOT NULL;
@@ -0,0 +1,5 @@
+-- Migration: Elite users can hide when they were last seen
+-- Only honoured while the user has an active Elite subscription.
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS hide_last_seen BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,11 @@
+-- Migration: Overflow storage for WebSocket fan-out over LISTEN/NOTIFY
+-- NOTIFY payloads are capped at 8000 bytes. Larger events are stored here
+-- and only their id is sent; rows are removed after a few minutes.
+
+CREATE TABLE IF NOT EXISTS ws_fanout_payloads (
+  id BIGSERIAL PRIMARY KEY,
+  payload JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ws_fanout_payloads_created_at ON ws_fanout_payloads(created_at);
@@ -0,0 +1,22 @@
+-- Migration: Image, audio, video and file attachments for chat messages
+-- An attachment is uploaded to a conversation first and linked to the
+-- message that sends it; unsent uploads are cleaned up after a day.
+
+CREATE TABLE IF NOT EXISTS message_attachments (
+  id SERIAL PRIMARY KEY,
+  conversation_id INTEGER NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  uploader_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- NULL until sent; a message carries at most one attachment
+  message_id INTEGER UNIQUE REFERENCES messages(id) ON DELETE CASCADE,
+  kind VARCHAR(10) NOT NULL CHECK (kind IN ('image', 'video', 'audio', 'file')),
+  mime_type VARCHAR(100) NOT NULL,
+  file_size INTEGER NOT NULL,
+  original_name VARCHAR(255),
+  storage_key VARCHAR(100) NOT NULL UNIQUE,
+  width INTEGER,
+  height INTEGER,
+  duration_seconds NUMERIC(10, 3),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_attachments_unsent ON message_attachments(created_at) WHERE message_id IS NULL;
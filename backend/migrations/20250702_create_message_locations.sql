@@ -0,0 +1,19 @@
+-- Migration: Location-share messages, optionally live for a limited time
+-- A live location is updated by its sender until live_until or until they
+-- stop it; the coordinates are then cleared so the last point isn't kept.
+
+CREATE TABLE IF NOT EXISTS message_locations (
+  message_id INTEGER PRIMARY KEY REFERENCES messages(id) ON DELETE CASCADE,
+  latitude NUMERIC(9,6) CHECK (latitude BETWEEN -90 AND 90),
+  longitude NUMERIC(9,6) CHECK (longitude BETWEEN -180 AND 180),
+  accuracy_meters NUMERIC(8,1) CHECK (accuracy_meters >= 0),
+  label VARCHAR(100),
+  is_live BOOLEAN NOT NULL DEFAULT false,
+  live_until TIMESTAMP WITH TIME ZONE,
+  ended_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CHECK (NOT is_live OR live_until IS NOT NULL)
+);
+
+-- The expiry job looks for live locations that are still running
+CREATE INDEX IF NOT EXISTS idx_message_locations_live ON message_locations(live_until) WHERE is_live AND ended_at IS NULL;
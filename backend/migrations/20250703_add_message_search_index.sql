@@ -0,0 +1,6 @@
+-- Migration: Full-text search over message content
+-- Message.search matches against this exact expression so the index is used.
+
+CREATE INDEX IF NOT EXISTS idx_messages_content_search
+  ON messages USING GIN (to_tsvector('english', COALESCE(content, '')))
+  WHERE is_deleted = false;
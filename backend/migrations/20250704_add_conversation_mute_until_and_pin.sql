@@ -0,0 +1,7 @@
+-- Migration: Timed mutes and pinned conversations
+-- A mute with muted_until set lifts itself at that time; NULL mutes until
+-- unmuted. pinned_at orders pinned conversations above the rest.
+
+ALTER TABLE conversation_participants
+  ADD COLUMN IF NOT EXISTS muted_until TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS pinned_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,22 @@
+-- Migration: Message edit history and delete-for-me
+-- Each edit keeps the content it replaced. Deleting for everyone still only
+-- flags the message (with deleted_at) so moderators can review it;
+-- deleting for me hides it from that participant alone.
+
+CREATE TABLE IF NOT EXISTS message_edits (
+  id SERIAL PRIMARY KEY,
+  message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  previous_content TEXT,
+  edited_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_edits_message_id ON message_edits(message_id, edited_at);
+
+CREATE TABLE IF NOT EXISTS message_hidden (
+  message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  hidden_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, message_id)
+);
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
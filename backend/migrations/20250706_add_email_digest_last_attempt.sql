@@ -0,0 +1,7 @@
+-- Migration: Claim digests before sending them
+-- Each instance's digest job claims a user by setting last_attempt_at before
+-- emailing them, so a digest goes out once however many instances run, and
+-- a failed send is retried after a while instead of on every run.
+
+ALTER TABLE email_digest_settings
+ADD COLUMN IF NOT EXISTS last_attempt_at TIMESTAMP WITH TIME ZONE;
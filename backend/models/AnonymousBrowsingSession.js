@@ -1,22 +1,27 @@
 const pool = require('../config/db');
 
+// SQL condition for a session that is still running: not ended and not past its expiry
+const LIVE_SESSION = `is_active = true AND (expires_at IS NULL OR expires_at > NOW())`;
+
 class AnonymousBrowsingSession {
   /**
    * Starts a new anonymous browsing session for a user.
    * Ends any existing active session for the user before starting a new one.
    * @param {number} userId - The ID of the user.
+   * @param {number} [durationMinutes] - Minutes until the session ends by itself.
+   *   Omit for a session that lasts until it is stopped.
    * @returns {Promise<object>} The created session record.
    */
-  static async startSession(userId) {
+  static async startSession(userId, durationMinutes = null) {
     try {
       // End any existing active session first
       await this.endSession(userId);
 
       const result = await pool.query(
-        `INSERT INTO anonymous_browsing_sessions (user_id, start_time, is_active)
-         VALUES ($1, NOW(), true)
+        `INSERT INTO anonymous_browsing_sessions (user_id, start_time, is_active, expires_at)
+         VALUES ($1, NOW(), true, NOW() + make_interval(mins => $2))
          RETURNING *`,
-        [userId]
+        [userId, durationMinutes]
       );
       return result.rows[0];
     } catch (error) {
@@ -27,6 +32,7 @@ class AnonymousBrowsingSession {
 
   /**
    * Ends all active anonymous browsing sessions for a user.
+   * Sessions that already expired are closed at their expiry time.
    * @param {number} userId - The ID of the user.
    * @returns {Promise<void>}
    */
@@ -34,7 +40,7 @@ class AnonymousBrowsingSession {
     try {
       await pool.query(
         `UPDATE anonymous_browsing_sessions
-         SET is_active = false, end_time = NOW()
+         SET is_active = false, end_time = LEAST(NOW(), COALESCE(expires_at, NOW()))
          WHERE user_id = $1 AND is_active = true`,
         [userId]
       );
@@ -45,8 +51,23 @@ class AnonymousBrowsingSession {
     }
   }
 
+  /**
+   * Closes a user's sessions that have run past their expiry time.
+   * @param {number} userId - The ID of the user.
+   * @returns {Promise<void>}
+   */
+  static async closeExpiredSessions(userId) {
+    await pool.query(
+      `UPDATE anonymous_browsing_sessions
+       SET is_active = false, end_time = expires_at
+       WHERE user_id = $1 AND is_active = true AND expires_at <= NOW()`,
+      [userId]
+    );
+  }
+
   /**
    * Retrieves the currently active anonymous browsing session for a user.
+   * Expired sessions are not returned.
    * @param {number} userId - The ID of the user.
    * @returns {Promise<object|null>} The active session record or null if none found.
    */
@@ -54,7 +75,7 @@ class AnonymousBrowsingSession {
     try {
       const result = await pool.query(
         `SELECT * FROM anonymous_browsing_sessions
-         WHERE user_id = $1 AND is_active = true
+         WHERE user_id = $1 AND ${LIVE_SESSION}
          ORDER BY start_time DESC
          LIMIT 1`, // Just in case, though startSession should prevent overlaps
         [userId]
@@ -82,6 +103,41 @@ class AnonymousBrowsingSession {
       return false;
     }
   }
+
+  /**
+   * Lists a user's anonymous browsing sessions, newest first, with how long
+   * each lasted and how many profiles were viewed during it.
+   * @param {number} userId - The ID of the user.
+   * @param {object} [options]
+   * @param {number} [options.limit=20]
+   * @param {number} [options.offset=0]
+   * @returns {Promise<{sessions: Array<object>, total: number}>}
+   */
+  static async getHistory(userId, { limit = 20, offset = 0 } = {}) {
+    await this.closeExpiredSessions(userId);
+    const [sessionsResult, countResult] = await Promise.all([
+      pool.query(
+        `SELECT
+           s.id,
+           s.start_time,
+           s.end_time,
+           s.expires_at,
+           s.is_active,
+           EXTRACT(EPOCH FROM (COALESCE(s.end_time, NOW()) - s.start_time))::int AS duration_seconds,
+           (SELECT COUNT(*) FROM profile_views pv WHERE pv.anonymous_session_id = s.id)::int AS profiles_viewed
+         FROM anonymous_browsing_sessions s
+         WHERE s.user_id = $1
+         ORDER BY s.start_time DESC, s.id DESC
+         LIMIT $2 OFFSET $3`,
+        [userId, limit, offset]
+      ),
+      pool.query('SELECT COUNT(*) FROM anonymous_browsing_sessions WHERE user_id = $1', [userId])
+    ]);
+    return {
+      sessions: sessionsResult.rows,
+      total: parseInt(countResult.rows[0].count, 10)
+    };
+  }
 }
 
 module.exports = AnonymousBrowsingSession;
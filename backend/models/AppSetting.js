@@ -0,0 +1,96 @@
+const pool = require('../config/db');
+
+const isPositiveIntOrNull = (v) => v === null || (Number.isInteger(v) && v > 0);
+
+const RANKING_WEIGHT_KEYS = ['likedYou', 'boost', 'activity', 'completeness', 'preferenceFit', 'elite'];
+const isRankingWeights = (v) => v !== null && typeof v === 'object' && !Array.isArray(v)
+  && Object.entries(v).every(([k, w]) => RANKING_WEIGHT_KEYS.includes(k) && Number.isFinite(w) && w >= 0);
+const isBoostTypeWeights = (v) => v !== null && typeof v === 'object' && !Array.isArray(v)
+  && Object.values(v).every(w => Number.isFinite(w) && w >= 0);
+const SUBSCRIPTION_TIERS = ['Basic', 'Premium', 'Elite'];
+const isBoostAllowance = (v) => v !== null && typeof v === 'object' && !Array.isArray(v)
+  && Object.entries(v).every(([tier, n]) => SUBSCRIPTION_TIERS.includes(tier) && Number.isInteger(n) && n >= 0);
+const isPrice = (v) => v !== null && typeof v === 'object' && !Array.isArray(v)
+  && Number.isFinite(v.price) && v.price >= 0 && typeof v.currency === 'string' && /^[A-Z]{3}$/.test(v.currency);
+const isGridSize = (v) => Number.isFinite(v) && v >= 0.5 && v <= 50;
+
+// Settings admins may change, each with a validator for its value
+const SETTING_VALIDATORS = {
+  pass_cooldown_days: isPositiveIntOrNull,
+  ranking_weights: isRankingWeights,
+  boost_type_weights: isBoostTypeWeights,
+  boost_monthly_allowance: isBoostAllowance,
+  location_grid_km: isGridSize,
+  anonymous_session_minutes: (v) => Number.isInteger(v) && v >= 5 && v <= 24 * 60,
+  super_like_daily_allowance: isBoostAllowance,
+  super_like_price: isPrice,
+  // Minutes after sending that a message can be edited / deleted for everyone; null for no limit
+  message_edit_window_minutes: isPositiveIntOrNull,
+  message_delete_window_minutes: isPositiveIntOrNull
+};
+
+class AppSetting {
+  /**
+   * Retrieves all application settings.
+   * @returns {Promise<Array<object>>} All settings rows ordered by key.
+   */
+  static async getAll() {
+    const result = await pool.query('SELECT * FROM app_settings ORDER BY key ASC');
+    return result.rows;
+  }
+
+  /**
+   * Retrieves a single setting value.
+   * @param {string} key - The setting key.
+   * @param {*} defaultValue - Returned when the setting is missing or can't be read.
+   * @returns {Promise<*>} The stored JSON value or the default.
+   */
+  static async get(key, defaultValue = null) {
+    try {
+      const result = await pool.query('SELECT value FROM app_settings WHERE key = $1', [key]);
+      return result.rows.length > 0 ? result.rows[0].value : defaultValue;
+    } catch (error) {
+      console.error(`Error reading app setting "${key}":`, error);
+      return defaultValue;
+    }
+  }
+
+  /**
+   * Checks that a key is a known setting and the value is acceptable for it.
+   * @param {string} key - The setting key.
+   * @param {*} value - The proposed value.
+   * @returns {string|null} An error message, or null if valid.
+   */
+  static validate(key, value) {
+    const validator = SETTING_VALIDATORS[key];
+    if (!validator) {
+      return `Unknown setting '${key}'.`;
+    }
+    if (value === undefined || !validator(value)) {
+      return `Invalid value for setting '${key}'.`;
+    }
+    return null;
+  }
+
+  /**
+   * Creates or updates a setting.
+   * @param {string} key - The setting key.
+   * @param {*} value - Any JSON-serialisable value.
+   * @param {number} [adminId] - The admin making the change.
+   * @param {object} [client] - Optional pg client for use inside a transaction.
+   * @returns {Promise<object>} The saved settings row.
+   */
+  static async set(key, value, adminId = null, client = pool) {
+    const result = await client.query(
+      `INSERT INTO app_settings (key, value, updated_by, updated_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (key)
+       DO UPDATE SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+       RETURNING *`,
+      [key, JSON.stringify(value), adminId]
+    );
+    return result.rows[0];
+  }
+}
+
+module.exports = AppSetting;
@@ -0,0 +1,66 @@
+const pool = require('../config/db');
+
+class BoostProduct {
+  /**
+   * Lists boost products.
+   * @param {object} [options]
+   * @param {boolean} [options.activeOnly=true] - Only return products users can buy.
+   * @returns {Promise<Array<object>>}
+   */
+  static async getAll({ activeOnly = true } = {}) {
+    const result = await pool.query(
+      `SELECT * FROM boost_products
+       ${activeOnly ? 'WHERE is_active = true' : ''}
+       ORDER BY price ASC, id ASC`
+    );
+    return result.rows;
+  }
+
+  static async getById(id, client = pool) {
+    const result = await client.query('SELECT * FROM boost_products WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  static async create({ name, boost_type, duration_hours, multiplier, price, currency = 'USD', allowance_eligible = false }) {
+    const result = await pool.query(
+      `INSERT INTO boost_products (name, boost_type, duration_hours, multiplier, price, currency, allowance_eligible)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [name, boost_type, duration_hours, multiplier, price, currency, allowance_eligible]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Updates the given fields of a product. Fields left undefined are unchanged.
+   * @returns {Promise<object|null>} The updated product or null if not found.
+   */
+  static async update(id, { name, boost_type, duration_hours, multiplier, price, currency, allowance_eligible, is_active }) {
+    const result = await pool.query(
+      `UPDATE boost_products SET
+         name = COALESCE($2, name),
+         boost_type = COALESCE($3, boost_type),
+         duration_hours = COALESCE($4, duration_hours),
+         multiplier = COALESCE($5, multiplier),
+         price = COALESCE($6, price),
+         currency = COALESCE($7, currency),
+         allowance_eligible = COALESCE($8, allowance_eligible),
+         is_active = COALESCE($9, is_active),
+         updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, name, boost_type, duration_hours, multiplier, price, currency, allowance_eligible, is_active]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Retires a product. Products are deactivated rather than deleted so past
+   * boosts and transactions keep their reference.
+   */
+  static async deactivate(id) {
+    return this.update(id, { is_active: false });
+  }
+}
+
+module.exports = BoostProduct;
@@ -0,0 +1,72 @@
+const pool = require('../config/db');
+
+// SQL condition that is true while a participant's mute is in effect
+const mutedSql = (alias) => `(${alias}.is_muted AND (${alias}.muted_until IS NULL OR ${alias}.muted_until > NOW()))`;
+
+// A participant's own settings for a conversation, as returned to them
+const SETTINGS_COLUMNS = `cp.conversation_id, ${mutedSql('cp')} AS is_muted,
+  CASE WHEN ${mutedSql('cp')} THEN cp.muted_until END AS muted_until,
+  cp.is_archived, cp.pinned_at IS NOT NULL AS is_pinned, cp.pinned_at`;
+
+// Each participant mutes, archives and pins a conversation for themselves only
+class ConversationParticipant {
+  static mutedSql(alias) {
+    return mutedSql(alias);
+  }
+
+  /**
+   * Changes the user's settings for a conversation. Archiving unpins it and
+   * pinning brings it back out of the archive.
+   * @param {number} conversationId
+   * @param {number} userId
+   * @param {object} changes - Any of:
+   * @param {boolean} [changes.muted]
+   * @param {Date|string|null} [changes.mutedUntil] - When a mute lifts; null for never.
+   * @param {boolean} [changes.archived]
+   * @param {boolean} [changes.pinned]
+   * @returns {Promise<object|null>} The new settings, or null if the user isn't a participant.
+   */
+  static async updateSettings(conversationId, userId, { muted, mutedUntil = null, archived, pinned }) {
+    const assignments = [];
+    const params = [conversationId, userId];
+    const param = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+    if (muted !== undefined) {
+      assignments.push(`is_muted = ${param(muted)}`, `muted_until = ${param(muted ? mutedUntil : null)}`);
+    }
+    if (archived !== undefined) {
+      assignments.push(`is_archived = ${param(archived)}`);
+      if (archived) {
+        assignments.push('pinned_at = NULL');
+      }
+    }
+    if (pinned !== undefined) {
+      assignments.push(pinned ? 'pinned_at = COALESCE(pinned_at, NOW()), is_archived = false' : 'pinned_at = NULL');
+    }
+
+    const result = await pool.query(
+      `UPDATE conversation_participants cp
+       SET ${assignments.join(', ')}, updated_at = NOW()
+       WHERE cp.conversation_id = $1 AND cp.user_id = $2
+       RETURNING ${SETTINGS_COLUMNS}`,
+      params
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * @returns {Promise<number[]>} The participants who currently have the conversation muted.
+   */
+  static async getMutedUserIds(conversationId) {
+    const result = await pool.query(
+      `SELECT cp.user_id FROM conversation_participants cp
+       WHERE cp.conversation_id = $1 AND ${mutedSql('cp')}`,
+      [conversationId]
+    );
+    return result.rows.map(row => row.user_id);
+  }
+}
+
+module.exports = ConversationParticipant;
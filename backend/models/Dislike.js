@@ -0,0 +1,55 @@
+const pool = require('../config/db');
+
+class Dislike {
+  /**
+   * Records a "pass" on a profile. Passing the same profile again refreshes
+   * the timestamp so the cooldown restarts.
+   * @param {number} userId - The user who passed.
+   * @param {number} dislikedUserId - The profile that was passed on.
+   * @returns {Promise<object>} The dislike row.
+   */
+  static async createDislike(userId, dislikedUserId) {
+    const result = await pool.query(
+      `INSERT INTO dislikes (user_id, disliked_user_id)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id, disliked_user_id)
+       DO UPDATE SET created_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [userId, dislikedUserId]
+    );
+    return result.rows[0];
+  }
+
+  static async deleteDislike(userId, dislikedUserId) {
+    const result = await pool.query(
+      `DELETE FROM dislikes
+       WHERE user_id = $1 AND disliked_user_id = $2
+       RETURNING *`,
+      [userId, dislikedUserId]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Finds the user's most recent swipe, whether a like or a pass.
+   * @param {number} userId - The ID of the user.
+   * @returns {Promise<object|null>} { action: 'like'|'pass', target_user_id, created_at } or null.
+   */
+  static async getLastSwipe(userId) {
+    const result = await pool.query(
+      `SELECT action, target_user_id, created_at FROM (
+         SELECT 'like' AS action, liked_user_id AS target_user_id, created_at::timestamptz AS created_at
+         FROM likes WHERE user_id = $1
+         UNION ALL
+         SELECT 'pass' AS action, disliked_user_id AS target_user_id, created_at
+         FROM dislikes WHERE user_id = $1
+       ) swipes
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [userId]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = Dislike;
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const pool = require('../config/db');
+
+const newToken = () => crypto.randomBytes(32).toString('hex');
+
+// A claimed digest that wasn't marked sent (the email failed, or the
+// instance died) is tried again after this long
+const RETRY_AFTER = "interval '30 minutes'";
+
+class EmailDigestSetting {
+  /**
+   * Retrieves a user's digest settings, creating the default row (daily, no
+   * quiet hours, UTC) the first time so there is an unsubscribe token.
+   * @param {number} userId
+   * @returns {Promise<object>} The email_digest_settings row.
+   */
+  static async getOrCreate(userId) {
+    await pool.query(
+      `INSERT INTO email_digest_settings (user_id, unsubscribe_token)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id) DO NOTHING`,
+      [userId, newToken()]
+    );
+    const result = await pool.query('SELECT * FROM email_digest_settings WHERE user_id = $1', [userId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Updates the given fields. Fields left undefined are unchanged; quiet hours
+   * can be cleared by passing null for both.
+   * @param {number} userId
+   * @param {object} changes - { frequency, quietHoursStart, quietHoursEnd, timezone }
+   * @returns {Promise<object>} The updated row.
+   */
+  static async update(userId, { frequency, quietHoursStart, quietHoursEnd, timezone }) {
+    await this.getOrCreate(userId);
+    const setQuietHours = quietHoursStart !== undefined || quietHoursEnd !== undefined;
+    const result = await pool.query(
+      `UPDATE email_digest_settings SET
+         frequency = COALESCE($2, frequency),
+         quiet_hours_start = CASE WHEN $3 THEN $4::smallint ELSE quiet_hours_start END,
+         quiet_hours_end = CASE WHEN $3 THEN $5::smallint ELSE quiet_hours_end END,
+         timezone = COALESCE($6, timezone),
+         updated_at = NOW()
+       WHERE user_id = $1
+       RETURNING *`,
+      [userId, frequency, setQuietHours, quietHoursStart ?? null, quietHoursEnd ?? null, timezone]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Turns the digest off for whoever owns the token.
+   * @param {string} token
+   * @returns {Promise<object|null>} The updated row, or null for an unknown token.
+   */
+  static async unsubscribeByToken(token) {
+    const result = await pool.query(
+      `UPDATE email_digest_settings
+       SET frequency = 'off', updated_at = NOW()
+       WHERE unsubscribe_token = $1
+       RETURNING *`,
+      [token]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Claims a user's digest for sending. Only one caller wins while the
+   * claim is fresh, so concurrent digest jobs don't email the same user.
+   * @param {number} userId
+   * @param {Date} now
+   * @returns {Promise<object|null>} The settings row, or null if already claimed.
+   */
+  static async claim(userId, now) {
+    const result = await pool.query(
+      `INSERT INTO email_digest_settings AS s (user_id, unsubscribe_token, last_attempt_at)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id) DO UPDATE SET last_attempt_at = EXCLUDED.last_attempt_at
+       WHERE s.last_attempt_at IS NULL OR s.last_attempt_at <= $3::timestamptz - ${RETRY_AFTER}
+       RETURNING *`,
+      [userId, newToken(), now]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async markSent(userId, sentAt) {
+    await pool.query(
+      'UPDATE email_digest_settings SET last_sent_at = $2, updated_at = NOW() WHERE user_id = $1',
+      [userId, sentAt]
+    );
+  }
+
+  /**
+   * Lists verified, active users whose digest is due and who have unread
+   * notifications of the given types since their last digest (or within
+   * the digest period, whichever is shorter). Users who turned a type off
+   * for the digest don't have it counted. Users in their quiet hours, or
+   * whose digest was attempted recently (see claim), are left out.
+   * @param {string[]} types - Notification types a digest covers.
+   * @param {object} [options]
+   * @param {Date} [options.now]
+   * @param {number} [options.limit=500]
+   * @param {number} [options.afterUserId=0] - Pages by user id; pass the last one returned.
+   * @returns {Promise<Array<object>>} { user_id, email, frequency, since, counts: { type: n } }
+   */
+  static async listDue(types, { now = new Date(), limit = 500, afterUserId = 0 } = {}) {
+    const result = await pool.query(
+      `WITH zones AS MATERIALIZED (
+         SELECT name FROM pg_timezone_names
+       ), candidates AS (
+         SELECT
+           u.id AS user_id,
+           u.email,
+           COALESCE(s.frequency, 'daily') AS frequency,
+           s.quiet_hours_start,
+           s.quiet_hours_end,
+           -- Local hour now; zones Postgres doesn't know fall back to UTC
+           EXTRACT(HOUR FROM $1::timestamptz AT TIME ZONE COALESCE(z.name, 'UTC'))::int AS local_hour,
+           GREATEST(
+             COALESCE(s.last_sent_at, '-infinity'::timestamptz),
+             $1::timestamptz - CASE COALESCE(s.frequency, 'daily') WHEN 'weekly' THEN interval '7 days' ELSE interval '1 day' END
+           ) AS since,
+           s.last_sent_at
+         FROM users u
+         LEFT JOIN email_digest_settings s ON s.user_id = u.id
+         LEFT JOIN zones z ON z.name = s.timezone
+         WHERE u.is_active = true
+           AND u.is_email_verified = true
+           AND COALESCE(s.frequency, 'daily') <> 'off'
+           AND (s.last_attempt_at IS NULL OR s.last_attempt_at <= $1::timestamptz - ${RETRY_AFTER})
+           AND u.id > $4
+       )
+       SELECT c.user_id, c.email, c.frequency, c.since,
+              jsonb_object_agg(n.type, n.count) AS counts
+       FROM candidates c
+       CROSS JOIN LATERAL (
+         SELECT nt.type, COUNT(*)::int AS count
+         FROM notifications nt
+         LEFT JOIN notification_preferences np ON np.user_id = nt.user_id AND np.type = nt.type
+         WHERE nt.user_id = c.user_id
+           AND nt.is_read = false
+           AND nt.type = ANY($2::text[])
+           AND nt.created_at > c.since
+           AND COALESCE(np.digest, true)
+         GROUP BY nt.type
+       ) n
+       -- An hour of slack so a digest sent a little late doesn't push the next one back a whole period
+       WHERE (c.last_sent_at IS NULL
+              OR c.last_sent_at <= $1::timestamptz
+                 - CASE c.frequency WHEN 'weekly' THEN interval '7 days' ELSE interval '1 day' END
+                 + interval '1 hour')
+         -- Quiet hours [start, end) may wrap past midnight, e.g. 22 -> 7; start = end means none
+         AND NOT COALESCE(
+           CASE
+             WHEN c.quiet_hours_start = c.quiet_hours_end THEN false
+             WHEN c.quiet_hours_start < c.quiet_hours_end
+               THEN c.local_hour >= c.quiet_hours_start AND c.local_hour < c.quiet_hours_end
+             ELSE c.local_hour >= c.quiet_hours_start OR c.local_hour < c.quiet_hours_end
+           END,
+           false
+         )
+       GROUP BY c.user_id, c.email, c.frequency, c.since
+       ORDER BY c.user_id
+       LIMIT $3`,
+      [now, types, limit, afterUserId]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = EmailDigestSetting;
@@ -0,0 +1,25 @@
+const pool = require('../config/db');
+
+class FeaturePermission {
+  /**
+   * Whether a subscription tier includes a feature. Unknown features are off.
+   * @param {string} featureKey - A feature_permissions key.
+   * @param {string} tier - 'Basic', 'Premium' or 'Elite'.
+   * @returns {Promise<boolean>}
+   */
+  static async hasAccess(featureKey, tier) {
+    const result = await pool.query(
+      `SELECT CASE $2
+                WHEN 'Elite' THEN elite_access
+                WHEN 'Premium' THEN premium_access
+                ELSE basic_access
+              END AS has_access
+       FROM feature_permissions
+       WHERE feature_key = $1`,
+      [featureKey, tier]
+    );
+    return result.rows.length > 0 && result.rows[0].has_access === true;
+  }
+}
+
+module.exports = FeaturePermission;
@@ -1,5 +1,6 @@
 const pool = require('../config/db');
 const UserBalance = require('./UserBalance');
+const UserBlock = require('./UserBlock');
 
 class Gift {
   // Tier hierarchy for gift sending permissions
@@ -70,6 +71,12 @@ class Gift {
     try {
       await client.query('BEGIN');
 
+      if (await UserBlock.isBlockedEither(senderId, recipientId, client)) {
+        const error = new Error('Recipient not found.');
+        error.code = 'USER_BLOCKED';
+        throw error;
+      }
+
       // 1. Fetch sender's tier
       const senderTierResult = await client.query(
         `SELECT sp.tier_level, sp.id as tier_id, sp.price as subscription_price
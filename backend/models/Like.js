@@ -11,6 +11,32 @@ class Like {
     return result.rows[0];
   }
 
+  /**
+   * Records a super like, upgrading an existing plain like if there is one.
+   * @param {number} userId - The liker.
+   * @param {number} likedUserId - The recipient.
+   * @param {object} [client] - Optional pg client for use inside a transaction.
+   * @returns {Promise<object>} The likes row.
+   */
+  static async createSuperLike(userId, likedUserId, client = pool) {
+    const updated = await client.query(
+      `UPDATE likes SET is_super = true
+       WHERE user_id = $1 AND liked_user_id = $2
+       RETURNING *`,
+      [userId, likedUserId]
+    );
+    if (updated.rows.length > 0) {
+      return updated.rows[0];
+    }
+    const result = await client.query(
+      `INSERT INTO likes (user_id, liked_user_id, is_super)
+       VALUES ($1, $2, true)
+       RETURNING *`,
+      [userId, likedUserId]
+    );
+    return result.rows[0];
+  }
+
   static async checkLike(userId, likedUserId) {
     const result = await pool.query(
       `SELECT * FROM likes 
@@ -32,17 +58,21 @@ class Like {
 
   /**
    * Retrieves all users who have liked a specific user.
+   * Likers in incognito mode are left out unless the like is mutual.
    * @param {number} userId - The ID of the user whose likers are to be found.
-   * @returns {Promise<Array<object>>} An array of user profiles (id, first_name, profile_pic) who liked the user.
+   * @returns {Promise<Array<object>>} An array of user profiles (id, first_name, profile_pic, is_super) who liked the user.
    */
   static async getUsersWhoLiked(userId) {
     try {
       const result = await pool.query(
-        `SELECT u.id, p.first_name, p.profile_pic
+        `SELECT u.id, p.first_name, p.profile_pic, l.is_super
          FROM users u
          JOIN profiles p ON u.id = p.user_id
          JOIN likes l ON u.id = l.user_id
-         WHERE l.liked_user_id = $1`,
+         WHERE l.liked_user_id = $1
+           AND (u.is_incognito = false OR EXISTS (
+             SELECT 1 FROM likes back WHERE back.user_id = $1 AND back.liked_user_id = u.id
+           ))`,
         [userId]
       );
       return result.rows;
@@ -1,6 +1,83 @@
 // backend/models/Message.js
 
 const pool = require('../config/db');
+const UserBlock = require('./UserBlock');
+const MessageStatus = require('./MessageStatus');
+const MessageAttachment = require('./MessageAttachment');
+const MessageLocation = require('./MessageLocation');
+const ConversationParticipant = require('./ConversationParticipant');
+const MessageEdit = require('./MessageEdit');
+
+// SQL condition that is true when some other participant of the conversation
+// and the user have blocked one another. Arguments are trusted SQL expressions.
+const blockedParticipantSql = (conversationId, userId) => `EXISTS (
+  SELECT 1 FROM conversation_participants other
+  JOIN user_blocks ub
+    ON (ub.blocker_id = ${userId} AND ub.blocked_id = other.user_id)
+    OR (ub.blocker_id = other.user_id AND ub.blocked_id = ${userId})
+  WHERE other.conversation_id = ${conversationId} AND other.user_id <> ${userId}
+)`;
+
+// The message's attachment, if any, as JSON. `url` needs the caller's own
+// credentials (or a link from /attachments/:id/link) to download.
+const attachmentSql = (messageId) => `(
+  SELECT json_build_object(
+    'id', a.id,
+    'kind', a.kind,
+    'mime_type', a.mime_type,
+    'file_size', a.file_size,
+    'original_name', a.original_name,
+    'width', a.width,
+    'height', a.height,
+    'duration_seconds', a.duration_seconds,
+    'url', '/api/messages/attachments/' || a.id || '/content'
+  )
+  FROM message_attachments a WHERE a.message_id = ${messageId}
+)`;
+
+// The location a location message shares, as JSON. A live location only
+// shows its point while it is running.
+const locationSql = (messageId) => `(
+  SELECT json_build_object(
+    'latitude', CASE WHEN v.showing THEN l.latitude END,
+    'longitude', CASE WHEN v.showing THEN l.longitude END,
+    'accuracy_meters', CASE WHEN v.showing THEN l.accuracy_meters END,
+    'label', l.label,
+    'is_live', l.is_live,
+    'live_until', l.live_until,
+    'live_active', l.is_live AND v.showing,
+    'updated_at', l.updated_at
+  )
+  FROM message_locations l
+  CROSS JOIN LATERAL (
+    SELECT NOT l.is_live OR (l.ended_at IS NULL AND l.live_until > NOW()) AS showing
+  ) v
+  WHERE l.message_id = ${messageId}
+)`;
+
+// SQL condition that is true when the user deleted the message for themselves
+const hiddenForSql = (messageId, userId) =>
+  `EXISTS (SELECT 1 FROM message_hidden h WHERE h.message_id = ${messageId} AND h.user_id = ${userId})`;
+
+// Text search configuration; must match idx_messages_content_search
+const SEARCH_CONFIG = 'english';
+
+// ts_headline marks matches with these private-use characters so the
+// snippet can be HTML-escaped before they become <mark> tags
+const HIGHLIGHT_START = '\uE000';
+const HIGHLIGHT_STOP = '\uE001';
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MinWords=5, MaxWords=20, MaxFragments=2, FragmentDelimiter=" ... "`;
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const highlightSnippet = (headline) => escapeHtml(headline)
+  .split(HIGHLIGHT_START).join('<mark>')
+  .split(HIGHLIGHT_STOP).join('</mark>');
 
 class Message {
   // Message types
@@ -27,20 +104,85 @@ class Message {
     return result.rows.map(row => row.user_id);
   }
 
-  // Create a new message
-  static async create({ senderId, conversationId, content, messageType = 'text', parentMessageId = null }) {
+  /**
+   * Works out what a user may do with a conversation. It is hidden from
+   * anyone outside it, once it has ended (unmatch or block) and while a block
+   * stands between the participants. Messages can be sent while the two are
+   * matched, or if it was opened before matching as an Elite privilege.
+   * @param {number} conversationId
+   * @param {number} userId
+   * @returns {Promise<{visible: boolean, canSend: boolean}>}
+   */
+  static async getAccess(conversationId, userId) {
+    const result = await pool.query(
+      `SELECT
+         c.opened_before_match,
+         ${blockedParticipantSql('c.id', '$2::int')} AS blocked,
+         EXISTS (
+           SELECT 1 FROM conversation_participants other
+           JOIN matches m
+             ON (m.user1_id = $2 AND m.user2_id = other.user_id)
+             OR (m.user1_id = other.user_id AND m.user2_id = $2)
+           WHERE other.conversation_id = c.id AND other.user_id <> $2
+         ) AS matched
+       FROM conversations c
+       JOIN conversation_participants me ON me.conversation_id = c.id AND me.user_id = $2
+       WHERE c.id = $1 AND c.ended_at IS NULL`,
+      [conversationId, userId]
+    );
+    const row = result.rows[0];
+    const visible = !!row && !row.blocked;
+    return { visible, canSend: visible && (row.matched || row.opened_before_match) };
+  }
+
+  /**
+   * Ends the conversation between two users, e.g. after an unmatch. It stays
+   * hidden until they match again.
+   * @param {object} [client=pool] - Pass a transaction client to end it inside that transaction.
+   */
+  static async endConversationBetween(user1Id, user2Id, client = pool) {
+    await client.query(
+      `UPDATE conversations SET ended_at = NOW(), updated_at = NOW()
+       WHERE ended_at IS NULL AND id IN (
+         SELECT cp1.conversation_id FROM conversation_participants cp1
+         JOIN conversation_participants cp2 ON cp1.conversation_id = cp2.conversation_id
+         WHERE cp1.user_id = $1 AND cp2.user_id = $2
+       )`,
+      [user1Id, user2Id]
+    );
+  }
+
+  // Create a new message. `clientMessageId` is the sender's idempotency id;
+  // reusing one fails with a unique violation (see findByClientMessageId).
+  // `attachmentId` must be an unsent upload of the sender's to the conversation,
+  // otherwise an error with code ATTACHMENT_NOT_FOUND is thrown. `location`
+  // is stored for location messages (see MessageLocation.create).
+  static async create({ senderId, conversationId, content, messageType = 'text', parentMessageId = null, clientMessageId = null, attachmentId = null, location = null }) {
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
       
       const messageResult = await client.query(
-        `INSERT INTO messages (conversation_id, sender_id, content, message_type, parent_message_id)
-         VALUES ($1, $2, $3, $4, $5)
+        `INSERT INTO messages (conversation_id, sender_id, content, message_type, parent_message_id, client_message_id)
+         VALUES ($1, $2, $3, $4, $5, $6)
          RETURNING *`,
-        [conversationId, senderId, content, messageType, parentMessageId]
+        [conversationId, senderId, content, messageType, parentMessageId, clientMessageId]
       );
       
       const newMessage = messageResult.rows[0];
+      if (attachmentId) {
+        const attachment = await MessageAttachment.attachToMessage(
+          { id: attachmentId, uploaderId: senderId, conversationId, messageId: newMessage.id },
+          client
+        );
+        if (!attachment) {
+          throw Object.assign(new Error('Attachment not found'), { code: 'ATTACHMENT_NOT_FOUND' });
+        }
+      }
+      if (location) {
+        await MessageLocation.create({ ...location, messageId: newMessage.id }, client);
+      }
+      await MessageStatus.createForRecipients(newMessage, client);
 
       await client.query(
         `UPDATE conversations SET updated_at = NOW() WHERE id = $1`,
@@ -70,7 +212,9 @@ class Message {
               u.email as sender_email,
               p.first_name as sender_first_name,
               p.last_name as sender_last_name,
-              COALESCE(p.profile_picture, p.profile_pic) as sender_profile_pic
+              COALESCE(p.profile_picture, p.profile_pic) as sender_profile_pic,
+              ${attachmentSql('m.id')} as attachment,
+              ${locationSql('m.id')} as location
        FROM messages m
        JOIN users u ON m.sender_id = u.id
        LEFT JOIN profiles p ON u.id = p.user_id
@@ -80,20 +224,58 @@ class Message {
     return result.rows[0] || null;
   }
 
+  /**
+   * Finds a message the sender already sent with this idempotency id.
+   * @returns {Promise<object|null>}
+   */
+  static async findByClientMessageId(senderId, clientMessageId) {
+    const result = await pool.query(
+      'SELECT id FROM messages WHERE sender_id = $1 AND client_message_id = $2',
+      [senderId, clientMessageId]
+    );
+    return result.rows.length > 0 ? this.getById(result.rows[0].id) : null;
+  }
+
   // Get messages in a conversation with pagination
-  static async getByConversation(conversationId, { limit = 50, before = null } = {}) {
+  // delivery_status is the least advanced state among the recipients
+  // `around` (a message id, e.g. from a search result) returns that message
+  // with the ones just before and after it instead of paging by `before`.
+  // Messages `viewerId` deleted for themselves are left out.
+  static async getByConversation(conversationId, { limit = 50, before = null, around = null, viewerId = null } = {}) {
     let query = `
       SELECT m.*, 
              u.email as sender_email,
              p.first_name as sender_first_name,
              p.last_name as sender_last_name,
-             COALESCE(p.profile_picture, p.profile_pic) as sender_profile_pic
+             COALESCE(p.profile_picture, p.profile_pic) as sender_profile_pic,
+             (SELECT CASE
+                       WHEN bool_and(ms.status = 'read') THEN 'read'
+                       WHEN bool_and(ms.status <> 'sent') THEN 'delivered'
+                       ELSE 'sent'
+                     END
+              FROM message_status ms WHERE ms.message_id = m.id) as delivery_status,
+             ${attachmentSql('m.id')} as attachment,
+             ${locationSql('m.id')} as location
       FROM messages m
       JOIN users u ON m.sender_id = u.id
       LEFT JOIN profiles p ON u.id = p.user_id
       WHERE m.conversation_id = $1 AND m.is_deleted = FALSE
+        AND ($2::int IS NULL OR NOT ${hiddenForSql('m.id', '$2::int')})
     `;
-    const params = [conversationId];
+    const params = [conversationId, viewerId];
+    if (around) {
+      const newer = Math.floor(limit / 2);
+      const result = await pool.query(
+        `SELECT * FROM (
+           (${query} AND m.id <= $3 ORDER BY m.id DESC LIMIT $4)
+           UNION ALL
+           (${query} AND m.id > $3 ORDER BY m.id ASC LIMIT $5)
+         ) page
+         ORDER BY page.created_at DESC, page.id DESC`,
+        [conversationId, viewerId, around, limit - newer, newer]
+      );
+      return result.rows;
+    }
     if (before) {
       query += ` AND m.id < $${params.length + 1}`;
       params.push(before);
@@ -105,21 +287,84 @@ class Message {
     return result.rows;
   }
 
-  // Get conversations for a user with pagination
-  static async getUserConversations(userId, { limit = 20, offset = 0 } = {}) {
+  /**
+   * Full-text search over the messages of the user's visible conversations
+   * (see getAccess), newest first. Deleted messages are never matched.
+   * @param {number} userId
+   * @param {string} text - Search terms; quotes, OR and -word are understood.
+   * @param {object} [options]
+   * @param {number} [options.limit=20]
+   * @param {number} [options.before] - Only messages older than this id.
+   * @returns {Promise<Array<object>>} Matches with an HTML `snippet` in which
+   *   the matched words are wrapped in <mark> and everything else is escaped,
+   *   and the conversation's participants.
+   */
+  static async search(userId, text, { limit = 20, before = null } = {}) {
+    const result = await pool.query(
+      `WITH search AS (SELECT websearch_to_tsquery('${SEARCH_CONFIG}', $2) AS query)
+       SELECT m.id, m.conversation_id, m.sender_id, m.message_type, m.is_edited, m.created_at,
+              ts_headline('${SEARCH_CONFIG}', m.content, search.query, $5) AS headline,
+              (SELECT json_agg(json_build_object(
+                        'id', u.id,
+                        'first_name', p.first_name,
+                        'last_name', p.last_name,
+                        'profile_pic', COALESCE(p.profile_picture, p.profile_pic)
+                      ))
+               FROM conversation_participants cp
+               JOIN users u ON u.id = cp.user_id
+               LEFT JOIN profiles p ON p.user_id = u.id
+               WHERE cp.conversation_id = m.conversation_id) AS participants
+       FROM messages m
+       CROSS JOIN search
+       JOIN conversation_participants me ON me.conversation_id = m.conversation_id AND me.user_id = $1
+       JOIN conversations c ON c.id = m.conversation_id AND c.ended_at IS NULL
+       WHERE to_tsvector('${SEARCH_CONFIG}', COALESCE(m.content, '')) @@ search.query
+         AND m.is_deleted = false
+         AND NOT ${hiddenForSql('m.id', '$1::int')}
+         AND ($3::int IS NULL OR m.id < $3)
+         AND NOT ${blockedParticipantSql('m.conversation_id', '$1::int')}
+       ORDER BY m.id DESC
+       LIMIT $4`,
+      [userId, text, before, limit, HEADLINE_OPTIONS]
+    );
+    return result.rows.map(({ headline, ...row }) => ({ ...row, snippet: highlightSnippet(headline) }));
+  }
+
+  // Get conversations for a user with pagination, pinned ones first. The
+  // archive is listed separately (`archived: true`). unread_count counts the
+  // others' messages after the user's last_read_message_id.
+  static async getUserConversations(userId, { limit = 20, offset = 0, archived = false, unreadOnly = false } = {}) {
     const query = `
       WITH user_conversations AS (
-        SELECT conversation_id
-        FROM conversation_participants
-        WHERE user_id = $1
+        SELECT
+          cp.conversation_id,
+          ${ConversationParticipant.mutedSql('cp')} AS is_muted,
+          CASE WHEN ${ConversationParticipant.mutedSql('cp')} THEN cp.muted_until END AS muted_until,
+          cp.is_archived,
+          cp.pinned_at,
+          (SELECT COUNT(*)::int
+           FROM messages um
+           WHERE um.conversation_id = cp.conversation_id
+             AND um.sender_id <> $1
+             AND um.is_deleted = FALSE
+             AND um.id > COALESCE(cp.last_read_message_id, 0)
+             AND NOT ${hiddenForSql('um.id', '$1')}) AS unread_count
+        FROM conversation_participants cp
+        JOIN conversations uc ON uc.id = cp.conversation_id
+        WHERE cp.user_id = $1
+          AND uc.ended_at IS NULL
+          AND cp.is_archived = $4
+          AND NOT ${blockedParticipantSql('cp.conversation_id', '$1')}
       ), last_message AS (
         SELECT DISTINCT ON (conversation_id)
           id,
           conversation_id,
           content,
           created_at
-        FROM messages
+        FROM messages lm
         WHERE conversation_id IN (SELECT conversation_id FROM user_conversations)
+          AND is_deleted = FALSE
+          AND NOT ${hiddenForSql('lm.id', '$1')}
         ORDER BY conversation_id, created_at DESC
       )
       SELECT
@@ -135,19 +380,27 @@ class Message {
           )
         ) AS participants,
         lm.content as "lastMessage",
-        lm.created_at as "lastMessageAt"
-      FROM conversations c
+        lm.created_at as "lastMessageAt",
+        uc.unread_count,
+        uc.is_muted,
+        uc.muted_until,
+        uc.is_archived,
+        uc.pinned_at IS NOT NULL AS is_pinned,
+        uc.pinned_at
+      FROM user_conversations uc
+      JOIN conversations c ON c.id = uc.conversation_id
       JOIN conversation_participants cp ON c.id = cp.conversation_id
       JOIN users u ON cp.user_id = u.id
       LEFT JOIN profiles p ON u.id = p.user_id
       LEFT JOIN last_message lm ON c.id = lm.conversation_id
-      WHERE c.id IN (SELECT conversation_id FROM user_conversations)
-      GROUP BY c.id, c.updated_at, lm.content, lm.created_at
-      ORDER BY c.updated_at DESC
+      WHERE NOT $5 OR uc.unread_count > 0
+      GROUP BY c.id, c.updated_at, lm.content, lm.created_at,
+               uc.unread_count, uc.is_muted, uc.muted_until, uc.is_archived, uc.pinned_at
+      ORDER BY uc.pinned_at DESC NULLS LAST, c.updated_at DESC
       LIMIT $2 OFFSET $3;
     `;
     
-    const result = await pool.query(query, [userId, limit, offset]);
+    const result = await pool.query(query, [userId, limit, offset, archived, unreadOnly]);
     return result.rows;
   }
 
@@ -162,8 +415,16 @@ class Message {
           [messageId, conversationId, userId]
         );
       } else {
+        // Everything so far has been read
         await client.query(
-          `UPDATE conversation_participants SET updated_at = NOW() WHERE conversation_id = $1 AND user_id = $2`,
+          `UPDATE conversation_participants cp
+           SET last_read_message_id = COALESCE(
+                 (SELECT MAX(m.id) FROM messages m
+                  WHERE m.conversation_id = cp.conversation_id AND m.id > COALESCE(cp.last_read_message_id, 0)),
+                 cp.last_read_message_id
+               ),
+               updated_at = NOW()
+           WHERE cp.conversation_id = $1 AND cp.user_id = $2`,
           [conversationId, userId]
         );
       }
@@ -177,21 +438,68 @@ class Message {
     }
   }
 
-  // Edit a message
+  // Edit a message, keeping the content it replaces (see MessageEdit)
   static async edit(messageId, content, userId) {
-    const result = await pool.query(
-      `UPDATE messages SET content = $1, is_edited = TRUE, updated_at = NOW() WHERE id = $2 AND sender_id = $3 AND is_deleted = FALSE RETURNING *`,
-      [content, messageId, userId]
-    );
-    return result.rows.length > 0 ? await this.getById(messageId) : null;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const current = await client.query(
+        `SELECT content FROM messages WHERE id = $1 AND sender_id = $2 AND is_deleted = FALSE FOR UPDATE`,
+        [messageId, userId]
+      );
+      if (current.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      if (current.rows[0].content !== content) {
+        await MessageEdit.record(messageId, current.rows[0].content, client);
+        await client.query(
+          `UPDATE messages SET content = $1, is_edited = TRUE, updated_at = NOW() WHERE id = $2`,
+          [content, messageId]
+        );
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    return this.getById(messageId);
   }
 
-  // Delete a message (soft delete)
+  // Delete a message for everyone (soft delete; the row stays for moderation)
   static async delete(messageId, userId) {
     const result = await pool.query(
-      `UPDATE messages SET is_deleted = TRUE, updated_at = NOW() WHERE id = $1 AND sender_id = $2 RETURNING *`,
+      `UPDATE messages SET is_deleted = TRUE, deleted_at = COALESCE(deleted_at, NOW()), updated_at = NOW() WHERE id = $1 AND sender_id = $2 RETURNING *`,
+      [messageId, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Delete a message for one participant only; it stays for the others
+  static async hideForUser(messageId, userId) {
+    await pool.query(
+      `INSERT INTO message_hidden (message_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING`,
       [messageId, userId]
     );
+  }
+
+  // A message as moderators see it, including deleted ones, with the
+  // conversation's participants and who deleted it for themselves
+  static async getForModeration(messageId) {
+    const result = await pool.query(
+      `SELECT m.*,
+              ${attachmentSql('m.id')} as attachment,
+              ${locationSql('m.id')} as location,
+              (SELECT array_agg(cp.user_id ORDER BY cp.user_id) FROM conversation_participants cp
+               WHERE cp.conversation_id = m.conversation_id) AS participant_ids,
+              (SELECT COALESCE(json_agg(json_build_object('user_id', h.user_id, 'hidden_at', h.hidden_at)), '[]')
+               FROM message_hidden h WHERE h.message_id = m.id) AS hidden_by
+       FROM messages m
+       WHERE m.id = $1`,
+      [messageId]
+    );
     return result.rows[0] || null;
   }
 
@@ -236,22 +544,65 @@ class Message {
     return result.rows;
   }
 
-  // Create or get a conversation between two users
-  static async getOrCreateConversation(user1Id, user2Id) {
+  /**
+   * Gets the conversation between two users, creating it if needed. The users
+   * must be matched unless `allowWithoutMatch` is set (message before match).
+   * An ended conversation is reopened when they are allowed to talk again.
+   * @param {number} user1Id - The user opening the conversation.
+   * @param {number} user2Id
+   * @param {object} [options]
+   * @param {boolean} [options.allowWithoutMatch=false]
+   * @returns {Promise<number>} The conversation ID.
+   * @throws {Error} With code USER_BLOCKED or NOT_MATCHED.
+   */
+  static async getOrCreateConversation(user1Id, user2Id, { allowWithoutMatch = false } = {}) {
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
+      if (await UserBlock.isBlockedEither(user1Id, user2Id, client)) {
+        const error = new Error('User not found');
+        error.code = 'USER_BLOCKED';
+        throw error;
+      }
+      const matchResult = await client.query(
+        'SELECT 1 FROM matches WHERE (user1_id = $1 AND user2_id = $2) OR (user1_id = $2 AND user2_id = $1)',
+        [user1Id, user2Id]
+      );
+      const matched = matchResult.rows.length > 0;
+      const notMatchedError = () => {
+        const error = new Error('You can only message your matches');
+        error.code = 'NOT_MATCHED';
+        return error;
+      };
+
       const existingConv = await client.query(
-        `SELECT cp1.conversation_id as id FROM conversation_participants AS cp1 JOIN conversation_participants AS cp2 ON cp1.conversation_id = cp2.conversation_id WHERE cp1.user_id = $1 AND cp2.user_id = $2`,
+        `SELECT c.id, c.ended_at FROM conversation_participants AS cp1 JOIN conversation_participants AS cp2 ON cp1.conversation_id = cp2.conversation_id JOIN conversations c ON c.id = cp1.conversation_id WHERE cp1.user_id = $1 AND cp2.user_id = $2`,
         [user1Id, user2Id]
       );
       
       if (existingConv.rows.length > 0) {
+        const existing = existingConv.rows[0];
+        if (existing.ended_at) {
+          if (!matched && !allowWithoutMatch) {
+            throw notMatchedError();
+          }
+          await client.query(
+            'UPDATE conversations SET ended_at = NULL, opened_before_match = $2, updated_at = NOW() WHERE id = $1',
+            [existing.id, !matched]
+          );
+        }
         await client.query('COMMIT');
-        return existingConv.rows[0].id;
+        return existing.id;
+      }
+
+      if (!matched && !allowWithoutMatch) {
+        throw notMatchedError();
       }
       
-      const convResult = await client.query('INSERT INTO conversations DEFAULT VALUES RETURNING id');
+      const convResult = await client.query(
+        'INSERT INTO conversations (opened_before_match) VALUES ($1) RETURNING id',
+        [!matched]
+      );
       const conversationId = convResult.rows[0].id;
       
       await client.query(
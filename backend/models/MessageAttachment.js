@@ -0,0 +1,75 @@
+const pool = require('../config/db');
+
+class MessageAttachment {
+  static async create({ conversationId, uploaderId, kind, mimeType, fileSize, originalName, storageKey, width, height, durationSeconds }) {
+    const result = await pool.query(
+      `INSERT INTO message_attachments
+         (conversation_id, uploader_id, kind, mime_type, file_size, original_name, storage_key, width, height, duration_seconds)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [conversationId, uploaderId, kind, mimeType, fileSize, originalName, storageKey, width, height, durationSeconds]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Retrieves an attachment with whether the message that sent it (if any)
+   * has been deleted.
+   * @returns {Promise<object|null>}
+   */
+  static async findById(id) {
+    const result = await pool.query(
+      `SELECT a.*, COALESCE(m.is_deleted, false) AS message_deleted
+       FROM message_attachments a
+       LEFT JOIN messages m ON m.id = a.message_id
+       WHERE a.id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * An attachment the user uploaded to the conversation and hasn't sent yet.
+   * @returns {Promise<object|null>}
+   */
+  static async findUnsent(id, uploaderId, conversationId) {
+    const result = await pool.query(
+      `SELECT * FROM message_attachments
+       WHERE id = $1 AND uploader_id = $2 AND conversation_id = $3 AND message_id IS NULL`,
+      [id, uploaderId, conversationId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Links an unsent attachment to the message sending it.
+   * @param {object} [client=pool] - Pass the transaction client creating the message.
+   * @returns {Promise<object|null>} The attachment, or null if it was no longer unsent.
+   */
+  static async attachToMessage({ id, uploaderId, conversationId, messageId }, client = pool) {
+    const result = await client.query(
+      `UPDATE message_attachments SET message_id = $4
+       WHERE id = $1 AND uploader_id = $2 AND conversation_id = $3 AND message_id IS NULL
+       RETURNING *`,
+      [id, uploaderId, conversationId, messageId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Deletes uploads that were never sent.
+   * @param {number} olderThanHours
+   * @returns {Promise<Array<object>>} The deleted rows, so their files can be removed.
+   */
+  static async deleteUnsent(olderThanHours) {
+    const result = await pool.query(
+      `DELETE FROM message_attachments
+       WHERE message_id IS NULL AND created_at < NOW() - make_interval(hours => $1)
+       RETURNING *`,
+      [olderThanHours]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = MessageAttachment;
@@ -0,0 +1,31 @@
+const pool = require('../config/db');
+
+// Earlier versions of edited messages, oldest first
+class MessageEdit {
+  /**
+   * Keeps the content an edit is about to replace.
+   * @param {object} [client=pool] - Pass the transaction client making the edit.
+   */
+  static async record(messageId, previousContent, client = pool) {
+    await client.query(
+      'INSERT INTO message_edits (message_id, previous_content) VALUES ($1, $2)',
+      [messageId, previousContent]
+    );
+  }
+
+  /**
+   * @returns {Promise<Array<{previous_content: string, edited_at: Date}>>}
+   *   Each entry is the content as it was until `edited_at`.
+   */
+  static async listForMessage(messageId) {
+    const result = await pool.query(
+      `SELECT previous_content, edited_at FROM message_edits
+       WHERE message_id = $1
+       ORDER BY edited_at ASC, id ASC`,
+      [messageId]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = MessageEdit;
@@ -0,0 +1,76 @@
+const pool = require('../config/db');
+
+// Columns returned when a live location changes, with its conversation
+const LIVE_RETURNING = `l.message_id, m.conversation_id, m.sender_id, l.latitude, l.longitude,
+  l.accuracy_meters, l.live_until, l.ended_at, l.updated_at`;
+
+class MessageLocation {
+  /**
+   * Stores the location carried by a new location message.
+   * @param {object} location - { messageId, latitude, longitude, accuracyMeters, label, liveMinutes }
+   *   where `liveMinutes` makes it a live location for that long.
+   * @param {object} [client=pool] - Pass the transaction client creating the message.
+   */
+  static async create({ messageId, latitude, longitude, accuracyMeters = null, label = null, liveMinutes = null }, client = pool) {
+    const result = await client.query(
+      `INSERT INTO message_locations (message_id, latitude, longitude, accuracy_meters, label, is_live, live_until)
+       VALUES ($1, $2, $3, $4, $5, $6::int IS NOT NULL, NOW() + make_interval(mins => $6::int))
+       RETURNING *`,
+      [messageId, latitude, longitude, accuracyMeters, label, liveMinutes]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Moves a running live location. Only its sender can, and only until it
+   * ends or expires.
+   * @returns {Promise<object|null>} The updated location, or null if it isn't running.
+   */
+  static async updateLive(messageId, senderId, { latitude, longitude, accuracyMeters = null }) {
+    const result = await pool.query(
+      `UPDATE message_locations l
+       SET latitude = $3, longitude = $4, accuracy_meters = $5, updated_at = NOW()
+       FROM messages m
+       WHERE l.message_id = $1 AND m.id = l.message_id AND m.sender_id = $2 AND m.is_deleted = false
+         AND l.is_live AND l.ended_at IS NULL AND l.live_until > NOW()
+       RETURNING ${LIVE_RETURNING}`,
+      [messageId, senderId, latitude, longitude, accuracyMeters]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Stops the sender's live location early and clears its last point.
+   * @returns {Promise<object|null>} The ended location, or null if it wasn't running.
+   */
+  static async endLive(messageId, senderId) {
+    const result = await pool.query(
+      `UPDATE message_locations l
+       SET ended_at = NOW(), latitude = NULL, longitude = NULL, accuracy_meters = NULL, updated_at = NOW()
+       FROM messages m
+       WHERE l.message_id = $1 AND m.id = l.message_id AND m.sender_id = $2
+         AND l.is_live AND l.ended_at IS NULL
+       RETURNING ${LIVE_RETURNING}`,
+      [messageId, senderId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Ends live locations whose time is up and clears their last point. Each
+   * row is only returned to one caller, so the end is announced once.
+   * @returns {Promise<Array<object>>}
+   */
+  static async endExpired() {
+    const result = await pool.query(
+      `UPDATE message_locations l
+       SET ended_at = l.live_until, latitude = NULL, longitude = NULL, accuracy_meters = NULL, updated_at = NOW()
+       FROM messages m
+       WHERE m.id = l.message_id AND l.is_live AND l.ended_at IS NULL AND l.live_until <= NOW()
+       RETURNING ${LIVE_RETURNING}`
+    );
+    return result.rows;
+  }
+}
+
+module.exports = MessageLocation;
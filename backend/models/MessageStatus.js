@@ -0,0 +1,70 @@
+const pool = require('../config/db');
+
+// A recipient's copy of a message moves from 'sent' to 'delivered' to 'read'
+class MessageStatus {
+  /**
+   * Records a new message as sent to every other participant of its conversation.
+   * @param {object} message - The messages row.
+   * @param {object} [client=pool] - Pass a transaction client to record it inside that transaction.
+   */
+  static async createForRecipients(message, client = pool) {
+    await client.query(
+      `INSERT INTO message_status (message_id, user_id, status)
+       SELECT $1, cp.user_id, 'sent'
+       FROM conversation_participants cp
+       WHERE cp.conversation_id = $2 AND cp.user_id <> $3
+       ON CONFLICT (message_id, user_id) DO NOTHING`,
+      [message.id, message.conversation_id, message.sender_id]
+    );
+  }
+
+  /**
+   * Marks messages as delivered to a recipient. Messages already delivered
+   * or read are left alone.
+   * @param {number} userId - The recipient.
+   * @param {number[]} messageIds
+   * @returns {Promise<Array<{message_id: number, sender_id: number, conversation_id: number}>>}
+   *   The messages that changed state.
+   */
+  static async markDelivered(userId, messageIds) {
+    const result = await pool.query(
+      `UPDATE message_status ms
+       SET status = 'delivered', delivered_at = NOW()
+       FROM messages m
+       WHERE ms.message_id = m.id
+         AND ms.user_id = $1
+         AND ms.message_id = ANY($2::int[])
+         AND ms.status = 'sent'
+       RETURNING ms.message_id, m.sender_id, m.conversation_id`,
+      [userId, messageIds]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Marks a recipient's messages in a conversation as read, up to and
+   * including `upToMessageId` (or all of them).
+   * @param {number} userId - The recipient.
+   * @param {number} conversationId
+   * @param {number|null} upToMessageId
+   * @returns {Promise<Array<{message_id: number, sender_id: number, conversation_id: number}>>}
+   *   The messages that changed state.
+   */
+  static async markRead(userId, conversationId, upToMessageId = null) {
+    const result = await pool.query(
+      `UPDATE message_status ms
+       SET status = 'read', is_read = true, read_at = NOW(), delivered_at = COALESCE(ms.delivered_at, NOW())
+       FROM messages m
+       WHERE ms.message_id = m.id
+         AND ms.user_id = $1
+         AND m.conversation_id = $2
+         AND ($3::int IS NULL OR m.id <= $3::int)
+         AND ms.status <> 'read'
+       RETURNING ms.message_id, m.sender_id, m.conversation_id`,
+      [userId, conversationId, upToMessageId]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = MessageStatus;
@@ -0,0 +1,104 @@
+const pool = require('../config/db');
+
+class Notification {
+  /**
+   * Stores a notification in a user's inbox.
+   * @param {number} userId - The recipient.
+   * @param {string} type - One of NotificationService.TYPES.
+   * @param {object} [payload] - Type-specific details.
+   * @returns {Promise<object>} The created row.
+   */
+  static async create(userId, type, payload = {}) {
+    const result = await pool.query(
+      `INSERT INTO notifications (user_id, type, payload)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [userId, type, JSON.stringify(payload)]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Lists a user's notifications, newest first.
+   * @param {number} userId
+   * @param {object} [options]
+   * @param {number} [options.limit=20]
+   * @param {number} [options.offset=0]
+   * @param {boolean} [options.unreadOnly=false]
+   * @returns {Promise<{notifications: Array<object>, total: number}>}
+   */
+  static async listForUser(userId, { limit = 20, offset = 0, unreadOnly = false } = {}) {
+    const unreadFilter = unreadOnly ? 'AND is_read = false' : '';
+    const [listResult, countResult] = await Promise.all([
+      pool.query(
+        `SELECT * FROM notifications
+         WHERE user_id = $1 ${unreadFilter}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $2 OFFSET $3`,
+        [userId, limit, offset]
+      ),
+      pool.query(`SELECT COUNT(*) FROM notifications WHERE user_id = $1 ${unreadFilter}`, [userId])
+    ]);
+    return {
+      notifications: listResult.rows,
+      total: parseInt(countResult.rows[0].count, 10)
+    };
+  }
+
+  static async countUnread(userId) {
+    const result = await pool.query(
+      'SELECT COUNT(*) FROM notifications WHERE user_id = $1 AND is_read = false',
+      [userId]
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Marks one of a user's notifications as read.
+   * @returns {Promise<object|null>} The notification, or null if it isn't theirs.
+   */
+  static async markRead(id, userId) {
+    const result = await pool.query(
+      `UPDATE notifications
+       SET is_read = true, read_at = COALESCE(read_at, NOW())
+       WHERE id = $1 AND user_id = $2
+       RETURNING *`,
+      [id, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Marks the user's message notifications for a conversation as read, up to
+   * and including `upToMessageId` (all of them when null), once they have
+   * read the conversation itself.
+   * @returns {Promise<number>} How many were unread.
+   */
+  static async markConversationRead(userId, conversationId, upToMessageId = null) {
+    const result = await pool.query(
+      `UPDATE notifications
+       SET is_read = true, read_at = NOW()
+       WHERE user_id = $1 AND type = 'message' AND is_read = false
+         AND (payload->>'conversationId')::int = $2
+         AND ($3::int IS NULL OR (payload->>'messageId')::int <= $3)`,
+      [userId, conversationId, upToMessageId]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Marks all of a user's notifications as read.
+   * @returns {Promise<number>} How many were unread.
+   */
+  static async markAllRead(userId) {
+    const result = await pool.query(
+      `UPDATE notifications
+       SET is_read = true, read_at = NOW()
+       WHERE user_id = $1 AND is_read = false`,
+      [userId]
+    );
+    return result.rowCount;
+  }
+}
+
+module.exports = Notification;
@@ -0,0 +1,51 @@
+const pool = require('../config/db');
+
+class NotificationPreference {
+  /**
+   * Retrieves the preferences a user has changed from the defaults.
+   * @param {number} userId
+   * @returns {Promise<Array<object>>} notification_preferences rows.
+   */
+  static async listForUser(userId) {
+    const result = await pool.query(
+      'SELECT type, in_app, websocket, email, digest FROM notification_preferences WHERE user_id = $1',
+      [userId]
+    );
+    return result.rows;
+  }
+
+  static async findForUserAndType(userId, type) {
+    const result = await pool.query(
+      'SELECT type, in_app, websocket, email, digest FROM notification_preferences WHERE user_id = $1 AND type = $2',
+      [userId, type]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Saves the full channel settings for one notification type.
+   * @param {number} userId
+   * @param {string} type
+   * @param {object} channels - { in_app, websocket, email, digest }
+   * @param {object} [client] - Optional pg client for use inside a transaction.
+   * @returns {Promise<object>} The saved row.
+   */
+  static async upsert(userId, type, { in_app, websocket, email, digest }, client = pool) {
+    const result = await client.query(
+      `INSERT INTO notification_preferences (user_id, type, in_app, websocket, email, digest, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       ON CONFLICT (user_id, type)
+       DO UPDATE SET
+         in_app = EXCLUDED.in_app,
+         websocket = EXCLUDED.websocket,
+         email = EXCLUDED.email,
+         digest = EXCLUDED.digest,
+         updated_at = NOW()
+       RETURNING type, in_app, websocket, email, digest`,
+      [userId, type, in_app, websocket, email, digest]
+    );
+    return result.rows[0];
+  }
+}
+
+module.exports = NotificationPreference;
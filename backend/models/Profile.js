@@ -1,6 +1,16 @@
 // backend/models/Profile.js
 
 const pool = require('../config/db');
+const UserBlock = require('./UserBlock');
+
+const EARTH_RADIUS_KM = 6371;
+
+// Great-circle (haversine) distance in km between two coordinate pairs given
+// as SQL expressions. Plain arithmetic, so it doesn't need PostGIS.
+const distanceKmSql = (lat1, lng1, lat2, lng2) => `(2 * ${EARTH_RADIUS_KM} * asin(LEAST(1, sqrt(
+                 power(sin(radians(${lat2} - ${lat1}) / 2), 2)
+                 + cos(radians(${lat1})) * cos(radians(${lat2})) * power(sin(radians(${lng2} - ${lng1}) / 2), 2)
+               ))))`;
 
 class Profile {
   /**
@@ -101,40 +111,195 @@ class Profile {
   }
 
   /**
-   * Your getPotentialMatches function. No changes needed here.
+   * Returns scored candidate profiles for the discovery feed, filtered by the
+   * viewer's discovery preferences. Profiles the viewer already liked are
+   * never returned; profiles they passed on are hidden until the pass
+   * cooldown has elapsed.
+   *
+   * Each row carries the raw ranking signals (liked_you, boost_multiplier,
+   * activity, completeness, preference_fit, is_elite) and the weighted `score`,
+   * plus the candidate's city and `distance_km` (whole km, null when either
+   * side has no location). Coordinates themselves are never selected.
+   * The non-boost signals are summed into a base score which an active boost
+   * then multiplies, so boosted profiles rise in proportion to their boost.
+   * Candidates who super liked the viewer come first. Rows are then ordered
+   * by score and user_id, so pages are stable for a given reference time and
+   * can be walked with a keyset cursor.
+   *
+   * @param {number} userId - The viewer's user ID.
+   * @param {object} [options]
+   * @param {number} [options.limit=20] - Maximum number of candidates to return.
+   * @param {object} [options.preferences] - { min_age, max_age, genders, country_ids, max_distance_km }
+   *   as returned by UserPreference.getForUser. Omitted fields are not filtered on.
+   *   max_distance_km only applies once the viewer has a location, and then
+   *   excludes candidates without one.
+   * @param {number|null} [options.passCooldownDays] - Days after which a passed
+   *   profile may be suggested again. null hides passed profiles permanently.
+   * @param {object} options.weights - { likedYou, boost, activity, completeness, preferenceFit, elite }
+   * @param {object} [options.boostTypeWeights] - Scaling per boost_type, e.g. { standard: 1, super: 2 }.
+   *   Types not listed scale by 1.
+   * @param {Date} [options.referenceTime] - "Now" for time-dependent signals. Pinning it keeps scores
+   *   identical across pages.
+   * @param {object} [options.after] - Keyset position { superLiked, score, userId } to continue after.
+   * @param {number} [options.activityDecayDays=14] - Days of inactivity after which the activity signal reaches 0.
+   * @returns {Promise<Array<object>>} Candidate profiles, highest score first.
    */
-  static async getPotentialMatches(userId, limit = 20) {
+  static async getPotentialMatches(userId, {
+    limit = 20,
+    preferences = {},
+    passCooldownDays = null,
+    weights,
+    boostTypeWeights = {},
+    referenceTime = new Date(),
+    after = null,
+    activityDecayDays = 14
+  } = {}) {
+    const values = [userId, limit, referenceTime];
+    const param = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+    const filters = [];
+
+    if (passCooldownDays === null || passCooldownDays === undefined) {
+      filters.push(`NOT EXISTS (SELECT 1 FROM dislikes d WHERE d.user_id = $1 AND d.disliked_user_id = u.id)`);
+    } else {
+      filters.push(`NOT EXISTS (
+           SELECT 1 FROM dislikes d
+           WHERE d.user_id = $1 AND d.disliked_user_id = u.id
+             AND d.created_at > $3::timestamptz - make_interval(days => ${param(passCooldownDays)})
+         )`);
+    }
+    if (preferences.min_age) {
+      filters.push(`p.dob <= (CURRENT_DATE - make_interval(years => ${param(preferences.min_age)}))`);
+    }
+    if (preferences.max_age) {
+      // Someone is still max_age until the day before their (max_age + 1)th birthday
+      filters.push(`p.dob > (CURRENT_DATE - make_interval(years => ${param(preferences.max_age)} + 1))`);
+    }
+    if (preferences.genders && preferences.genders.length > 0) {
+      filters.push(`LOWER(p.gender) = ANY(${param(preferences.genders.map(g => g.toLowerCase()))}::text[])`);
+    }
+    if (preferences.country_ids && preferences.country_ids.length > 0) {
+      filters.push(`u.country_id = ANY(${param(preferences.country_ids)}::int[])`);
+    }
+    if (preferences.max_distance_km) {
+      const maxDistance = param(preferences.max_distance_km);
+      // The latitude band lets the index discard most rows before the exact check
+      filters.push(`(v.latitude IS NULL OR (
+               cl.latitude BETWEEN v.latitude - ${maxDistance}::numeric / 111.32 AND v.latitude + ${maxDistance}::numeric / 111.32
+               AND ${distanceKmSql('v.latitude', 'v.longitude', 'cl.latitude', 'cl.longitude')} <= ${maxDistance}
+             ))`);
+    }
+
+    const scoreExpression = `ROUND((
+           (
+             liked_you * ${param(weights.likedYou)}::numeric
+             + activity * ${param(weights.activity)}::numeric
+             + completeness * ${param(weights.completeness)}::numeric
+             + preference_fit * ${param(weights.preferenceFit)}::numeric
+             + is_elite::int * ${param(weights.elite)}::numeric
+           ) * (1 + (boost_multiplier - 1) * ${param(weights.boost)}::numeric)
+         )::numeric, 6)`;
+
+    let keysetCondition = '';
+    if (after) {
+      const afterScore = param(after.score);
+      const afterUserId = param(after.userId);
+      const afterSuper = param(Boolean(after.superLiked));
+      keysetCondition = `WHERE super_liked_you < ${afterSuper}
+         OR (super_liked_you = ${afterSuper} AND (score < ${afterScore}::numeric OR (score = ${afterScore}::numeric AND user_id > ${afterUserId})))`;
+    }
+
     const query = `
-       SELECT
-           p.*,
-           u.id as user_id,
-           c.name AS country,
-           (COALESCE(sp.tier_level, 'Basic') = 'Elite') AS is_elite,
-           CASE 
-             WHEN EXISTS (
-               SELECT 1 FROM likes 
+       WITH viewer AS (
+           SELECT u.id, u.country_id, LOWER(vp.gender) AS gender,
+                  date_part('year', age(vp.dob))::int AS age,
+                  vl.latitude, vl.longitude
+           FROM users u
+           LEFT JOIN profiles vp ON vp.user_id = u.id
+           LEFT JOIN user_locations vl ON vl.user_id = u.id
+           WHERE u.id = $1
+       ),
+       candidates AS (
+           SELECT
+               p.*,
+               c.name AS country,
+               date_part('year', age(p.dob))::int AS age,
+               cl.city,
+               -- Whole km and at least 1, so users in the same grid cell don't show as 0 km apart
+               CASE WHEN v.latitude IS NOT NULL AND cl.latitude IS NOT NULL
+                 THEN GREATEST(1, CEIL(${distanceKmSql('v.latitude', 'v.longitude', 'cl.latitude', 'cl.longitude')}))::int
+               END AS distance_km,
+               EXISTS (
+                 SELECT 1 FROM user_subscriptions us
+                 WHERE us.user_id = u.id AND us.status = 'active'
+                   AND us.end_date > $3::timestamptz AND us.tier_level = 'Elite'
+               ) AS is_elite,
+               false AS liked_by_me, -- liked profiles are excluded below; kept for client compatibility
+               EXISTS (
+                 SELECT 1 FROM likes l WHERE l.user_id = u.id AND l.liked_user_id = $1
+               )::int AS liked_you,
+               EXISTS (
+                 SELECT 1 FROM likes l WHERE l.user_id = u.id AND l.liked_user_id = $1 AND l.is_super = true
+               ) AS super_liked_you,
+               -- Effective multiplier of the strongest active boost, scaled by its type
+               COALESCE((
+                 SELECT MAX(1 + (pb.multiplier - 1)
+                   * COALESCE((${param(JSON.stringify(boostTypeWeights))}::jsonb ->> pb.boost_type)::numeric, 1))
+                 FROM profile_boosts pb
+                 WHERE pb.user_id = u.id AND pb.start_time <= $3::timestamptz AND pb.end_time > $3::timestamptz
+               ), 1) AS boost_multiplier,
+               GREATEST(0, 1 - EXTRACT(EPOCH FROM ($3::timestamptz - COALESCE(u.last_active_at, u.created_at::timestamptz)))
+                 / (${param(activityDecayDays)}::numeric * 86400.0)) AS activity,
+               (
+                 (COALESCE(TRIM(p.bio), '') <> '')::int
+                 + (p.profile_picture IS NOT NULL)::int
+                 + (u.country_id IS NOT NULL)::int
+                 + u.is_email_verified::int
+               ) / 4.0 AS completeness,
+               CASE WHEN up.user_id IS NULL THEN 1 ELSE (
+                 (v.age IS NULL OR v.age BETWEEN up.min_age AND up.max_age)::int
+                 + (cardinality(up.genders) = 0 OR v.gender = ANY(up.genders))::int
+                 + (cardinality(up.country_ids) = 0 OR v.country_id = ANY(up.country_ids))::int
+               ) / 3.0 END AS preference_fit
+           FROM profiles p
+           JOIN users u ON p.user_id = u.id
+           CROSS JOIN viewer v
+           LEFT JOIN countries c ON u.country_id = c.id
+           LEFT JOIN user_preferences up ON up.user_id = u.id
+           LEFT JOIN user_locations cl ON cl.user_id = u.id
+           WHERE u.id != $1 
+             AND u.is_active = true
+             AND u.role != 'admin'
+             AND u.profile_complete = true
+             AND NOT EXISTS (
+               SELECT 1 FROM matches 
+               WHERE (user1_id = $1 AND user2_id = u.id) OR (user1_id = u.id AND user2_id = $1)
+             )
+             AND NOT EXISTS (
+               SELECT 1 FROM likes
                WHERE user_id = $1 AND liked_user_id = u.id
-             ) THEN true
-             ELSE false
-           END AS liked_by_me
-       FROM profiles p
-       JOIN users u ON p.user_id = u.id
-       LEFT JOIN user_subscriptions us ON u.id = us.user_id AND us.status = 'active'
-       LEFT JOIN subscription_packages sp ON us.package_id = sp.id
-       LEFT JOIN countries c ON u.country_id = c.id
-       WHERE u.id != $1 
-         AND u.is_active = true
-         AND u.role != 'admin'
-         AND u.profile_complete = true
-         AND NOT EXISTS (
-           SELECT 1 FROM matches 
-           WHERE (user1_id = $1 AND user2_id = u.id) OR (user1_id = u.id AND user2_id = $1)
-         )
-       ORDER BY is_elite DESC, RANDOM()
+             )
+             AND ${UserBlock.notBlockedBetween('$1', 'u.id')}
+             -- Incognito users are only suggested to people they have liked
+             AND (u.is_incognito = false OR EXISTS (
+               SELECT 1 FROM likes
+               WHERE user_id = u.id AND liked_user_id = $1
+             ))
+             ${filters.map(f => `AND ${f}`).join('\n             ')}
+       ),
+       scored AS (
+           SELECT *, ${scoreExpression} AS score
+           FROM candidates
+       )
+       SELECT * FROM scored
+       ${keysetCondition}
+       ORDER BY super_liked_you DESC, score DESC, user_id ASC
        LIMIT $2
     `;
     try {
-      const result = await pool.query(query, [userId, limit]);
+      const result = await pool.query(query, values);
       return result.rows;
     } catch (error) {
       console.error(`Error in Profile.getPotentialMatches for user ${userId}:`, error);
@@ -142,6 +307,118 @@ class Profile {
     }
   }
 
+  /**
+   * Searches profiles for the advanced-matches endpoint. Unlike
+   * getPotentialMatches this doesn't hide liked or passed profiles and has no
+   * scoring; it applies the requested filters and a fixed sort.
+   *
+   * @param {number} userId - The searching user's ID.
+   * @param {object} [options]
+   * @param {object} [options.filters] - { ageMin, ageMax, genders, countryIds, hasPhoto,
+   *   activeWithinDays, emailVerified, bioKeyword }. Omitted fields are not filtered on.
+   * @param {object} options.sort - { key, direction } where `key` is a SQL expression over
+   *   `p`, `u` and `seen.last_active_at` (null while hidden) and direction is 'ASC' or 'DESC'. Ties are broken by user_id ascending.
+   * @param {object} [options.after] - Keyset position { sortKey, userId } to continue after.
+   *   sortKey is the text form of a previous row's `sort_key`.
+   * @param {number} [options.excludeSavedSearchId] - Skip profiles this saved search already surfaced.
+   * @param {number} [options.limit=20] - Maximum number of profiles to return.
+   * @returns {Promise<Array<object>>} Matching profiles with a `sort_key` column.
+   *   `last_active_at` is null for Elite users who hide their last seen or are incognito.
+   */
+  static async searchProfiles(userId, { filters = {}, sort, after = null, excludeSavedSearchId = null, limit = 20 } = {}) {
+    const values = [userId, limit];
+    const param = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+    const conditions = [];
+
+    if (filters.ageMin) {
+      conditions.push(`p.dob <= (CURRENT_DATE - make_interval(years => ${param(filters.ageMin)}))`);
+    }
+    if (filters.ageMax) {
+      conditions.push(`p.dob > (CURRENT_DATE - make_interval(years => ${param(filters.ageMax)} + 1))`);
+    }
+    if (filters.genders && filters.genders.length > 0) {
+      conditions.push(`LOWER(p.gender) = ANY(${param(filters.genders.map(g => g.toLowerCase()))}::text[])`);
+    }
+    if (filters.countryIds && filters.countryIds.length > 0) {
+      conditions.push(`u.country_id = ANY(${param(filters.countryIds)}::int[])`);
+    }
+    if (filters.hasPhoto !== undefined) {
+      conditions.push(filters.hasPhoto ? 'p.profile_picture IS NOT NULL' : 'p.profile_picture IS NULL');
+    }
+    if (filters.activeWithinDays) {
+      conditions.push(`COALESCE(seen.last_active_at, u.created_at::timestamptz) > NOW() - make_interval(days => ${param(filters.activeWithinDays)})`);
+    }
+    if (filters.emailVerified !== undefined) {
+      conditions.push(`u.is_email_verified = ${param(filters.emailVerified)}`);
+    }
+    if (filters.bioKeyword) {
+      const escaped = filters.bioKeyword.replace(/[\\%_]/g, ch => `\\${ch}`);
+      conditions.push(`p.bio ILIKE ${param(`%${escaped}%`)}`);
+    }
+    if (excludeSavedSearchId) {
+      conditions.push(`NOT EXISTS (
+             SELECT 1 FROM saved_search_hits h
+             WHERE h.saved_search_id = ${param(excludeSavedSearchId)} AND h.user_id = u.id
+           )`);
+    }
+    if (after) {
+      const comparison = sort.direction === 'DESC' ? '<' : '>';
+      const afterKey = param(after.sortKey);
+      const afterUserId = param(after.userId);
+      conditions.push(`(${sort.key} ${comparison} ${afterKey}::${sort.type}
+             OR (${sort.key} = ${afterKey}::${sort.type} AND u.id > ${afterUserId}))`);
+    }
+
+    const query = `
+      SELECT
+        p.*,
+        c.name AS country,
+        date_part('year', age(p.dob))::int AS age,
+        u.is_email_verified,
+        seen.last_active_at,
+        EXISTS (
+          SELECT 1 FROM likes l WHERE l.user_id = $1 AND l.liked_user_id = u.id
+        ) AS liked_by_me,
+        (${sort.key})::text AS sort_key
+      FROM profiles p
+      JOIN users u ON p.user_id = u.id
+      LEFT JOIN countries c ON u.country_id = c.id
+      -- Same rule as UserPresence.getVisibility: hidden last seen and
+      -- incognito only apply while the user is Elite
+      CROSS JOIN LATERAL (
+        SELECT CASE
+          WHEN (u.hide_last_seen OR u.is_incognito) AND EXISTS (
+            SELECT 1 FROM user_subscriptions us
+            WHERE us.user_id = u.id AND us.status = 'active'
+              AND us.end_date > NOW() AND us.tier_level = 'Elite'
+          ) THEN NULL
+          ELSE u.last_active_at
+        END AS last_active_at
+      ) seen
+      WHERE u.id != $1
+        AND u.is_active = true
+        AND u.role != 'admin'
+        AND u.profile_complete = true
+        AND ${UserBlock.notBlockedBetween('$1', 'u.id')}
+        AND (u.is_incognito = false OR EXISTS (
+          SELECT 1 FROM likes il WHERE il.user_id = u.id AND il.liked_user_id = $1
+        ))
+        ${conditions.map(c => `AND ${c}`).join('\n        ')}
+      ORDER BY ${sort.key} ${sort.direction}, u.id ASC
+      LIMIT $2
+    `;
+    try {
+      const result = await pool.query(query, values);
+      return result.rows;
+    } catch (error) {
+      console.error(`Error in Profile.searchProfiles for user ${userId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Marks a user's profile as complete
    * @param {number} userId - The ID of the user
@@ -165,6 +442,23 @@ class Profile {
     }
   }
 
+  /**
+   * Retrieves the minimal public details shown when one user is told about
+   * another (e.g. in real-time events).
+   * @param {number[]} userIds
+   * @returns {Promise<Map<number, object>>} user_id -> { id, first_name, profile_picture, is_incognito }
+   */
+  static async getSummaries(userIds) {
+    const result = await pool.query(
+      `SELECT u.id, p.first_name, p.profile_picture, u.is_incognito
+       FROM users u
+       LEFT JOIN profiles p ON p.user_id = u.id
+       WHERE u.id = ANY($1::int[])`,
+      [userIds]
+    );
+    return new Map(result.rows.map(row => [row.id, row]));
+  }
+
   /**
    * Find a user's profile by their user ID
    * @param {number} userId - The ID of the user
@@ -173,9 +467,10 @@ class Profile {
   static async findByUserId(userId) {
     try {
       const query = `
-        SELECT p.*, u.email, u.is_email_verified, u.role, u.created_at as user_created_at
+        SELECT p.*, u.email, u.is_email_verified, u.role, u.created_at as user_created_at, ul.city
         FROM profiles p
         JOIN users u ON p.user_id = u.id
+        LEFT JOIN user_locations ul ON ul.user_id = u.id
         WHERE p.user_id = $1;
       `;
       const result = await pool.query(query, [userId]);
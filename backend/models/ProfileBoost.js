@@ -2,34 +2,76 @@ const pool = require('../config/db');
 
 class ProfileBoost {
   /**
-   * Activates a profile boost for a user.
-   * For V1, this creates a new boost record. If multiple boosts are active,
-   * getActiveUserBoost will return the one with the latest start_time or end_time.
-   * A more sophisticated approach might prevent overlapping boosts or define stacking rules.
-   * @param {number} userId - The ID of the user activating the boost.
-   * @param {string} boostType - The type of boost (e.g., 'standard', 'super').
-   * @param {number} durationHours - The duration of the boost in hours.
-   * @returns {Promise<object|null>} The created boost record or null if an error occurs.
+   * Schedules a profile boost for a user.
+   * Boosts never overlap: if the user has no active or queued boost the new
+   * one starts immediately, otherwise it is queued to start the moment the
+   * last scheduled boost ends. Buying the same boost type again therefore
+   * extends the boosted period without a gap.
+   * Callers should hold a lock on the user (see BoostService) so concurrent
+   * purchases can't schedule into the same slot.
+   * @param {number} userId - The ID of the user receiving the boost.
+   * @param {object} details
+   * @param {string} details.boostType - The type of boost (e.g., 'standard', 'super').
+   * @param {number} details.durationHours - The duration of the boost in hours.
+   * @param {number} details.multiplier - The ranking multiplier while the boost runs.
+   * @param {number} [details.productId] - The boost product this came from.
+   * @param {number} [details.transactionId] - The transaction that paid for it.
+   * @param {string} details.source - 'balance', 'payment' or 'allowance'.
+   * @param {object} [client] - Optional pg client for use inside a transaction.
+   * @returns {Promise<object>} The created boost record, with `is_queued`.
    */
-  static async activate(userId, boostType, durationHours) {
-    const startTime = new Date();
-    const endTime = new Date(startTime.getTime() + durationHours * 60 * 60 * 1000);
-    const multiplier = 1.5; // Default multiplier for V1
-
+  static async schedule(userId, { boostType, durationHours, multiplier, productId = null, transactionId = null, source }, client = pool) {
     try {
-      const result = await pool.query(
-        `INSERT INTO profile_boosts (user_id, boost_type, start_time, end_time, multiplier)
-         VALUES ($1, $2, $3, $4, $5)
-         RETURNING *`,
-        [userId, boostType, startTime, endTime, multiplier]
+      const result = await client.query(
+        `WITH slot AS (
+           SELECT GREATEST(NOW(), COALESCE(MAX(end_time), NOW())) AS start_time
+           FROM profile_boosts
+           WHERE user_id = $1 AND end_time > NOW()
+         )
+         INSERT INTO profile_boosts (user_id, boost_type, start_time, end_time, multiplier, product_id, transaction_id, source)
+         SELECT $1, $2, slot.start_time, slot.start_time + make_interval(hours => $3), $4, $5, $6, $7
+         FROM slot
+         RETURNING *, (start_time > NOW()) AS is_queued`,
+        [userId, boostType, durationHours, multiplier, productId, transactionId, source]
       );
       return result.rows[0];
     } catch (error) {
-      console.error('Error activating profile boost:', error);
+      console.error('Error scheduling profile boost:', error);
       throw error; // Re-throw to be caught by controller
     }
   }
 
+  /**
+   * Counts boosts redeemed from the tier allowance in the current calendar month.
+   * @param {number} userId - The ID of the user.
+   * @param {object} [client] - Optional pg client.
+   * @returns {Promise<number>}
+   */
+  static async countAllowanceUsedThisMonth(userId, client = pool) {
+    const result = await client.query(
+      `SELECT COUNT(*) FROM profile_boosts
+       WHERE user_id = $1 AND source = 'allowance'
+         AND created_at >= date_trunc('month', NOW())`,
+      [userId]
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Retrieves boosts that are scheduled but haven't started yet.
+   * @param {number} userId - The ID of the user.
+   * @returns {Promise<Array<object>>} Queued boosts in start order.
+   */
+  static async getQueuedBoosts(userId) {
+    const result = await pool.query(
+      `SELECT * FROM profile_boosts
+       WHERE user_id = $1 AND start_time > NOW()
+       ORDER BY start_time ASC`,
+      [userId]
+    );
+    return result.rows;
+  }
+
   /**
    * Retrieves the currently active profile boost for a user.
    * If multiple are technically active (e.g. overlapping), this will pick one,
@@ -70,6 +112,107 @@ class ProfileBoost {
       return false;
     }
   }
+
+  /**
+   * Counts one impression for each listed user's currently active boost(s).
+   * Called whenever those users are served in someone's suggestions.
+   * @param {number[]} userIds - The boosted users that were served.
+   * @returns {Promise<void>}
+   */
+  static async recordImpressions(userIds) {
+    if (!userIds || userIds.length === 0) {
+      return;
+    }
+    await pool.query(
+      `UPDATE profile_boosts
+       SET impressions = impressions + 1
+       WHERE user_id = ANY($1::int[])
+         AND start_time <= NOW()
+         AND end_time > NOW()`,
+      [userIds]
+    );
+  }
+
+  /**
+   * Retrieves a user's boosts, newest first, each with its performance:
+   * impressions served plus profile views and likes received during the
+   * boost window. For comparison, `baseline_views` and `baseline_likes`
+   * cover a window of the same length immediately before the boost.
+   * Windows of boosts still running are measured up to now.
+   * @param {number} userId - The ID of the user.
+   * @param {object} [options]
+   * @param {number} [options.limit=20]
+   * @param {number} [options.offset=0]
+   * @param {number} [options.boostId] - Restrict to a single boost.
+   * @returns {Promise<Array<object>>} Boost rows with stats.
+   */
+  static async getHistoryWithStats(userId, { limit = 20, offset = 0, boostId = null } = {}) {
+    try {
+      const result = await pool.query(
+        `SELECT
+           pb.*,
+           (pb.start_time <= NOW() AND pb.end_time > NOW()) AS is_active,
+           (SELECT COUNT(*) FROM profile_views pv
+            WHERE pv.viewed_user_id = pb.user_id
+              AND pv.viewed_at >= pb.start_time AND pv.viewed_at < w.window_end)::int AS profile_views,
+           (SELECT COUNT(*) FROM likes l
+            WHERE l.liked_user_id = pb.user_id
+              AND l.created_at::timestamptz >= pb.start_time AND l.created_at::timestamptz < w.window_end)::int AS likes_received,
+           (SELECT COUNT(*) FROM profile_views pv
+            WHERE pv.viewed_user_id = pb.user_id
+              AND pv.viewed_at >= pb.start_time - (w.window_end - pb.start_time)
+              AND pv.viewed_at < pb.start_time)::int AS baseline_views,
+           (SELECT COUNT(*) FROM likes l
+            WHERE l.liked_user_id = pb.user_id
+              AND l.created_at::timestamptz >= pb.start_time - (w.window_end - pb.start_time)
+              AND l.created_at::timestamptz < pb.start_time)::int AS baseline_likes
+         FROM profile_boosts pb
+         CROSS JOIN LATERAL (SELECT LEAST(pb.end_time, GREATEST(NOW(), pb.start_time)) AS window_end) w
+         WHERE pb.user_id = $1
+           AND ($4::int IS NULL OR pb.id = $4)
+         ORDER BY pb.start_time DESC, pb.id DESC
+         LIMIT $2 OFFSET $3`,
+        [userId, limit, offset, boostId]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting boost history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Counts all boosts a user has had.
+   * @param {number} userId - The ID of the user.
+   * @returns {Promise<number>}
+   */
+  static async countForUser(userId) {
+    const result = await pool.query('SELECT COUNT(*) FROM profile_boosts WHERE user_id = $1', [userId]);
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Finds boosts that ended within the last day and haven't been announced,
+   * and marks them announced. A boost followed straight away by a queued one
+   * is skipped, so a chain of boosts is announced once, when the last ends.
+   * @returns {Promise<Array<object>>} The claimed boosts (id, user_id, boost_type, end_time).
+   */
+  static async claimEndedForNotification() {
+    const result = await pool.query(
+      `UPDATE profile_boosts pb
+       SET expiry_notified_at = NOW()
+       WHERE pb.expiry_notified_at IS NULL
+         AND pb.end_time <= NOW()
+         AND pb.end_time > NOW() - interval '1 day'
+         AND NOT EXISTS (
+           SELECT 1 FROM profile_boosts next
+           WHERE next.user_id = pb.user_id AND next.id <> pb.id
+             AND next.start_time <= pb.end_time AND next.end_time > pb.end_time
+         )
+       RETURNING pb.id, pb.user_id, pb.boost_type, pb.end_time`
+    );
+    return result.rows;
+  }
 }
 
 module.exports = ProfileBoost;
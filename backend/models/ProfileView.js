@@ -1,7 +1,15 @@
 const pool = require('../config/db');
+const UserBlock = require('./UserBlock');
 
 class ProfileView {
-  // Record a profile view
+  /**
+   * Records a profile view. Views made while the viewer has a live anonymous
+   * browsing session are stored as anonymous and linked to the session.
+   * Admin and incognito viewers are not recorded at all.
+   * @param {number} profileUserId - The profile being viewed.
+   * @param {number} viewerId - The user viewing it.
+   * @returns {Promise<object|null>} The view row, or null if nothing was recorded.
+   */
   static async recordView(profileUserId, viewerId) {
     try {
       // Don't record self-views or views by admin users
@@ -9,28 +17,44 @@ class ProfileView {
         return null;
       }
       
-      // Check if the viewer is an admin
+      // Check if the viewer is an admin, browsing incognito or browsing anonymously
       const userQuery = await pool.query(
-        'SELECT role FROM users WHERE id = $1',
+        `SELECT u.role, u.is_incognito, s.id AS anonymous_session_id
+         FROM users u
+         LEFT JOIN LATERAL (
+           SELECT id FROM anonymous_browsing_sessions
+           WHERE user_id = u.id AND is_active = true
+             AND (expires_at IS NULL OR expires_at > NOW())
+           ORDER BY start_time DESC
+           LIMIT 1
+         ) s ON true
+         WHERE u.id = $1`,
         [viewerId]
       );
+      const viewer = userQuery.rows[0];
       
-      if (userQuery.rows.length > 0 && userQuery.rows[0].role === 'admin') {
+      if (viewer && viewer.role === 'admin') {
         return null; // Don't record admin views
       }
+      if (viewer && viewer.is_incognito) {
+        return null; // Incognito viewers leave no trace in visitor lists
+      }
+      const anonymousSessionId = viewer ? viewer.anonymous_session_id : null;
       
-      // Record the view - this will only insert once per day due to the unique constraint
-      // The unique constraint in DB is on (viewer_id, viewed_user_id, viewed_date)
-      // viewed_date defaults to CURRENT_DATE.
-      // The conflict target (viewed_user_id, viewer_id, CAST(viewed_at AS DATE)) effectively
-      // checks for uniqueness per day based on the viewed_at timestamp.
+      // Record the view - this will only insert once per day due to the
+      // unique constraint on (viewer_id, viewed_user_id, viewed_date).
+      // viewed_date defaults to CURRENT_DATE. A day's views only stay
+      // anonymous if every view that day was anonymous.
       const result = await pool.query(
-        `INSERT INTO profile_views (viewed_user_id, viewer_id, viewed_at)
-         VALUES ($1, $2, CURRENT_TIMESTAMP)
-         ON CONFLICT (viewed_user_id, viewer_id, CAST(viewed_at AS DATE))
-         DO UPDATE SET viewed_at = CURRENT_TIMESTAMP
+        `INSERT INTO profile_views (viewed_user_id, viewer_id, viewed_at, is_anonymous, anonymous_session_id)
+         VALUES ($1, $2, CURRENT_TIMESTAMP, $3, $4)
+         ON CONFLICT (viewer_id, viewed_user_id, viewed_date)
+         DO UPDATE SET
+           viewed_at = CURRENT_TIMESTAMP,
+           is_anonymous = profile_views.is_anonymous AND EXCLUDED.is_anonymous,
+           anonymous_session_id = COALESCE(EXCLUDED.anonymous_session_id, profile_views.anonymous_session_id)
          RETURNING *`,
-        [profileUserId, viewerId]
+        [profileUserId, viewerId, anonymousSessionId !== null, anonymousSessionId]
       );
       
       return result.rows[0];
@@ -40,6 +64,120 @@ class ProfileView {
     }
   }
   
+  /**
+   * Lists the most recent visitors to a profile, one entry per visitor per day.
+   * Visitors blocked by or blocking the owner are left out.
+   * Anonymous views carry no viewer identity: `viewer_id` and the profile
+   * fields are null and `is_anonymous` is true.
+   * @param {number} profileUserId - The profile owner.
+   * @param {object} [options]
+   * @param {number} [options.limit=20]
+   * @param {number} [options.offset=0]
+   * @returns {Promise<Array<object>>}
+   */
+  static async getRecentVisitors(profileUserId, { limit = 20, offset = 0 } = {}) {
+    const result = await pool.query(
+      `SELECT
+         pv.id,
+         pv.viewed_at,
+         pv.is_anonymous,
+         CASE WHEN pv.is_anonymous THEN NULL ELSE pv.viewer_id END AS viewer_id,
+         CASE WHEN pv.is_anonymous THEN NULL ELSE p.first_name END AS first_name,
+         CASE WHEN pv.is_anonymous THEN NULL ELSE p.profile_picture END AS profile_picture,
+         CASE WHEN pv.is_anonymous THEN false ELSE EXISTS (
+           SELECT 1 FROM matches m
+           WHERE (m.user1_id = pv.viewer_id AND m.user2_id = $1) OR (m.user1_id = $1 AND m.user2_id = pv.viewer_id)
+         ) END AS is_match
+       FROM profile_views pv
+       LEFT JOIN profiles p ON p.user_id = pv.viewer_id
+       WHERE pv.viewed_user_id = $1
+         AND ${UserBlock.notBlockedBetween('pv.viewer_id', '$1')}
+       ORDER BY pv.viewed_at DESC, pv.id DESC
+       LIMIT $2 OFFSET $3`,
+      [profileUserId, limit, offset]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Builds view analytics for a profile over an inclusive date range.
+   * @param {number} profileUserId - The profile owner.
+   * @param {object} range
+   * @param {string} range.from - First day, 'YYYY-MM-DD'.
+   * @param {string} range.to - Last day, 'YYYY-MM-DD'.
+   * @returns {Promise<object>} { daily, totals, conversion } where `daily` has an
+   *   entry for every day in the range (zero-filled), `totals` splits viewers
+   *   into unique and repeat (seen on more than one day), and `conversion`
+   *   counts viewers who liked the profile after first viewing it and those
+   *   likes that became matches.
+   */
+  static async getAnalytics(profileUserId, { from, to }) {
+    const [dailyResult, summaryResult] = await Promise.all([
+      pool.query(
+        `SELECT
+           to_char(d.day, 'YYYY-MM-DD') AS date,
+           COUNT(pv.id)::int AS views,
+           COUNT(DISTINCT pv.viewer_id)::int AS unique_viewers
+         FROM generate_series($2::date, $3::date, interval '1 day') AS d(day)
+         LEFT JOIN profile_views pv
+           ON pv.viewed_user_id = $1 AND pv.viewed_date = d.day::date
+         GROUP BY d.day
+         ORDER BY d.day`,
+        [profileUserId, from, to]
+      ),
+      pool.query(
+        `WITH viewers AS (
+           SELECT viewer_id, COUNT(*) AS days_seen, MIN(viewed_at) AS first_viewed_at
+           FROM profile_views
+           WHERE viewed_user_id = $1 AND viewed_date BETWEEN $2::date AND $3::date
+           GROUP BY viewer_id
+         ),
+         likers AS (
+           SELECT v.viewer_id
+           FROM viewers v
+           WHERE EXISTS (
+             SELECT 1 FROM likes l
+             WHERE l.user_id = v.viewer_id AND l.liked_user_id = $1
+               AND l.created_at::timestamptz >= v.first_viewed_at
+           )
+         )
+         SELECT
+           (SELECT COALESCE(SUM(days_seen), 0) FROM viewers)::int AS total_views,
+           (SELECT COUNT(*) FROM viewers)::int AS unique_viewers,
+           (SELECT COUNT(*) FROM viewers WHERE days_seen > 1)::int AS repeat_viewers,
+           (SELECT COUNT(*) FROM likers)::int AS liked,
+           (SELECT COUNT(*) FROM likers k WHERE EXISTS (
+              SELECT 1 FROM matches m
+              WHERE (m.user1_id = k.viewer_id AND m.user2_id = $1) OR (m.user1_id = $1 AND m.user2_id = k.viewer_id)
+           ))::int AS matched`,
+        [profileUserId, from, to]
+      )
+    ]);
+
+    const summary = summaryResult.rows[0];
+    const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : 0);
+    return {
+      daily: dailyResult.rows.map(row => ({
+        date: row.date,
+        views: row.views,
+        uniqueViewers: row.unique_viewers
+      })),
+      totals: {
+        views: summary.total_views,
+        uniqueViewers: summary.unique_viewers,
+        repeatViewers: summary.repeat_viewers,
+        oneTimeViewers: summary.unique_viewers - summary.repeat_viewers
+      },
+      conversion: {
+        viewers: summary.unique_viewers,
+        liked: summary.liked,
+        matched: summary.matched,
+        viewToLikeRate: rate(summary.liked, summary.unique_viewers),
+        likeToMatchRate: rate(summary.matched, summary.liked)
+      }
+    };
+  }
+
   // Get view count for a profile
   static async getViewCount(profileUserId) {
     try {
@@ -0,0 +1,75 @@
+const pool = require('../config/db');
+
+// Reports still waiting on (or under) review count as open
+const OPEN_STATUSES = ['pending', 'reviewed'];
+
+class ReportedContent {
+  static async create({ reporterId, reportedUserId, type, contentId, category, reason }, client = pool) {
+    const result = await client.query(
+      `INSERT INTO reported_content (reporter_id, reported_user_id, type, content_id, category, reason)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [reporterId, reportedUserId, type, contentId, category, reason]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Finds the reporter's open report about the same user and content, if any.
+   * @returns {Promise<object|null>}
+   */
+  static async findOpenDuplicate({ reporterId, reportedUserId, type, contentId }, client = pool) {
+    const result = await client.query(
+      `SELECT * FROM reported_content
+       WHERE reporter_id = $1 AND reported_user_id = $2 AND type = $3
+         AND content_id IS NOT DISTINCT FROM $4::int
+         AND status = ANY($5::text[])
+       LIMIT 1`,
+      [reporterId, reportedUserId, type, contentId, OPEN_STATUSES]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async countByReporterSince(reporterId, since, client = pool) {
+    const result = await client.query(
+      'SELECT COUNT(*) FROM reported_content WHERE reporter_id = $1 AND created_at > $2',
+      [reporterId, since]
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Checks that the reported content exists and belongs to the reported user.
+   * Messages can only be reported by someone in the same conversation.
+   * @param {object} report - { reporterId, reportedUserId, type, contentId }
+   * @returns {Promise<boolean>}
+   */
+  static async contentBelongsTo({ reporterId, reportedUserId, type, contentId }, client = pool) {
+    let result;
+    switch (type) {
+      case 'profile':
+        return contentId === null || contentId === reportedUserId;
+      case 'activity':
+        // Behaviour rather than a stored item, so there's nothing to point at
+        return contentId === null;
+      case 'photo':
+        result = await client.query(
+          'SELECT 1 FROM user_photos WHERE id = $1 AND user_id = $2',
+          [contentId, reportedUserId]
+        );
+        return result.rows.length > 0;
+      case 'message':
+        result = await client.query(
+          `SELECT 1 FROM messages m
+           JOIN conversation_participants cp ON cp.conversation_id = m.conversation_id AND cp.user_id = $3
+           WHERE m.id = $1 AND m.sender_id = $2`,
+          [contentId, reportedUserId, reporterId]
+        );
+        return result.rows.length > 0;
+      default:
+        return false;
+    }
+  }
+}
+
+module.exports = ReportedContent;
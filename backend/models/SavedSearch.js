@@ -0,0 +1,132 @@
+const pool = require('../config/db');
+
+class SavedSearch {
+  static async listForUser(userId) {
+    const result = await pool.query(
+      'SELECT * FROM saved_searches WHERE user_id = $1 ORDER BY created_at DESC, id DESC',
+      [userId]
+    );
+    return result.rows;
+  }
+
+  static async countForUser(userId) {
+    const result = await pool.query('SELECT COUNT(*) FROM saved_searches WHERE user_id = $1', [userId]);
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Retrieves a saved search, scoped to its owner.
+   * @returns {Promise<object|null>}
+   */
+  static async findByIdForUser(id, userId) {
+    const result = await pool.query(
+      'SELECT * FROM saved_searches WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async create(userId, { name, filters = {}, sort = 'recently_active', notify = true }) {
+    const result = await pool.query(
+      `INSERT INTO saved_searches (user_id, name, filters, sort, notify)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [userId, name, JSON.stringify(filters), sort, notify]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Updates the given fields of a saved search. Fields left undefined are unchanged.
+   * @returns {Promise<object|null>} The updated search or null if not found.
+   */
+  static async update(id, userId, { name, filters, sort, notify }) {
+    const result = await pool.query(
+      `UPDATE saved_searches SET
+         name = COALESCE($3, name),
+         filters = COALESCE($4, filters),
+         sort = COALESCE($5, sort),
+         notify = COALESCE($6, notify),
+         updated_at = NOW()
+       WHERE id = $1 AND user_id = $2
+       RETURNING *`,
+      [id, userId, name, filters === undefined ? null : JSON.stringify(filters), sort, notify]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async delete(id, userId) {
+    const result = await pool.query(
+      'DELETE FROM saved_searches WHERE id = $1 AND user_id = $2 RETURNING *',
+      [id, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Lists saved searches with notifications on, for the given owners, skipping
+   * owners whose current tier no longer includes the feature.
+   * @param {number[]} userIds
+   * @param {string} featureKey - The feature_permissions key that gates saved searches.
+   * @returns {Promise<Array<object>>}
+   */
+  static async listNotifiableForUsers(userIds, featureKey) {
+    if (!userIds || userIds.length === 0) {
+      return [];
+    }
+    const result = await pool.query(
+      `SELECT ss.*
+       FROM saved_searches ss
+       JOIN feature_permissions fp ON fp.feature_key = $2
+       LEFT JOIN LATERAL (
+         SELECT us.tier_level FROM user_subscriptions us
+         WHERE us.user_id = ss.user_id AND us.status = 'active' AND us.end_date > NOW()
+         ORDER BY us.end_date DESC
+         LIMIT 1
+       ) sub ON true
+       WHERE ss.notify = true
+         AND ss.user_id = ANY($1::int[])
+         AND CASE COALESCE(sub.tier_level, 'Basic')
+               WHEN 'Elite' THEN fp.elite_access
+               WHEN 'Premium' THEN fp.premium_access
+               ELSE fp.basic_access
+             END
+       ORDER BY ss.id ASC`,
+      [userIds, featureKey]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Records that a saved search has surfaced these profiles.
+   * @param {number} id - The saved search.
+   * @param {number[]} userIds - Profiles that matched.
+   * @returns {Promise<number[]>} The IDs that had not been recorded before.
+   */
+  static async recordHits(id, userIds) {
+    if (userIds.length === 0) {
+      return [];
+    }
+    const result = await pool.query(
+      `INSERT INTO saved_search_hits (saved_search_id, user_id)
+       SELECT $1, unnest($2::int[])
+       ON CONFLICT DO NOTHING
+       RETURNING user_id`,
+      [id, userIds]
+    );
+    return result.rows.map(row => row.user_id);
+  }
+
+  /**
+   * Forgets every profile a saved search has surfaced, e.g. after its filters change.
+   */
+  static async clearHits(id) {
+    await pool.query('DELETE FROM saved_search_hits WHERE saved_search_id = $1', [id]);
+  }
+
+  static async markNotified(id) {
+    await pool.query('UPDATE saved_searches SET last_notified_at = NOW() WHERE id = $1', [id]);
+  }
+}
+
+module.exports = SavedSearch;
@@ -447,6 +447,49 @@ class Subscription {
         client.release();
     }
   }
+
+  /**
+   * Finds active subscriptions ending within `days` days that haven't had a
+   * reminder yet, and marks them reminded.
+   * @param {number} days
+   * @returns {Promise<Array<object>>} (id, user_id, tier_level, end_date, auto_renew) rows.
+   */
+  static async claimExpiringForReminder(days) {
+    const result = await pool.query(
+      `UPDATE user_subscriptions
+       SET expiry_reminder_sent_at = NOW()
+       WHERE status = 'active'
+         AND expiry_reminder_sent_at IS NULL
+         AND end_date > NOW()
+         AND end_date <= NOW() + make_interval(days => $1)
+       RETURNING id, user_id, tier_level, end_date, auto_renew`,
+      [days]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Finds subscriptions that ended within the last day without being renewed
+   * (no other subscription of the user runs past now), and marks them announced.
+   * @returns {Promise<Array<object>>} (id, user_id, tier_level, end_date) rows.
+   */
+  static async claimExpiredForNotification() {
+    const result = await pool.query(
+      `UPDATE user_subscriptions us
+       SET expiry_notified_at = NOW()
+       WHERE us.status IN ('active', 'expired')
+         AND us.expiry_notified_at IS NULL
+         AND us.end_date <= NOW()
+         AND us.end_date > NOW() - interval '1 day'
+         AND NOT EXISTS (
+           SELECT 1 FROM user_subscriptions other
+           WHERE other.user_id = us.user_id AND other.id <> us.id
+             AND other.status = 'active' AND other.end_date > NOW()
+         )
+       RETURNING us.id, us.user_id, us.tier_level, us.end_date`
+    );
+    return result.rows;
+  }
 }
 
 module.exports = Subscription; 
\ No newline at end of file
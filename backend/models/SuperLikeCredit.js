@@ -0,0 +1,41 @@
+const pool = require('../config/db');
+
+class SuperLikeCredit {
+  static async getBalance(userId, client = pool) {
+    const result = await client.query('SELECT balance FROM super_like_credits WHERE user_id = $1', [userId]);
+    return result.rows.length > 0 ? result.rows[0].balance : 0;
+  }
+
+  /**
+   * Adds purchased super likes to a user's credits.
+   * @returns {Promise<number>} The new balance.
+   */
+  static async add(userId, quantity, client = pool) {
+    const result = await client.query(
+      `INSERT INTO super_like_credits (user_id, balance, updated_at)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (user_id)
+       DO UPDATE SET balance = super_like_credits.balance + EXCLUDED.balance, updated_at = NOW()
+       RETURNING balance`,
+      [userId, quantity]
+    );
+    return result.rows[0].balance;
+  }
+
+  /**
+   * Spends one credit if the user has any.
+   * @returns {Promise<boolean>} Whether a credit was spent.
+   */
+  static async consume(userId, client = pool) {
+    const result = await client.query(
+      `UPDATE super_like_credits
+       SET balance = balance - 1, updated_at = NOW()
+       WHERE user_id = $1 AND balance > 0
+       RETURNING balance`,
+      [userId]
+    );
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = SuperLikeCredit;
@@ -1,6 +1,7 @@
 const pool = require('../config/db');
 const PaymentMethod = require('./PaymentMethod'); // To fetch payment instructions
 const Subscription = require('./Subscription'); // For activating subscription
+const BoostService = require('../services/BoostService'); // For scheduling purchased boosts
 
 class Transaction {
     /**
@@ -251,6 +252,14 @@ class Transaction {
                         console.error(`CRITICAL: Fulfillment failed for transaction ${transactionId}. Error during _activateSubscriptionWorkflow: ${activationError.message}`);
                         throw new Error(`Fulfillment failed for subscription: ${activationError.message}. Transaction ${transactionId} needs review.`);
                     }
+                } else if (updatedTransactionDetails.item_category === 'boost') {
+                    try {
+                        const boost = await BoostService.fulfilTransaction(updatedTransactionDetails, dbClient);
+                        console.log(`Boost ${boost.id} scheduled for transaction ${transactionId}.`);
+                    } catch (boostError) {
+                        console.error(`CRITICAL: Fulfillment failed for transaction ${transactionId}. Error scheduling boost: ${boostError.message}`);
+                        throw new Error(`Fulfillment failed for boost: ${boostError.message}. Transaction ${transactionId} needs review.`);
+                    }
                 } else if (updatedTransactionDetails.item_category === 'deposit' || 
                            (updatedTransactionDetails.item_category === 'gift' && updatedTransactionDetails.description === 'deposit')) {
                     const updateBalanceQuery = `
@@ -113,6 +113,119 @@ class User {
     return result.rows[0];
   }
 
+  /**
+   * Loads the user fields request handling relies on, with `subscription_tier`
+   * set to the user's highest active tier ('Basic' without one).
+   * @param {number} id - The user ID.
+   * @param {object} [client=pool] - Optional pg client.
+   * @returns {Promise<object|undefined>}
+   */
+  static async findWithActiveTier(id, client = pool) {
+    // The subquery uses a unique alias ('active_tier') to avoid conflicts with
+    // the 'users.subscription_tier' column.
+    const result = await client.query(
+      `SELECT 
+          u.id, 
+          u.email, 
+          u.role, 
+          u.is_active, 
+          u.is_suspended,
+          u.suspension_reason,
+          u.suspended_at,
+          u.message_count_today,
+          u.last_message_date,
+          u.profile_complete,
+          u.is_incognito,
+          COALESCE(sub.active_tier, 'Basic') as subscription_tier 
+      FROM users u
+      LEFT JOIN (
+          SELECT 
+              user_id, 
+              tier_level as active_tier
+          FROM user_subscriptions
+          WHERE user_id = $1
+            AND status = 'active'
+            AND end_date > NOW()
+          ORDER BY
+              CASE
+                  WHEN tier_level = 'Elite' THEN 1
+                  WHEN tier_level = 'Premium' THEN 2
+                  ELSE 3
+              END
+          LIMIT 1
+      ) AS sub ON u.id = sub.user_id
+      WHERE u.id = $1`,
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Records that the user was just active. Writes at most once every
+   * five minutes per user to keep the per-request cost low.
+   * @param {number} id - The user ID.
+   */
+  static async touchLastActive(id) {
+    await pool.query(
+      `UPDATE users SET last_active_at = NOW()
+       WHERE id = $1
+         AND (last_active_at IS NULL OR last_active_at < NOW() - INTERVAL '5 minutes')`,
+      [id]
+    );
+  }
+
+  /**
+   * Turns incognito mode on or off.
+   * @param {number} id - The user ID.
+   * @param {boolean} enabled
+   * @returns {Promise<object>} { is_incognito, incognito_enabled_at }
+   */
+  static async setIncognito(id, enabled) {
+    const result = await pool.query(
+      `UPDATE users
+       SET is_incognito = $2,
+           incognito_enabled_at = CASE WHEN $2 THEN COALESCE(incognito_enabled_at, NOW()) END
+       WHERE id = $1
+       RETURNING is_incognito, incognito_enabled_at`,
+      [id, enabled]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Shows or hides when the user was last seen.
+   * @param {number} id - The user ID.
+   * @param {boolean} hidden
+   * @returns {Promise<object>} { hide_last_seen }
+   */
+  static async setHideLastSeen(id, hidden) {
+    const result = await pool.query(
+      'UPDATE users SET hide_last_seen = $2 WHERE id = $1 RETURNING hide_last_seen',
+      [id, hidden]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Switches incognito mode off for every user who no longer has an active
+   * Elite subscription.
+   * @returns {Promise<number[]>} IDs of the users whose incognito mode was turned off.
+   */
+  static async disableLapsedIncognito() {
+    const result = await pool.query(
+      `UPDATE users u
+       SET is_incognito = false, incognito_enabled_at = NULL
+       WHERE u.is_incognito = true
+         AND NOT EXISTS (
+           SELECT 1 FROM user_subscriptions us
+           WHERE us.user_id = u.id AND us.status = 'active'
+             AND us.end_date > NOW() AND us.tier_level = 'Elite'
+         )
+       RETURNING u.id`
+    );
+    return result.rows.map(row => row.id);
+  }
+
   static async updateStatus(id, isActive) {
     await pool.query(
       'UPDATE users SET is_active = $1 WHERE id = $2',
@@ -8,7 +8,7 @@ class UserActivity {
        WHERE user_id = $1 AND activity_date = $2`,
       [userId, today]
     );
-    return result.rows[0] || { user_id: userId, swipe_count: 0, message_count: 0, activity_date: today };
+    return result.rows[0] || { user_id: userId, swipe_count: 0, message_count: 0, super_like_count: 0, activity_date: today };
   }
 
   static async incrementSwipeCount(userId) {
@@ -35,11 +35,39 @@ class UserActivity {
     );
   }
 
+  /**
+   * Counts a super like sent today.
+   * @param {number} userId
+   * @param {object} [client] - Optional pg client for use inside a transaction.
+   * @returns {Promise<number>} Super likes sent today, including this one.
+   */
+  static async incrementSuperLikeCount(userId, client = pool) {
+    const today = new Date().toISOString().split('T')[0];
+    const result = await client.query(
+      `INSERT INTO user_activities (user_id, super_like_count, activity_date)
+       VALUES ($1, 1, $2)
+       ON CONFLICT (user_id, activity_date)
+       DO UPDATE SET super_like_count = user_activities.super_like_count + 1
+       RETURNING super_like_count`,
+      [userId, today]
+    );
+    return result.rows[0].super_like_count;
+  }
+
+  static async getSuperLikeCount(userId, client = pool) {
+    const today = new Date().toISOString().split('T')[0];
+    const result = await client.query(
+      'SELECT super_like_count FROM user_activities WHERE user_id = $1 AND activity_date = $2',
+      [userId, today]
+    );
+    return result.rows.length > 0 ? result.rows[0].super_like_count : 0;
+  }
+
   static async resetDailyCounts() {
     // This would typically be run by a scheduled job at midnight
     await pool.query(
       `UPDATE user_activities 
-       SET swipe_count = 0, message_count = 0 
+       SET swipe_count = 0, message_count = 0, super_like_count = 0
        WHERE activity_date < CURRENT_DATE`
     );
   }
@@ -0,0 +1,121 @@
+const pool = require('../config/db');
+
+class UserBlock {
+  /**
+   * SQL condition that is true when neither user has blocked the other. Both
+   * arguments are trusted SQL expressions, e.g. `$1` and `u.id`.
+   * @param {string} userA
+   * @param {string} userB
+   * @returns {string}
+   */
+  static notBlockedBetween(userA, userB) {
+    return `NOT EXISTS (
+      SELECT 1 FROM user_blocks ub
+      WHERE (ub.blocker_id = ${userA} AND ub.blocked_id = ${userB})
+         OR (ub.blocker_id = ${userB} AND ub.blocked_id = ${userA})
+    )`;
+  }
+
+  /**
+   * Blocks a user and tears down what the two users shared: the match
+   * between them, the likes in both directions and their conversation.
+   * Blocking someone who is already blocked is a no-op apart from the teardown.
+   * @param {number} blockerId
+   * @param {number} blockedId
+   * @returns {Promise<{block: object, match: object|null}>} The block and the
+   *   match it removed, if there was one.
+   */
+  static async block(blockerId, blockedId) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const blockResult = await client.query(
+        `INSERT INTO user_blocks (blocker_id, blocked_id)
+         VALUES ($1, $2)
+         ON CONFLICT (blocker_id, blocked_id) DO UPDATE SET blocker_id = EXCLUDED.blocker_id
+         RETURNING *`,
+        [blockerId, blockedId]
+      );
+      const matchResult = await client.query(
+        `DELETE FROM matches
+         WHERE (user1_id = $1 AND user2_id = $2) OR (user1_id = $2 AND user2_id = $1)
+         RETURNING *`,
+        [blockerId, blockedId]
+      );
+      // Same as Message.endConversationBetween; Message requires this model, so it can't be used here
+      await client.query(
+        `UPDATE conversations SET ended_at = NOW(), updated_at = NOW()
+         WHERE ended_at IS NULL AND id IN (
+           SELECT cp1.conversation_id FROM conversation_participants cp1
+           JOIN conversation_participants cp2 ON cp1.conversation_id = cp2.conversation_id
+           WHERE cp1.user_id = $1 AND cp2.user_id = $2
+         )`,
+        [blockerId, blockedId]
+      );
+      await client.query(
+        `DELETE FROM likes
+         WHERE (user_id = $1 AND liked_user_id = $2) OR (user_id = $2 AND liked_user_id = $1)`,
+        [blockerId, blockedId]
+      );
+      await client.query('COMMIT');
+      return { block: blockResult.rows[0], match: matchResult.rows[0] || null };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * @returns {Promise<object|null>} The removed block or null if there was none.
+   */
+  static async unblock(blockerId, blockedId) {
+    const result = await pool.query(
+      'DELETE FROM user_blocks WHERE blocker_id = $1 AND blocked_id = $2 RETURNING *',
+      [blockerId, blockedId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Lists the users someone has blocked, most recent first.
+   * @param {number} blockerId
+   * @param {object} [options]
+   * @param {number} [options.limit=50]
+   * @param {number} [options.offset=0]
+   * @returns {Promise<{blocks: Array<object>, total: number}>}
+   */
+  static async listForUser(blockerId, { limit = 50, offset = 0 } = {}) {
+    const [blocksResult, countResult] = await Promise.all([
+      pool.query(
+        `SELECT ub.blocked_id AS user_id, ub.created_at AS blocked_at, p.first_name, p.profile_picture
+         FROM user_blocks ub
+         LEFT JOIN profiles p ON p.user_id = ub.blocked_id
+         WHERE ub.blocker_id = $1
+         ORDER BY ub.created_at DESC, ub.blocked_id DESC
+         LIMIT $2 OFFSET $3`,
+        [blockerId, limit, offset]
+      ),
+      pool.query('SELECT COUNT(*) FROM user_blocks WHERE blocker_id = $1', [blockerId])
+    ]);
+    return {
+      blocks: blocksResult.rows,
+      total: parseInt(countResult.rows[0].count, 10)
+    };
+  }
+
+  /**
+   * Whether either user has blocked the other.
+   * @param {number} userA
+   * @param {number} userB
+   * @param {object} [client=pool] - Pass a transaction client to check inside it.
+   * @returns {Promise<boolean>}
+   */
+  static async isBlockedEither(userA, userB, client = pool) {
+    const result = await client.query(`SELECT NOT ${this.notBlockedBetween('$1::int', '$2::int')} AS blocked`, [userA, userB]);
+    return result.rows[0].blocked;
+  }
+}
+
+module.exports = UserBlock;
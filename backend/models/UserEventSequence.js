@@ -0,0 +1,28 @@
+const pool = require('../config/db');
+
+class UserEventSequence {
+  /**
+   * Allocates the next event sequence number for a user. Numbers start at 1
+   * and increase by exactly one per event.
+   * @param {number} userId
+   * @returns {Promise<number>}
+   */
+  static async next(userId) {
+    const result = await pool.query(
+      `INSERT INTO user_event_sequences (user_id, last_seq, updated_at)
+       VALUES ($1, 1, NOW())
+       ON CONFLICT (user_id)
+       DO UPDATE SET last_seq = user_event_sequences.last_seq + 1, updated_at = NOW()
+       RETURNING last_seq`,
+      [userId]
+    );
+    return parseInt(result.rows[0].last_seq, 10);
+  }
+
+  static async getLast(userId) {
+    const result = await pool.query('SELECT last_seq FROM user_event_sequences WHERE user_id = $1', [userId]);
+    return result.rows.length > 0 ? parseInt(result.rows[0].last_seq, 10) : 0;
+  }
+}
+
+module.exports = UserEventSequence;
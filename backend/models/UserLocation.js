@@ -0,0 +1,71 @@
+const pool = require('../config/db');
+
+const KM_PER_DEGREE_LATITUDE = 111.32;
+
+class UserLocation {
+  /**
+   * Snaps coordinates to the centre of a grid cell roughly `gridKm` wide.
+   * Longitude cells widen towards the poles so they stay about `gridKm`
+   * across at the snapped latitude.
+   * @param {number} latitude
+   * @param {number} longitude
+   * @param {number} gridKm - Cell size in km.
+   * @returns {{latitude: number, longitude: number}}
+   */
+  static snapToGrid(latitude, longitude, gridKm) {
+    const snap = (value, step) => (Math.floor(value / step) + 0.5) * step;
+    const round = (value) => Math.round(value * 1e5) / 1e5;
+
+    const latStep = gridKm / KM_PER_DEGREE_LATITUDE;
+    const snappedLat = Math.max(-90, Math.min(90, snap(latitude, latStep)));
+    const cosLat = Math.max(Math.cos(snappedLat * Math.PI / 180), 0.01);
+    const lngStep = Math.min(gridKm / (KM_PER_DEGREE_LATITUDE * cosLat), 360);
+    let snappedLng = snap(longitude + 180, lngStep) - 180;
+    if (snappedLng > 180) {
+      snappedLng -= 360;
+    }
+
+    return { latitude: round(snappedLat), longitude: round(snappedLng) };
+  }
+
+  /**
+   * Retrieves a user's stored (already snapped) location.
+   * Only ever return this to the user it belongs to.
+   * @param {number} userId
+   * @returns {Promise<object|null>}
+   */
+  static async findByUserId(userId) {
+    const result = await pool.query('SELECT * FROM user_locations WHERE user_id = $1', [userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Stores a user's location. Callers must pass coordinates that have
+   * already been through snapToGrid.
+   * @param {number} userId
+   * @param {object} location - { latitude, longitude, city }
+   * @returns {Promise<object>} The saved row.
+   */
+  static async upsert(userId, { latitude, longitude, city = null }) {
+    const result = await pool.query(
+      `INSERT INTO user_locations (user_id, latitude, longitude, city, updated_at)
+       VALUES ($1, $2, $3, $4, NOW())
+       ON CONFLICT (user_id)
+       DO UPDATE SET
+         latitude = EXCLUDED.latitude,
+         longitude = EXCLUDED.longitude,
+         city = EXCLUDED.city,
+         updated_at = NOW()
+       RETURNING *`,
+      [userId, latitude, longitude, city]
+    );
+    return result.rows[0];
+  }
+
+  static async delete(userId) {
+    const result = await pool.query('DELETE FROM user_locations WHERE user_id = $1 RETURNING *', [userId]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = UserLocation;
@@ -0,0 +1,96 @@
+const pool = require('../config/db');
+
+// Applied to users who have never saved any discovery preferences
+const DEFAULT_PREFERENCES = {
+  min_age: 18,
+  max_age: 99,
+  genders: [],
+  country_ids: [],
+  max_distance_km: null
+};
+
+class UserPreference {
+  static get DEFAULT_PREFERENCES() {
+    return DEFAULT_PREFERENCES;
+  }
+
+  /**
+   * Retrieves the stored discovery preferences for a user.
+   * @param {number} userId - The ID of the user.
+   * @returns {Promise<object|null>} The preferences row or null if none saved.
+   */
+  static async findByUserId(userId) {
+    const result = await pool.query(
+      'SELECT * FROM user_preferences WHERE user_id = $1',
+      [userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Retrieves a user's discovery preferences, falling back to the defaults
+   * for users who haven't set any.
+   * @param {number} userId - The ID of the user.
+   * @returns {Promise<object>} The effective preferences, with an `is_default` flag.
+   */
+  static async getForUser(userId) {
+    const stored = await this.findByUserId(userId);
+    if (!stored) {
+      return { user_id: userId, ...DEFAULT_PREFERENCES, is_default: true };
+    }
+    return { ...stored, is_default: false };
+  }
+
+  /**
+   * Creates or replaces a user's discovery preferences.
+   * Fields not supplied keep their current (or default) value.
+   * @param {number} userId - The ID of the user.
+   * @param {object} prefs - { min_age, max_age, genders, country_ids, max_distance_km }
+   * @returns {Promise<object>} The saved preferences row.
+   */
+  static async upsert(userId, prefs) {
+    const current = await this.getForUser(userId);
+    const merged = {
+      min_age: prefs.min_age !== undefined ? prefs.min_age : current.min_age,
+      max_age: prefs.max_age !== undefined ? prefs.max_age : current.max_age,
+      genders: prefs.genders !== undefined ? prefs.genders.map(g => g.toLowerCase()) : current.genders,
+      country_ids: prefs.country_ids !== undefined ? prefs.country_ids : current.country_ids,
+      max_distance_km: prefs.max_distance_km !== undefined ? prefs.max_distance_km : current.max_distance_km
+    };
+
+    const result = await pool.query(
+      `INSERT INTO user_preferences (user_id, min_age, max_age, genders, country_ids, max_distance_km, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       ON CONFLICT (user_id)
+       DO UPDATE SET
+         min_age = EXCLUDED.min_age,
+         max_age = EXCLUDED.max_age,
+         genders = EXCLUDED.genders,
+         country_ids = EXCLUDED.country_ids,
+         max_distance_km = EXCLUDED.max_distance_km,
+         updated_at = NOW()
+       RETURNING *`,
+      [userId, merged.min_age, merged.max_age, merged.genders, merged.country_ids, merged.max_distance_km]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Returns the subset of the given country IDs that don't exist in `countries`.
+   * @param {number[]} countryIds
+   * @returns {Promise<number[]>}
+   */
+  static async findUnknownCountryIds(countryIds) {
+    if (!countryIds || countryIds.length === 0) {
+      return [];
+    }
+    const result = await pool.query(
+      'SELECT id FROM countries WHERE id = ANY($1::int[])',
+      [countryIds]
+    );
+    const known = new Set(result.rows.map(r => r.id));
+    return countryIds.filter(id => !known.has(id));
+  }
+}
+
+module.exports = UserPreference;
@@ -0,0 +1,71 @@
+const pool = require('../config/db');
+const UserBlock = require('./UserBlock');
+
+class UserPresence {
+  /**
+   * IDs of the users allowed to see someone's presence: their matches and
+   * the other participants of their open conversations, minus anyone
+   * blocked either way.
+   * @param {number} userId
+   * @returns {Promise<number[]>}
+   */
+  static async listContactIds(userId) {
+    const result = await pool.query(
+      `SELECT contacts.id
+       FROM (
+         SELECT CASE WHEN m.user1_id = $1 THEN m.user2_id ELSE m.user1_id END AS id
+         FROM matches m
+         WHERE m.user1_id = $1 OR m.user2_id = $1
+         UNION
+         SELECT cp2.user_id
+         FROM conversation_participants cp
+         JOIN conversations c ON c.id = cp.conversation_id AND c.ended_at IS NULL
+         JOIN conversation_participants cp2 ON cp2.conversation_id = cp.conversation_id AND cp2.user_id <> $1
+         WHERE cp.user_id = $1
+       ) contacts
+       WHERE ${UserBlock.notBlockedBetween('$1', 'contacts.id')}`,
+      [userId]
+    );
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * What others may know about these users' presence. Incognito and hidden
+   * last seen only take effect while the user is Elite.
+   * @param {number[]} userIds
+   * @returns {Promise<Array<{id: number, last_seen_at: Date|null, appears_offline: boolean, hides_last_seen: boolean}>>}
+   */
+  static async getVisibility(userIds) {
+    if (userIds.length === 0) {
+      return [];
+    }
+    const result = await pool.query(
+      `SELECT
+         u.id,
+         u.last_active_at AS last_seen_at,
+         (u.is_incognito AND elite.active) AS appears_offline,
+         (u.hide_last_seen AND elite.active) AS hides_last_seen
+       FROM users u
+       CROSS JOIN LATERAL (
+         SELECT EXISTS (
+           SELECT 1 FROM user_subscriptions us
+           WHERE us.user_id = u.id AND us.status = 'active'
+             AND us.end_date > NOW() AND us.tier_level = 'Elite'
+         ) AS active
+       ) elite
+       WHERE u.id = ANY($1::int[])`,
+      [userIds]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Records the moment a user's last connection closed.
+   * @param {number} userId
+   */
+  static async recordLastSeen(userId) {
+    await pool.query('UPDATE users SET last_active_at = NOW() WHERE id = $1', [userId]);
+  }
+}
+
+module.exports = UserPresence;
@@ -37,6 +37,23 @@ router.delete('/subscription/plans/:id', isAuthenticated, isAdmin, adminControll
 // Moderation
 router.get('/moderation/reports', isAuthenticated, isAdmin, adminController.getReportedContent);
 router.put('/moderation/reports/:id', isAuthenticated, isAdmin, adminController.updateReportStatus);
+router.get('/moderation/messages/:messageId/history', isAuthenticated, isAdmin, adminController.getMessageHistory);
+
+// Application settings
+router.get('/settings', isAuthenticated, isAdmin, adminController.getAppSettings);
+router.put('/settings/:key', isAuthenticated, isAdmin, adminController.updateAppSetting);
+
+// Boost product catalogue
+router.get('/boost-products', isAuthenticated, isAdmin, adminController.listBoostProducts);
+router.post('/boost-products', isAuthenticated, isAdmin, adminController.createBoostProduct);
+router.put('/boost-products/:id', isAuthenticated, isAdmin, adminController.updateBoostProduct);
+router.delete('/boost-products/:id', isAuthenticated, isAdmin, adminController.deleteBoostProduct);
+
+// Suggestion ranking diagnostics
+router.get('/ranking/explain/:userId', isAuthenticated, isAdmin, adminController.explainSuggestions);
+
+// WebSocket connection metrics
+router.get('/realtime/metrics', isAuthenticated, isAdmin, adminController.getRealtimeMetrics);
 
 // Admin activity logs
 router.get('/logs', isAuthenticated, isAdmin, adminController.getAdminLogs);
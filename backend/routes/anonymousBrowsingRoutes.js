@@ -31,4 +31,12 @@ router.get(
   anonymousBrowsingController.getAnonymousBrowsingStatus
 );
 
+// Get past anonymous browsing sessions with their durations
+router.get(
+  '/history',
+  isAuthenticated,
+  isUser,
+  anonymousBrowsingController.getAnonymousBrowsingHistory
+);
+
 module.exports = router;
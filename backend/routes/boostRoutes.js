@@ -4,7 +4,31 @@ const boostController = require('../controllers/boostController');
 const { isAuthenticated, isUser } = require('../middleware/auth'); // Added isUser
 const { checkSubscription, checkFeatureAccess } = require('../middleware/subscription');
 
-// Activate a profile boost
+// List boost products available for purchase
+router.get(
+  '/products',
+  isAuthenticated,
+  isUser,
+  boostController.getProducts
+);
+
+// Buy a boost product with site balance
+router.post(
+  '/purchase',
+  isAuthenticated,
+  isUser,
+  boostController.purchaseBoost
+);
+
+// Check this month's free boost allowance
+router.get(
+  '/allowance',
+  isAuthenticated,
+  isUser,
+  boostController.getAllowance
+);
+
+// Redeem a free boost from the monthly tier allowance
 // Assuming 'profileBoost' is the feature_key in feature_permissions table
 router.post(
   '/activate',
@@ -23,4 +47,12 @@ router.get(
   boostController.getBoostStatus
 );
 
+// Get past and current boosts with their stats
+router.get(
+  '/history',
+  isAuthenticated,
+  isUser,
+  boostController.getBoostHistory
+);
+
 module.exports = router;
@@ -7,10 +7,18 @@ const { searchRateLimiter } = require('../middleware/rateLimiter');
 const { requireTier } = require('../middleware/requireTier');
 
 // Protected routes (require authentication)
-router.get('/likes-you', isAuthenticated, isUser, requireTier('Premium'), matchController.getLikesYou);
-router.get('/likesyou', isAuthenticated, isUser, requireTier('Premium'), matchController.getLikesYou); // alias fallback
+// Basic users only see who super liked them; the controller redacts plain likes
+router.get('/likes-you', isAuthenticated, isUser, matchController.getLikesYou);
+router.get('/likesyou', isAuthenticated, isUser, matchController.getLikesYou); // alias fallback
+router.get('/preferences', isAuthenticated, isUser, matchController.getPreferences);
+router.put('/preferences', isAuthenticated, isUser, matchController.updatePreferences);
 router.get('/suggestions', isAuthenticated, isUser, searchRateLimiter, checkSwipeLimit, matchController.getPotentialMatches);
 router.post('/like/:id', isAuthenticated, isUser, checkSwipeLimit, matchController.likeProfile);
+router.post('/super-like/:id', isAuthenticated, isUser, checkSwipeLimit, matchController.superLikeProfile);
+router.get('/super-likes', isAuthenticated, isUser, matchController.getSuperLikeStatus);
+router.post('/super-likes/purchase', isAuthenticated, isUser, matchController.purchaseSuperLikes);
+router.post('/pass/:id', isAuthenticated, isUser, checkSwipeLimit, matchController.passProfile);
+router.post('/rewind', isAuthenticated, isUser, requireTier('Premium'), matchController.rewindLastSwipe);
 router.get('/', isAuthenticated, isUser, matchController.getMatches);
 router.post('/', isAuthenticated, isUser, matchController.checkAndCreateMatch);
 router.delete('/:matchId', isAuthenticated, isUser, matchController.unmatch);
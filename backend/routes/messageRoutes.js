@@ -2,10 +2,39 @@
 
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const { isAuthenticated, isUser } = require('../middleware/auth');
 const messageController = require('../controllers/messageController');
 const Message = require('../models/Message');
-const { body, param } = require('express-validator');
+const AttachmentService = require('../services/AttachmentService');
+const { body, param, query } = require('express-validator');
+
+// Attachments are checked by content before being stored, so keep them in memory
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: AttachmentService.MAX_UPLOAD_BYTES, files: 1 }
+});
+
+const uploadAttachmentFile = (req, res, next) => {
+  attachmentUpload.single('file')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        success: false,
+        error: err.message || 'Error uploading file'
+      });
+    }
+    next(err);
+  });
+};
+
+// Attachment downloads accept a link token (see /attachments/:id/link) in
+// place of the auth header
+const authenticateDownload = (req, res, next) => {
+  if (req.query.token) {
+    return next();
+  }
+  isAuthenticated(req, res, () => isUser(req, res, next));
+};
 
 // Validation middleware
 const validateMessageContent = [
@@ -25,18 +54,60 @@ router.get(
   '/conversations',
   isAuthenticated,
   isUser,
+  [
+    query('archived').optional().isBoolean().withMessage('archived must be true or false'),
+    query('unreadOnly').optional().isBoolean().withMessage('unreadOnly must be true or false')
+  ],
   messageController.getConversations
 );
 
+// Per-user conversation settings
+const conversationIdParam = param('conversationId').isInt().withMessage('Invalid conversation ID');
+
+router.put(
+  '/conversations/:conversationId/mute',
+  isAuthenticated,
+  isUser,
+  [
+    conversationIdParam,
+    body('until').optional({ values: 'null' }).isISO8601().withMessage('until must be a date')
+      .custom(until => new Date(until) > new Date()).withMessage('until must be in the future')
+  ],
+  messageController.muteConversation
+);
+router.delete('/conversations/:conversationId/mute', isAuthenticated, isUser, conversationIdParam, messageController.unmuteConversation);
+router.put('/conversations/:conversationId/archive', isAuthenticated, isUser, conversationIdParam, messageController.archiveConversation);
+router.delete('/conversations/:conversationId/archive', isAuthenticated, isUser, conversationIdParam, messageController.unarchiveConversation);
+router.put('/conversations/:conversationId/pin', isAuthenticated, isUser, conversationIdParam, messageController.pinConversation);
+router.delete('/conversations/:conversationId/pin', isAuthenticated, isUser, conversationIdParam, messageController.unpinConversation);
+
 // Message routes
+router.get(
+  '/search',
+  isAuthenticated,
+  isUser,
+  [
+    query('q').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Search text must be 1-200 characters'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+    query('cursor').optional().isInt({ min: 1 }).withMessage('Invalid cursor')
+  ],
+  messageController.searchMessages
+);
+
 router.get(
   '/:conversationId/messages',
   isAuthenticated,
   isUser,
-  param('conversationId').isInt().withMessage('Invalid conversation ID'),
+  [
+    param('conversationId').isInt().withMessage('Invalid conversation ID'),
+    query('around').optional().isInt({ min: 1 }).withMessage('Invalid message ID')
+  ],
   messageController.getMessages
 );
 
+// Same presence check as sendMessage, which validates any `location` given
+const withoutAttachmentOrLocation = (value, { req }) => !req.body.attachmentId && req.body.location === undefined;
+
 router.post(
   '/send',
   isAuthenticated,
@@ -44,13 +115,47 @@ router.post(
   // REMOVED: checkMessageLimit middleware. Logic is now in the controller.
   [
     body('conversationId').isInt().withMessage('Invalid conversation ID'),
-    body('content').trim().notEmpty().withMessage('Message content is required'),
-    body('messageType').optional().isIn(Object.values(Message.MESSAGE_TYPES)).withMessage('Invalid message type'),
-    body('parentMessageId').optional().isInt().withMessage('Invalid parent message ID')
+    // Optional caption when sending an attachment or location
+    body('content').if(withoutAttachmentOrLocation).trim().notEmpty().withMessage('Message content is required'),
+    body('content').optional().isString().withMessage('Message content must be text'),
+    // Ignored when an attachment or location sets the type
+    body('messageType').if(withoutAttachmentOrLocation).optional()
+      .isIn(Object.values(Message.MESSAGE_TYPES)).withMessage('Invalid message type')
+      .not().equals(Message.MESSAGE_TYPES.LOCATION).withMessage('A location message needs a location'),
+    body('parentMessageId').optional().isInt().withMessage('Invalid parent message ID'),
+    body('clientMessageId').optional().isString().trim().isLength({ min: 1, max: 64 }).withMessage('Invalid client message ID'),
+    body('attachmentId').optional().isInt().withMessage('Invalid attachment ID')
   ],
   messageController.sendMessage
 );
 
+// Attachment routes
+router.post(
+  '/conversations/:conversationId/attachments',
+  isAuthenticated,
+  isUser,
+  uploadAttachmentFile,
+  [
+    param('conversationId').isInt().withMessage('Invalid conversation ID'),
+    body('durationSeconds').optional().isFloat({ min: 0, max: 86400 }).withMessage('Invalid duration')
+  ],
+  messageController.uploadAttachment
+);
+
+router.get(
+  '/attachments/:attachmentId/link',
+  isAuthenticated,
+  isUser,
+  param('attachmentId').isInt().withMessage('Invalid attachment ID'),
+  messageController.getAttachmentLink
+);
+
+router.get(
+  '/attachments/:attachmentId/content',
+  authenticateDownload,
+  messageController.downloadAttachment
+);
+
 router.put(
   '/read',
   isAuthenticated,
@@ -77,10 +182,21 @@ router.delete(
   '/:messageId',
   isAuthenticated,
   isUser,
-  param('messageId').isInt().withMessage('Invalid message ID'),
+  [
+    param('messageId').isInt().withMessage('Invalid message ID'),
+    query('scope').optional().isIn(['me', 'everyone']).withMessage('scope must be me or everyone')
+  ],
   messageController.deleteMessage
 );
 
+router.get(
+  '/:messageId/history',
+  isAuthenticated,
+  isUser,
+  param('messageId').isInt().withMessage('Invalid message ID'),
+  messageController.getMessageHistory
+);
+
 // Reaction routes
 router.post(
   '/:messageId/reactions',
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { isAuthenticated, isUser } = require('../middleware/auth');
+
+router.get('/', isAuthenticated, isUser, notificationController.getNotifications);
+router.get('/unread-count', isAuthenticated, isUser, notificationController.getUnreadCount);
+router.put('/read-all', isAuthenticated, isUser, notificationController.markAllAsRead);
+router.get('/preferences', isAuthenticated, isUser, notificationController.getPreferences);
+router.put('/preferences', isAuthenticated, isUser, notificationController.updatePreferences);
+router.get('/digest', isAuthenticated, isUser, notificationController.getDigestSettings);
+router.put('/digest', isAuthenticated, isUser, notificationController.updateDigestSettings);
+// Public: reached from the link in digest emails, authorised by its token
+router.get('/digest/unsubscribe', notificationController.unsubscribeDigest);
+router.post('/digest/unsubscribe', notificationController.unsubscribeDigest);
+router.put('/:id/read', isAuthenticated, isUser, notificationController.markAsRead);
+
+module.exports = router;
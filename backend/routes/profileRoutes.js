@@ -131,6 +131,25 @@ router.put(
   profileController.markProfileComplete
 );
 
+// Location used for distance-based discovery
+router.get(
+  '/location',
+  isAuthenticated,
+  profileController.getLocation
+);
+
+router.put(
+  '/location',
+  isAuthenticated,
+  profileController.updateLocation
+);
+
+router.delete(
+  '/location',
+  isAuthenticated,
+  profileController.deleteLocation
+);
+
 // Profile visitors (Premium feature)
 router.get(
   '/visitors',
@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const { isAuthenticated, isAdmin } = require('../middleware/auth');
+const { isAuthenticated, isAdmin, isUser } = require('../middleware/auth');
 const reportController = require('../controllers/reportController');
 
+// File a report (any user)
+router.post('/', isAuthenticated, isUser, reportController.submitReport);
+
 // Get all reports or reports by type
 router.get('/', isAuthenticated, isAdmin, reportController.getReportedContent);
 
@@ -11,7 +11,7 @@ const { profileViewAnalyticsRateLimiter } = require('../middleware/rateLimiter')
 const userController = require('../controllers/userController');
 const Profile = require('../models/Profile');
 const ProfileView = require('../models/ProfileView');
-const AnonymousBrowsingSession = require('../models/AnonymousBrowsingSession'); // Added
+const UserBlock = require('../models/UserBlock');
 const pool = require('../config/db');
 
 // Set up multer storage for profile pictures
@@ -82,23 +82,15 @@ router.get('/profile/:id', isAuthenticated, isUser, checkSubscription, async (re
     const viewerId = req.user.id;
     
     const profile = await Profile.findByUserId(profileUserId);
-    if (!profile) {
+    // Blocked users are reported as missing either way round
+    if (!profile || await UserBlock.isBlockedEither(viewerId, profileUserId)) {
       return res.status(404).json({ error: 'Profile not found' });
     }
     
-    // Record the profile view (only if viewing someone else's profile and viewer is not anonymous)
+    // Record the profile view (only if viewing someone else's profile).
+    // Views during an anonymous browsing session are stored as anonymous.
     if (profileUserId !== viewerId) {
-      let recordView = true; // Default to recording the view
-      // Check if the viewer has an active anonymous browsing session
-      const isActiveAnonymous = await AnonymousBrowsingSession.isActive(viewerId);
-      if (isActiveAnonymous) {
-        recordView = false; // Do not record if anonymous
-      }
-
-      // Conditionally record the profile view
-      if (recordView) {
-        await ProfileView.recordView(profileUserId, viewerId);
-      }
+      await ProfileView.recordView(profileUserId, viewerId);
     }
     
     res.json(profile);
@@ -166,14 +158,7 @@ router.get(
   checkSubscription,
   checkFeatureAccess('profileViews'),
   profileViewAnalyticsRateLimiter,
-  async (req, res) => {
-    // TODO: Implement actual logic for fetching profile views
-    // This might involve a new controller method in userController.js
-    // For now, returning placeholder if the old one was just a placeholder.
-    // Example: const views = await ProfileView.getViewsForUser(req.user.id);
-    // res.json(views);
-    res.status(501).json({ message: 'Profile views feature not fully implemented yet.' });
-  }
+  userController.getProfileViewAnalytics
 );
 
 // Advanced Matches feature - GET /api/user/advanced-matches
@@ -183,14 +168,52 @@ router.get(
   isUser, // Added
   checkSubscription,
   checkFeatureAccess('advancedMatching'),
-  async (req, res) => {
-    // TODO: Implement actual logic for fetching advanced matches
-    // This might involve a new controller method
-    // For now, returning placeholder.
-    res.status(501).json({ message: 'Advanced matching feature not fully implemented yet.' });
-  }
+  userController.getAdvancedMatches
 );
 
+// Saved advanced-match searches, with alerts for new matching profiles
+router.get(
+  '/saved-searches',
+  isAuthenticated,
+  isUser,
+  checkSubscription,
+  checkFeatureAccess('advancedMatching'),
+  userController.getSavedSearches
+);
+
+router.post(
+  '/saved-searches',
+  isAuthenticated,
+  isUser,
+  checkSubscription,
+  checkFeatureAccess('advancedMatching'),
+  userController.createSavedSearch
+);
+
+router.put(
+  '/saved-searches/:id',
+  isAuthenticated,
+  isUser,
+  checkSubscription,
+  checkFeatureAccess('advancedMatching'),
+  userController.updateSavedSearch
+);
+
+router.delete(
+  '/saved-searches/:id',
+  isAuthenticated,
+  isUser,
+  userController.deleteSavedSearch
+);
+
+// Blocked users
+router.get('/blocks', isAuthenticated, isUser, userController.getBlockedUsers);
+router.post('/blocks/:id', isAuthenticated, isUser, userController.blockUser);
+router.delete('/blocks/:id', isAuthenticated, isUser, userController.unblockUser);
+
+// Online status and last seen of matches and conversation partners
+router.get('/presence', isAuthenticated, isUser, userController.getPresence);
+
 // Note: POST /profile-boost route was removed as it's now handled by boostRoutes.js
 
 // Redundant route for uploading profile picture removed.
@@ -216,6 +239,24 @@ router.post(
   userController.setIncognitoStatus
 );
 
+// Get Hide Last Seen setting (Elite feature)
+router.get(
+  '/settings/last-seen',
+  isAuthenticated,
+  isUser,
+  requireTier('Elite'),
+  userController.getLastSeenSetting
+);
+
+// Set Hide Last Seen setting (Elite feature)
+router.post(
+  '/settings/last-seen',
+  isAuthenticated,
+  isUser,
+  requireTier('Elite'),
+  userController.setLastSeenSetting
+);
+
 
 // Route for marking profile as complete
 router.put('/profile/complete', isAuthenticated, isUser, async (req, res) => {
@@ -10,6 +10,13 @@ const pool = require('./config/db');
 const errorHandler = require('./middleware/errorHandler');
 const logger = require('./utils/logger');
 const WebSocketController = require('./controllers/websocketController'); // Import the controller
+const { createPubSub } = require('./services/pubsub');
+const { scheduleSavedSearchAlerts } = require('./jobs/savedSearchAlerts');
+const { scheduleIncognitoExpiry } = require('./jobs/incognitoExpiry');
+const { scheduleExpiryNotifications } = require('./jobs/expiryNotifications');
+const { scheduleEmailDigest } = require('./jobs/emailDigest');
+const { scheduleAttachmentCleanup } = require('./jobs/attachmentCleanup');
+const { scheduleLiveLocationExpiry } = require('./jobs/liveLocationExpiry');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -33,6 +40,8 @@ const depositRoutes = require('./routes/depositRoutes');
 const featureTestRoutes = require('./routes/featureTestRoutes');
 const usageRoutes = require('./routes/usageRoutes');
 const referralRoutes = require('./routes/referralRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const reportRoutes = require('./routes/reportRoutes');
 
 const app = express();
 const server = http.createServer(app);
@@ -61,7 +70,7 @@ app.options('*', cors({
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
   allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token', 'x-profile-setup'],
-  exposedHeaders: ['set-cookie']
+  exposedHeaders: ['set-cookie', 'x-next-cursor']
 }));
 
 // Apply CORS middleware with credentials support
@@ -76,7 +85,7 @@ app.use(cors({
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
   allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token', 'x-profile-setup'],
-  exposedHeaders: ['set-cookie']
+  exposedHeaders: ['set-cookie', 'x-next-cursor']
 }));
 
 // Middleware
@@ -225,12 +234,23 @@ app.use('/api/deposits', depositRoutes);
 app.use('/api/usage', usageRoutes);
 app.use('/api/features', featureTestRoutes);
 app.use('/api/referrals', referralRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/reports', reportRoutes);
 
 // --- WebSocket Setup ---
 // Instantiate the WebSocket controller and pass the server to it.
-const wsController = new WebSocketController(server);
+// With WS_PUBSUB_ADAPTER=postgres events reach users on any instance.
+const wsController = new WebSocketController(server, { pubsub: createPubSub(env.WS_PUBSUB_ADAPTER) });
 app.set('wsController', wsController); // Make it accessible in routes if needed
 
+// --- Scheduled Jobs ---
+scheduleSavedSearchAlerts(wsController);
+scheduleIncognitoExpiry();
+scheduleExpiryNotifications(wsController);
+scheduleEmailDigest();
+scheduleAttachmentCleanup();
+scheduleLiveLocationExpiry(wsController);
+
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({
@@ -251,6 +271,7 @@ process.on('uncaughtException', (err) => {
 });
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down...');
+  wsController.close().catch(err => logger.error('Error closing WebSocket controller:', err));
   server.close(() => logger.info('Process terminated.'));
 });
 
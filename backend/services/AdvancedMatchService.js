@@ -0,0 +1,143 @@
+const Profile = require('../models/Profile');
+const SavedSearch = require('../models/SavedSearch');
+const ApiError = require('../utils/ApiError');
+const { sealCursor, openCursor } = require('../utils/cursor');
+
+// Sort options for advanced matches. `key` is trusted SQL passed to
+// Profile.searchProfiles; `type` is what cursor values are cast back to.
+const SORTS = {
+  recently_active: { key: 'COALESCE(seen.last_active_at, u.created_at::timestamptz)', direction: 'DESC', type: 'timestamptz' },
+  newest: { key: 'u.created_at', direction: 'DESC', type: 'timestamp' },
+  youngest: { key: 'p.dob', direction: 'DESC', type: 'date' },
+  oldest: { key: 'p.dob', direction: 'ASC', type: 'date' }
+};
+
+const FEATURE_KEY = 'advancedMatching';
+const MAX_SAVED_SEARCHES = 10;
+// Profiles already matching when a search is saved are recorded in pages so
+// they aren't announced as new later
+const BASELINE_PAGE_SIZE = 500;
+const MAX_BASELINE_PAGES = 20;
+const NEW_MATCHES_PER_RUN = 50;
+const NOTIFICATION_PREVIEW_SIZE = 5;
+
+const stripSortKey = ({ sort_key, ...profile }) => profile;
+
+class AdvancedMatchService {
+  static get FEATURE_KEY() {
+    return FEATURE_KEY;
+  }
+
+  static get MAX_SAVED_SEARCHES() {
+    return MAX_SAVED_SEARCHES;
+  }
+
+  // Sealed, since the sort key can be an activity time
+  static encodeCursor({ sort, sortKey, userId }) {
+    return sealCursor({ s: sort, k: sortKey, u: userId });
+  }
+
+  /**
+   * Cursors are only valid for the sort they were issued with.
+   * @throws {ApiError} 400 for a malformed cursor or one from another sort.
+   */
+  static decodeCursor(cursor, sort) {
+    const payload = openCursor(cursor);
+    if (!payload || payload.s !== sort || typeof payload.k !== 'string' || !Number.isInteger(payload.u)) {
+      throw new ApiError(400, 'Invalid cursor');
+    }
+    return { sortKey: payload.k, userId: payload.u };
+  }
+
+  /**
+   * Returns one page of advanced-match results.
+   * @param {number} userId - The searching user.
+   * @param {object} options
+   * @param {object} [options.filters] - Validated filters (see validateAdvancedSearch).
+   * @param {string} [options.sort='recently_active'] - One of the SORTS keys.
+   * @param {number} [options.limit=20]
+   * @param {string} [options.cursor] - The nextCursor from the previous page.
+   * @returns {Promise<{profiles: Array<object>, nextCursor: string|null}>}
+   */
+  static async search(userId, { filters = {}, sort = 'recently_active', limit = 20, cursor = null } = {}) {
+    const sortSpec = SORTS[sort];
+    if (!sortSpec) {
+      throw new ApiError(400, `Unknown sort '${sort}'`);
+    }
+    const after = cursor ? this.decodeCursor(cursor, sort) : null;
+
+    const rows = await Profile.searchProfiles(userId, { filters, sort: sortSpec, after, limit });
+    const last = rows[rows.length - 1];
+    const nextCursor = rows.length === limit
+      ? this.encodeCursor({ sort, sortKey: last.sort_key, userId: last.user_id })
+      : null;
+
+    return { profiles: rows.map(stripSortKey), nextCursor };
+  }
+
+  /**
+   * Marks every profile that currently matches a saved search as already
+   * seen, so only profiles that start matching later trigger notifications.
+   * @param {object} savedSearch - A saved_searches row.
+   */
+  static async recordBaseline(savedSearch) {
+    for (let page = 0; page < MAX_BASELINE_PAGES; page++) {
+      const rows = await Profile.searchProfiles(savedSearch.user_id, {
+        filters: savedSearch.filters,
+        sort: SORTS[savedSearch.sort],
+        excludeSavedSearchId: savedSearch.id,
+        limit: BASELINE_PAGE_SIZE
+      });
+      await SavedSearch.recordHits(savedSearch.id, rows.map(row => row.user_id));
+      if (rows.length < BASELINE_PAGE_SIZE) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Finds profiles that match a saved search but haven't been surfaced by it
+   * yet, and records them as surfaced.
+   * @param {object} savedSearch - A saved_searches row.
+   * @returns {Promise<Array<object>>} The newly matching profiles.
+   */
+  static async collectNewMatches(savedSearch) {
+    const rows = await Profile.searchProfiles(savedSearch.user_id, {
+      filters: savedSearch.filters,
+      sort: SORTS[savedSearch.sort],
+      excludeSavedSearchId: savedSearch.id,
+      limit: NEW_MATCHES_PER_RUN
+    });
+    const inserted = new Set(await SavedSearch.recordHits(savedSearch.id, rows.map(row => row.user_id)));
+    return rows.filter(row => inserted.has(row.user_id)).map(stripSortKey);
+  }
+
+  /**
+   * Checks the saved searches of connected users and pushes a
+   * `SAVED_SEARCH_MATCHES` message for each one with new matches. Users who
+   * are offline are picked up on a later run once they reconnect.
+   * @param {object} wsController - The WebSocketController instance.
+   * @returns {Promise<number>} How many notifications were sent.
+   */
+  static async notifySavedSearchMatches(wsController) {
+    const savedSearches = await SavedSearch.listNotifiableForUsers(wsController.getConnectedUserIds(), FEATURE_KEY);
+    let sent = 0;
+    for (const savedSearch of savedSearches) {
+      const profiles = await this.collectNewMatches(savedSearch);
+      if (profiles.length === 0) {
+        continue;
+      }
+      await wsController.emitEvent(savedSearch.user_id, 'SAVED_SEARCH_MATCHES', {
+        savedSearchId: savedSearch.id,
+        name: savedSearch.name,
+        count: profiles.length,
+        profiles: profiles.slice(0, NOTIFICATION_PREVIEW_SIZE)
+      });
+      await SavedSearch.markNotified(savedSearch.id);
+      sent++;
+    }
+    return sent;
+  }
+}
+
+module.exports = AdvancedMatchService;
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET, API_URL, ATTACHMENT_STORAGE, ATTACHMENT_DIR } = require('../config/env');
+const Message = require('../models/Message');
+const MessageAttachment = require('../models/MessageAttachment');
+const MessagingService = require('./MessagingService');
+const { createStorage } = require('./storage');
+const { detectMimeType, readMediaMetadata } = require('../utils/fileType');
+const ApiError = require('../utils/ApiError');
+
+const MB = 1024 * 1024;
+
+// What each attachment kind accepts, by detected type, and how big it may be
+const ATTACHMENT_KINDS = {
+  image: { maxBytes: 10 * MB, mimeTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'] },
+  audio: { maxBytes: 10 * MB, mimeTypes: ['audio/mpeg', 'audio/mp4', 'audio/ogg', 'audio/wav', 'audio/webm'] },
+  video: { maxBytes: 25 * MB, mimeTypes: ['video/mp4', 'video/quicktime', 'video/webm'] },
+  file: { maxBytes: 10 * MB, mimeTypes: ['application/pdf'] }
+};
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(ATTACHMENT_KINDS).map(kind => kind.maxBytes));
+
+// Download links let media elements, which can't send an Authorization
+// header, fetch an attachment as the user the link was made for
+const LINK_AUDIENCE = 'attachment';
+const LINK_TTL_SECONDS = 15 * 60;
+
+// Uploads that never made it into a message are deleted after this long
+const UNSENT_TTL_HOURS = 24;
+
+const storage = createStorage(ATTACHMENT_STORAGE, { root: ATTACHMENT_DIR });
+
+const kindOf = (mimeType) =>
+  Object.keys(ATTACHMENT_KINDS).find(kind => ATTACHMENT_KINDS[kind].mimeTypes.includes(mimeType)) || null;
+
+// Stored names are dropped to a safe subset for Content-Disposition
+const safeFileName = (name) => (name || 'attachment').replace(/[^\w.\- ]+/g, '_').slice(0, 255);
+
+class AttachmentService {
+  static get MAX_UPLOAD_BYTES() {
+    return MAX_UPLOAD_BYTES;
+  }
+
+  /**
+   * The attachment as clients see it; same shape as `attachment` on messages.
+   */
+  static present(attachment) {
+    return {
+      id: attachment.id,
+      kind: attachment.kind,
+      mime_type: attachment.mime_type,
+      file_size: attachment.file_size,
+      original_name: attachment.original_name,
+      width: attachment.width,
+      height: attachment.height,
+      duration_seconds: attachment.duration_seconds === null ? null : parseFloat(attachment.duration_seconds),
+      url: `/api/messages/attachments/${attachment.id}/content`
+    };
+  }
+
+  /**
+   * Stores an upload for a conversation the user can write to. It stays
+   * private to the uploader until sent with MessagingService.send.
+   * @param {number} userId
+   * @param {number} conversationId
+   * @param {object} file - A multer memory-storage file ({ buffer, size, mimetype, originalname }).
+   * @param {object} [options]
+   * @param {number} [options.durationSeconds] - Client-measured duration, used for
+   *   audio/video whose duration can't be read from the file.
+   * @returns {Promise<object>} The attachment row.
+   * @throws {ApiError} 404/403 as MessagingService.assertCanSend, 415 for an
+   *   unsupported type, 413 when over the kind's size limit.
+   */
+  static async upload(userId, conversationId, file, { durationSeconds = null } = {}) {
+    await MessagingService.assertCanSend(conversationId, userId);
+
+    const mimeType = detectMimeType(file.buffer, file.mimetype);
+    const kind = kindOf(mimeType);
+    if (!kind) {
+      throw new ApiError(415, 'Unsupported file type.');
+    }
+    if (file.size > ATTACHMENT_KINDS[kind].maxBytes) {
+      throw new ApiError(413, `${kind[0].toUpperCase()}${kind.slice(1)} attachments can be at most ${ATTACHMENT_KINDS[kind].maxBytes / MB} MB.`);
+    }
+
+    const metadata = readMediaMetadata(file.buffer, mimeType);
+    const isTimed = kind === 'audio' || kind === 'video';
+    const storageKey = crypto.randomUUID().replace(/-/g, '');
+    await storage.save(storageKey, file.buffer);
+    try {
+      return await MessageAttachment.create({
+        conversationId,
+        uploaderId: userId,
+        kind,
+        mimeType,
+        fileSize: file.size,
+        originalName: file.originalname ? file.originalname.slice(0, 255) : null,
+        storageKey,
+        width: metadata.width,
+        height: metadata.height,
+        durationSeconds: isTimed ? (metadata.durationSeconds ?? durationSeconds) : null
+      });
+    } catch (error) {
+      await storage.remove(storageKey).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Loads an attachment the user may download: their own unsent upload, or
+   * one sent in a conversation still visible to them and not deleted.
+   * @throws {ApiError} 404 otherwise.
+   */
+  static async getViewable(userId, attachmentId) {
+    const attachment = await MessageAttachment.findById(attachmentId);
+    const viewable = attachment && (attachment.message_id === null
+      ? attachment.uploader_id === userId
+      : !attachment.message_deleted && (await Message.getAccess(attachment.conversation_id, userId)).visible);
+    if (!viewable) {
+      throw new ApiError(404, 'Attachment not found');
+    }
+    return attachment;
+  }
+
+  /**
+   * A short-lived download URL that works without an Authorization header.
+   * Access is checked again when it is used.
+   * @returns {Promise<{url: string, expiresAt: string}>}
+   */
+  static async createLink(userId, attachmentId) {
+    await this.getViewable(userId, attachmentId);
+    const token = jwt.sign({ sub: String(userId), aid: attachmentId }, JWT_SECRET, {
+      audience: LINK_AUDIENCE,
+      expiresIn: LINK_TTL_SECONDS
+    });
+    return {
+      url: `${API_URL}/api/messages/attachments/${attachmentId}/content?token=${token}`,
+      expiresAt: new Date(Date.now() + LINK_TTL_SECONDS * 1000).toISOString()
+    };
+  }
+
+  /**
+   * @returns {number} The user the link was made for.
+   * @throws {ApiError} 401 for an invalid or expired link, or one for another attachment.
+   */
+  static verifyLinkToken(token, attachmentId) {
+    let payload;
+    try {
+      payload = jwt.verify(token, JWT_SECRET, { audience: LINK_AUDIENCE });
+    } catch (error) {
+      throw new ApiError(401, 'Invalid or expired link');
+    }
+    if (payload.aid !== attachmentId) {
+      throw new ApiError(401, 'Invalid or expired link');
+    }
+    return parseInt(payload.sub, 10);
+  }
+
+  /**
+   * @returns {Promise<{attachment: object, stream: ReadableStream}>}
+   */
+  static async openForDownload(userId, attachmentId) {
+    const attachment = await this.getViewable(userId, attachmentId);
+    return { attachment, stream: storage.createReadStream(attachment.storage_key) };
+  }
+
+  static contentDisposition(attachment) {
+    const disposition = attachment.kind === 'file' ? 'attachment' : 'inline';
+    return `${disposition}; filename="${safeFileName(attachment.original_name)}"`;
+  }
+
+  /**
+   * Deletes uploads that were never sent, and their files.
+   * @returns {Promise<number>} How many were deleted.
+   */
+  static async deleteUnsent() {
+    const deleted = await MessageAttachment.deleteUnsent(UNSENT_TTL_HOURS);
+    for (const attachment of deleted) {
+      await storage.remove(attachment.storage_key);
+    }
+    return deleted.length;
+  }
+}
+
+module.exports = AttachmentService;
@@ -0,0 +1,140 @@
+const BoostProduct = require('../models/BoostProduct');
+const ProfileBoost = require('../models/ProfileBoost');
+const UserBalance = require('../models/UserBalance');
+const AppSetting = require('../models/AppSetting');
+const ApiError = require('../utils/ApiError');
+const withUserLock = require('../utils/withUserLock');
+
+// Used when the `boost_monthly_allowance` setting is missing
+const DEFAULT_MONTHLY_ALLOWANCE = { Basic: 0, Premium: 1, Elite: 4 };
+
+const scheduleFromProduct = (userId, product, { source, transactionId = null }, client) =>
+  ProfileBoost.schedule(userId, {
+    boostType: product.boost_type,
+    durationHours: product.duration_hours,
+    multiplier: product.multiplier,
+    productId: product.id,
+    transactionId,
+    source
+  }, client);
+
+class BoostService {
+  /**
+   * Reads how many free boosts a subscription tier gets per calendar month.
+   * @param {string} tier - 'Basic', 'Premium' or 'Elite'.
+   * @returns {Promise<number>}
+   */
+  static async getMonthlyAllowance(tier) {
+    const allowances = (await AppSetting.get('boost_monthly_allowance', DEFAULT_MONTHLY_ALLOWANCE)) || {};
+    return parseInt(allowances[tier], 10) || 0;
+  }
+
+  /**
+   * Summarises a user's free boost allowance for the current month.
+   * @param {number} userId - The ID of the user.
+   * @param {string} tier - The user's subscription tier.
+   * @returns {Promise<{allowance: number, used: number, remaining: number, resetsAt: Date}>}
+   */
+  static async getAllowanceStatus(userId, tier) {
+    const [allowance, used] = await Promise.all([
+      this.getMonthlyAllowance(tier),
+      ProfileBoost.countAllowanceUsedThisMonth(userId)
+    ]);
+    const now = new Date();
+    return {
+      allowance,
+      used,
+      remaining: Math.max(allowance - used, 0),
+      resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+    };
+  }
+
+  /**
+   * Buys a boost product with the user's site balance. The debit, the
+   * completed transaction record and the boost are committed together.
+   * @param {number} userId - The buyer.
+   * @param {number} productId - The boost product to buy.
+   * @returns {Promise<{boost: object, transaction: object}>}
+   * @throws {ApiError} 404 for an unknown or retired product, 402 for insufficient balance.
+   */
+  static async purchaseWithBalance(userId, productId) {
+    return withUserLock(userId, async (client) => {
+      const product = await BoostProduct.getById(productId, client);
+      if (!product || !product.is_active) {
+        throw new ApiError(404, 'Boost product not found.');
+      }
+
+      const price = parseFloat(product.price);
+      try {
+        await UserBalance.debit(userId, price, client);
+      } catch (error) {
+        if (error.message === 'Insufficient balance.') {
+          throw new ApiError(402, 'Insufficient balance.');
+        }
+        throw error;
+      }
+
+      const transactionResult = await client.query(
+        `INSERT INTO transactions (
+           user_id, payment_country_id, payment_method_type_id, amount, currency,
+           item_category, payable_item_id, status, description,
+           user_provided_reference, admin_notes, type
+         )
+         VALUES ($1, NULL, NULL, $2, $3, 'boost', $4, 'completed', $5, 'PAID_FROM_BALANCE', 'Paid from account balance', 'debit')
+         RETURNING *`,
+        [userId, price, product.currency, product.id, `Boost purchase: ${product.name} (from balance)`]
+      );
+      const transaction = transactionResult.rows[0];
+
+      const boost = await scheduleFromProduct(userId, product, { source: 'balance', transactionId: transaction.id }, client);
+      return { boost, transaction };
+    });
+  }
+
+  /**
+   * Redeems one of the tier's free monthly boosts for an eligible product.
+   * @param {number} userId - The user.
+   * @param {string} tier - The user's subscription tier.
+   * @param {number} productId - The boost product to redeem.
+   * @returns {Promise<{boost: object, allowance: object}>}
+   * @throws {ApiError} 404 for an unknown product, 400 if the product isn't
+   *   allowance eligible, 403 once the month's allowance is used up.
+   */
+  static async redeemAllowance(userId, tier, productId) {
+    const allowance = await this.getMonthlyAllowance(tier);
+    const boost = await withUserLock(userId, async (client) => {
+      const product = await BoostProduct.getById(productId, client);
+      if (!product || !product.is_active) {
+        throw new ApiError(404, 'Boost product not found.');
+      }
+      if (!product.allowance_eligible) {
+        throw new ApiError(400, 'This boost product cannot be redeemed with your monthly allowance.');
+      }
+
+      const used = await ProfileBoost.countAllowanceUsedThisMonth(userId, client);
+      if (used >= allowance) {
+        throw new ApiError(403, `You have used all ${allowance} free boosts for this month.`);
+      }
+      return scheduleFromProduct(userId, product, { source: 'allowance' }, client);
+    });
+    return { boost, allowance: await this.getAllowanceStatus(userId, tier) };
+  }
+
+  /**
+   * Schedules the boost paid for by a verified transaction. Called from
+   * Transaction.verify inside its DB transaction, so it runs on that client.
+   * @param {object} transaction - The completed transactions row.
+   * @param {object} client - The pg client of the surrounding transaction.
+   * @returns {Promise<object>} The scheduled boost.
+   */
+  static async fulfilTransaction(transaction, client) {
+    const product = await BoostProduct.getById(transaction.payable_item_id, client);
+    if (!product) {
+      throw new Error(`Boost product ${transaction.payable_item_id} not found.`);
+    }
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [transaction.user_id]);
+    return scheduleFromProduct(transaction.user_id, product, { source: 'payment', transactionId: transaction.id }, client);
+  }
+}
+
+module.exports = BoostService;
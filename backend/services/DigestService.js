@@ -0,0 +1,80 @@
+const EmailDigestSetting = require('../models/EmailDigestSetting');
+const { sendDigestEmail } = require('./emailService');
+const { FRONTEND_URL, API_URL } = require('../config/env');
+
+// Notification types a digest summarises, in the order they are listed
+const DIGEST_TYPES = ['match', 'message', 'super_like', 'like', 'gift'];
+
+// Due users are listed this many at a time, by user id
+const PAGE_SIZE = 500;
+
+const DIGEST_LABELS = {
+  match: ['new match', 'new matches'],
+  message: ['new message', 'new messages'],
+  super_like: ['new Super Like', 'new Super Likes'],
+  like: ['new like', 'new likes'],
+  gift: ['new gift', 'new gifts']
+};
+
+class DigestService {
+  static get DIGEST_TYPES() {
+    return DIGEST_TYPES;
+  }
+
+  /**
+   * Turns per-type counts into digest lines like "3 new matches".
+   * @param {object} counts - type -> count
+   * @returns {string[]}
+   */
+  static buildItems(counts) {
+    return DIGEST_TYPES
+      .filter(type => counts[type] > 0)
+      .map(type => {
+        const [singular, plural] = DIGEST_LABELS[type];
+        return `${counts[type]} ${counts[type] === 1 ? singular : plural}`;
+      });
+  }
+
+  static unsubscribeUrl(token) {
+    return `${API_URL}/api/notifications/digest/unsubscribe?token=${token}`;
+  }
+
+  /**
+   * Emails a digest to every user whose digest is due, who has unseen
+   * activity and who isn't in their quiet hours. Users in quiet hours are
+   * picked up by a later run. Each user is claimed before sending, so
+   * instances running this at the same time send each digest once; a failed
+   * send is retried by a later run.
+   * @param {Date} [now]
+   * @returns {Promise<number>} How many digests were sent.
+   */
+  static async sendDueDigests(now = new Date()) {
+    let sent = 0;
+    let afterUserId = 0;
+    for (;;) {
+      const due = await EmailDigestSetting.listDue(DIGEST_TYPES, { now, limit: PAGE_SIZE, afterUserId });
+      for (const candidate of due) {
+        const settings = await EmailDigestSetting.claim(candidate.user_id, now);
+        if (!settings) {
+          continue;
+        }
+        const result = await sendDigestEmail(candidate.email, {
+          frequency: candidate.frequency,
+          items: this.buildItems(candidate.counts),
+          appUrl: `${FRONTEND_URL}/notifications`,
+          unsubscribeUrl: this.unsubscribeUrl(settings.unsubscribe_token)
+        });
+        if (result.success) {
+          await EmailDigestSetting.markSent(candidate.user_id, now);
+          sent++;
+        }
+      }
+      if (due.length < PAGE_SIZE) {
+        return sent;
+      }
+      afterUserId = due[due.length - 1].user_id;
+    }
+  }
+}
+
+module.exports = DigestService;
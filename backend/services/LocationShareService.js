@@ -0,0 +1,99 @@
+const Message = require('../models/Message');
+const MessageLocation = require('../models/MessageLocation');
+const MessagingService = require('./MessagingService');
+const ApiError = require('../utils/ApiError');
+
+const EVENTS = {
+  LIVE_LOCATION_UPDATED: 'LIVE_LOCATION_UPDATED',
+  LIVE_LOCATION_ENDED: 'LIVE_LOCATION_ENDED'
+};
+
+const toNumber = (value) => (value === null ? null : parseFloat(value));
+
+/**
+ * Live locations: sent with MessagingService.send (location.live), moved by
+ * their sender over the WebSocket and ended by the sender, by deleting the
+ * message or when their time is up. Ending clears the last point.
+ */
+class LocationShareService {
+  static get EVENTS() {
+    return EVENTS;
+  }
+
+  /**
+   * Moves the sender's live location and shows the new point to the
+   * conversation. Updates are transient events: only the latest point
+   * matters and it is included when the messages are fetched.
+   * @param {number} userId - The sender.
+   * @param {object} point - { messageId, latitude, longitude, accuracy }
+   * @param {object} [wsController]
+   * @returns {Promise<object>} The new point.
+   * @throws {ApiError} 404 for an unknown message or a conversation the
+   *   sender can no longer see (which also stops the sharing), 410 once ended.
+   */
+  static async update(userId, { messageId, latitude, longitude, accuracy = null }, wsController) {
+    const message = await Message.getById(messageId);
+    if (!message || message.sender_id !== userId || message.message_type !== 'location') {
+      throw new ApiError(404, 'Live location not found');
+    }
+    if (!(await Message.getAccess(message.conversation_id, userId)).visible) {
+      const ended = await MessageLocation.endLive(messageId, userId);
+      if (ended) {
+        await this.announceEnded(wsController, ended);
+      }
+      throw new ApiError(404, 'Live location not found');
+    }
+
+    const location = await MessageLocation.updateLive(messageId, userId, { latitude, longitude, accuracyMeters: accuracy });
+    if (!location) {
+      throw new ApiError(410, 'Live location has ended');
+    }
+    const point = {
+      messageId,
+      conversationId: location.conversation_id,
+      latitude: toNumber(location.latitude),
+      longitude: toNumber(location.longitude),
+      accuracyMeters: toNumber(location.accuracy_meters),
+      liveUntil: location.live_until,
+      updatedAt: location.updated_at
+    };
+    if (wsController) {
+      const participants = await Message.getConversationParticipants(location.conversation_id);
+      participants.forEach(participantId => wsController.sendTransient(participantId, EVENTS.LIVE_LOCATION_UPDATED, point));
+    }
+    return point;
+  }
+
+  /**
+   * Stops the sender's live location early.
+   * @returns {Promise<{messageId: number, conversationId: number, endedAt: Date}>}
+   * @throws {ApiError} 404 if it isn't theirs or isn't running.
+   */
+  static async stop(userId, messageId, wsController) {
+    const location = await MessageLocation.endLive(messageId, userId);
+    if (!location) {
+      throw new ApiError(404, 'Live location not found or already ended');
+    }
+    return this.announceEnded(wsController, location);
+  }
+
+  /**
+   * Ends live locations whose time is up.
+   * @returns {Promise<number>} How many were ended.
+   */
+  static async endExpired(wsController) {
+    const ended = await MessageLocation.endExpired();
+    for (const location of ended) {
+      await this.announceEnded(wsController, location);
+    }
+    return ended.length;
+  }
+
+  static async announceEnded(wsController, location) {
+    const data = { messageId: location.message_id, conversationId: location.conversation_id, endedAt: location.ended_at };
+    await MessagingService.emitToConversation(wsController, location.conversation_id, EVENTS.LIVE_LOCATION_ENDED, data);
+    return data;
+  }
+}
+
+module.exports = LocationShareService;
@@ -0,0 +1,175 @@
+const Profile = require('../models/Profile');
+const ProfileBoost = require('../models/ProfileBoost');
+const UserPreference = require('../models/UserPreference');
+const AppSetting = require('../models/AppSetting');
+const ApiError = require('../utils/ApiError');
+const { sealCursor, openCursor } = require('../utils/cursor');
+
+const DEFAULT_PASS_COOLDOWN_DAYS = 30;
+
+// Used for any weight missing from the `ranking_weights` setting
+const DEFAULT_WEIGHTS = {
+  likedYou: 3,
+  boost: 2,
+  activity: 1.5,
+  completeness: 1,
+  preferenceFit: 1,
+  elite: 0.5
+};
+
+// Signal columns returned by Profile.getPotentialMatches, keyed by weight name
+const SIGNAL_COLUMNS = {
+  likedYou: 'liked_you',
+  boost: 'boost_multiplier',
+  activity: 'activity',
+  completeness: 'completeness',
+  preferenceFit: 'preference_fit',
+  elite: 'is_elite'
+};
+
+const MAX_PAGE_SIZE = 50;
+
+class MatchRankingService {
+  static get DEFAULT_WEIGHTS() {
+    return DEFAULT_WEIGHTS;
+  }
+
+  /**
+   * Reads the ranking weights, filling gaps from the defaults.
+   * @returns {Promise<object>} { likedYou, boost, activity, completeness, preferenceFit, elite }
+   */
+  static async getWeights() {
+    const stored = await AppSetting.get('ranking_weights', {});
+    return { ...DEFAULT_WEIGHTS, ...(stored || {}) };
+  }
+
+  /**
+   * Reads the per boost type scaling applied to boost multipliers.
+   * @returns {Promise<object>} e.g. { standard: 1, super: 2 }
+   */
+  static async getBoostTypeWeights() {
+    return (await AppSetting.get('boost_type_weights', {})) || {};
+  }
+
+  /**
+   * Reads how long passed profiles stay hidden. A stored null means forever.
+   * @returns {Promise<number|null>}
+   */
+  static async getPassCooldownDays() {
+    const value = await AppSetting.get('pass_cooldown_days', DEFAULT_PASS_COOLDOWN_DAYS);
+    return value === null ? null : parseInt(value, 10);
+  }
+
+  /**
+   * Cursors pin the reference time of the first page so that time-dependent
+   * signals (activity, boosts) score identically on every page. They are
+   * sealed because a score gives away whether that person liked the viewer.
+   */
+  static encodeCursor({ superLiked, score, userId, referenceTime }) {
+    return sealCursor({ p: superLiked, s: score, u: userId, t: referenceTime.toISOString() });
+  }
+
+  /**
+   * @throws {ApiError} 400 for a cursor this server didn't issue.
+   */
+  static decodeCursor(cursor) {
+    const { p, s, u, t } = openCursor(cursor) || {};
+    const referenceTime = new Date(t);
+    if (typeof p !== 'boolean' || !/^-?\d+(\.\d+)?$/.test(String(s)) || !Number.isInteger(u)
+      || Number.isNaN(referenceTime.getTime())) {
+      throw new ApiError(400, 'Invalid cursor');
+    }
+    return { superLiked: p, score: String(s), userId: u, referenceTime };
+  }
+
+  /**
+   * Builds the per-signal explanation of a candidate's score. The boost
+   * contribution is the amount the boost multiplier added on top of the
+   * base score of the other signals.
+   * @param {object} row - A row from Profile.getPotentialMatches.
+   * @param {object} weights - The weights the row was scored with.
+   * @returns {object} { score, baseScore, boostFactor, signals, weights, contributions }
+   */
+  static explain(row, weights) {
+    const round = (n) => Math.round(n * 1e6) / 1e6;
+    const signals = {};
+    const contributions = {};
+    let baseScore = 0;
+    for (const [name, column] of Object.entries(SIGNAL_COLUMNS)) {
+      const raw = row[column];
+      signals[name] = typeof raw === 'boolean' ? raw : parseFloat(raw);
+      if (name !== 'boost') {
+        contributions[name] = round(Number(signals[name]) * weights[name]);
+        baseScore += contributions[name];
+      }
+    }
+    const boostFactor = 1 + (signals.boost - 1) * weights.boost;
+    contributions.boost = round(baseScore * boostFactor - baseScore);
+    return {
+      score: parseFloat(row.score),
+      baseScore: round(baseScore),
+      boostFactor: round(boostFactor),
+      signals,
+      weights,
+      contributions
+    };
+  }
+
+  /**
+   * Returns one page of ranked suggestions for a user.
+   * @param {number} userId - The viewer.
+   * @param {object} [options]
+   * @param {number} [options.limit=20] - Page size (capped at 50).
+   * @param {string} [options.cursor] - The nextCursor from the previous page.
+   * @param {boolean} [options.explain=false] - Attach the score and its breakdown to each
+   *   profile. Only for admins: scores reveal who liked the viewer. Explained
+   *   requests don't count as boost impressions.
+   * @returns {Promise<{profiles: Array<object>, nextCursor: string|null}>}
+   */
+  static async getSuggestions(userId, { limit = 20, cursor = null, explain = false } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_PAGE_SIZE);
+    const position = cursor ? this.decodeCursor(cursor) : null;
+    const referenceTime = position ? position.referenceTime : new Date();
+
+    const [preferences, passCooldownDays, weights, boostTypeWeights] = await Promise.all([
+      UserPreference.getForUser(userId),
+      this.getPassCooldownDays(),
+      this.getWeights(),
+      this.getBoostTypeWeights()
+    ]);
+
+    const rows = await Profile.getPotentialMatches(userId, {
+      limit: pageSize,
+      preferences,
+      passCooldownDays,
+      weights,
+      boostTypeWeights,
+      referenceTime,
+      after: position
+    });
+
+    if (!explain) {
+      const boostedUserIds = rows.filter(row => parseFloat(row.boost_multiplier) > 1).map(row => row.user_id);
+      ProfileBoost.recordImpressions(boostedUserIds)
+        .catch(err => console.error('Failed to record boost impressions:', err));
+    }
+
+    const profiles = rows.map(row => {
+      const { liked_you, boost_multiplier, activity, completeness, preference_fit, score, ...profile } = row;
+      if (explain) {
+        profile.score = parseFloat(score);
+        profile.explain = this.explain(row, weights);
+      }
+      return profile;
+    });
+
+    const last = rows[rows.length - 1];
+    const nextCursor = rows.length === pageSize
+      ? this.encodeCursor({ superLiked: last.super_liked_you, score: last.score, userId: last.user_id, referenceTime })
+      : null;
+
+    return { profiles, nextCursor };
+  }
+}
+
+module.exports = MatchRankingService;
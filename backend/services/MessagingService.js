@@ -0,0 +1,387 @@
+const pool = require('../config/db');
+const Message = require('../models/Message');
+const MessageStatus = require('../models/MessageStatus');
+const MessageAttachment = require('../models/MessageAttachment');
+const MessageLocation = require('../models/MessageLocation');
+const ConversationParticipant = require('../models/ConversationParticipant');
+const MessageEdit = require('../models/MessageEdit');
+const AppSetting = require('../models/AppSetting');
+const Notification = require('../models/Notification');
+const NotificationService = require('./NotificationService');
+const ApiError = require('../utils/ApiError');
+
+const DAILY_MESSAGE_LIMIT = 10;
+const UNIQUE_VIOLATION = '23505';
+
+// Defaults for the message_edit_window_minutes and
+// message_delete_window_minutes settings
+const DEFAULT_EDIT_WINDOW_MINUTES = 15;
+const DEFAULT_DELETE_WINDOW_MINUTES = 60;
+
+// How long each live location option keeps sharing
+const LIVE_LOCATION_MINUTES = { '15m': 15, '1h': 60, '8h': 480 };
+
+const EVENTS = {
+  NEW_MESSAGE: 'NEW_MESSAGE',
+  MESSAGE_EDITED: 'MESSAGE_EDITED',
+  MESSAGE_DELETED: 'MESSAGE_DELETED',
+  MESSAGE_HIDDEN: 'MESSAGE_HIDDEN',
+  MESSAGE_REACTION: 'MESSAGE_REACTION',
+  MESSAGE_STATUS: 'MESSAGE_STATUS',
+  CONVERSATION_UPDATED: 'CONVERSATION_UPDATED'
+};
+
+// An ApiError with a machine-readable `code` (and any extra fields) for clients
+const codedError = (statusCode, message, code, extra = {}) => Object.assign(new ApiError(statusCode, message), { code }, extra);
+
+// Whether a message is still inside a window of `minutes` (null: no limit)
+const withinWindow = (message, minutes) =>
+  minutes === null || Date.now() - new Date(message.created_at).getTime() <= minutes * 60 * 1000;
+
+/**
+ * Sending and changing messages, shared by the REST endpoints and the
+ * WebSocket protocol so both apply the same rules and emit the same events.
+ * Methods throw ApiError for anything the client should be told about.
+ */
+class MessagingService {
+  static get EVENTS() {
+    return EVENTS;
+  }
+
+  static async emitToConversation(wsController, conversationId, type, data) {
+    if (!wsController) {
+      return;
+    }
+    const participants = await Message.getConversationParticipants(conversationId);
+    await Promise.all(participants.map(participantId => wsController.emitEvent(participantId, type, data)));
+  }
+
+  /**
+   * Tells each sender which of their messages reached a new delivery state.
+   * @param {Array<{message_id: number, sender_id: number, conversation_id: number}>} changed
+   */
+  static async emitStatusChanges(wsController, changed, { status, userId }) {
+    if (!wsController || changed.length === 0) {
+      return;
+    }
+    const groups = new Map();
+    for (const row of changed) {
+      const key = `${row.sender_id}:${row.conversation_id}`;
+      if (!groups.has(key)) {
+        groups.set(key, { senderId: row.sender_id, conversationId: row.conversation_id, messageIds: [] });
+      }
+      groups.get(key).messageIds.push(row.message_id);
+    }
+    await Promise.all(Array.from(groups.values()).map(({ senderId, conversationId, messageIds }) =>
+      wsController.emitEvent(senderId, EVENTS.MESSAGE_STATUS, { conversationId, messageIds, status, userId })
+    ));
+  }
+
+  /**
+   * Counts a message against a Basic user's daily allowance.
+   * @throws {ApiError} 403 with code MESSAGE_LIMIT_EXCEEDED once the limit is reached.
+   */
+  static async countBasicMessage(userId) {
+    // Update the counter and check the limit in a single atomic operation
+    const result = await pool.query(
+      `WITH updated AS (
+        UPDATE users 
+        SET 
+          message_count_today = CASE 
+            WHEN last_message_date::date = CURRENT_DATE 
+            THEN message_count_today + 1 
+            ELSE 1 
+          END,
+          last_message_date = NOW()
+        WHERE id = $1
+        RETURNING message_count_today
+      )
+      SELECT message_count_today >= $2 AS limit_reached
+      FROM updated`,
+      [userId, DAILY_MESSAGE_LIMIT]
+    );
+    if (!result.rows[0]) {
+      throw new ApiError(500, 'Failed to update message counter');
+    }
+    if (result.rows[0].limit_reached) {
+      throw codedError(403, 'Daily message limit reached for Basic users.', 'MESSAGE_LIMIT_EXCEEDED', {
+        limit: DAILY_MESSAGE_LIMIT,
+        remaining: 0
+      });
+    }
+  }
+
+  /**
+   * Gives back a message counted by countBasicMessage that was never stored.
+   */
+  static async releaseBasicMessage(userId) {
+    await pool.query(
+      `UPDATE users
+      SET message_count_today = message_count_today - 1
+      WHERE id = $1 AND last_message_date::date = CURRENT_DATE AND message_count_today > 0`,
+      [userId]
+    );
+  }
+
+  /**
+   * Loads a message the user can see, i.e. one in a conversation visible to them.
+   * @throws {ApiError} 404 otherwise.
+   */
+  static async getVisibleMessage(messageId, userId) {
+    const message = await Message.getById(messageId);
+    if (!message || !(await Message.getAccess(message.conversation_id, userId)).visible) {
+      throw new ApiError(404, 'Message not found or not authorized');
+    }
+    return message;
+  }
+
+  /**
+   * @throws {ApiError} 404 for a conversation hidden from the user, 403
+   *   (NOT_MATCHED) when they may see it but not write to it.
+   */
+  static async assertCanSend(conversationId, userId) {
+    const { visible, canSend } = await Message.getAccess(conversationId, userId);
+    if (!visible) {
+      throw new ApiError(404, 'Conversation not found');
+    }
+    if (!canSend) {
+      throw codedError(403, 'You can only message your matches.', 'NOT_MATCHED');
+    }
+  }
+
+  /**
+   * Sends a message. With a `clientMessageId` the send is idempotent: a
+   * retry returns the message stored the first time instead of a new one.
+   * With an `attachmentId` (from AttachmentService.upload) the message takes
+   * the attachment's kind as its type, and with a `location` (see
+   * validateLocationShare) it is a location message; either way `content`
+   * is an optional caption.
+   * @param {object} sender - The authenticated user (id, subscription_tier).
+   * @param {object} input - { conversationId, content, messageType, parentMessageId, clientMessageId, attachmentId, location }
+   * @param {object} [wsController] - Used for the NEW_MESSAGE events.
+   * @returns {Promise<{message: object, duplicate: boolean}>}
+   * @throws {ApiError} 400 for a location type without a location, 404 for
+   *   a hidden conversation or unknown attachment, 403 when not matched
+   *   (NOT_MATCHED) or over the Basic daily limit (MESSAGE_LIMIT_EXCEEDED).
+   */
+  static async send(sender, { conversationId, content, messageType = 'text', parentMessageId = null, clientMessageId = null, attachmentId = null, location = null }, wsController) {
+    if (clientMessageId) {
+      const existing = await Message.findByClientMessageId(sender.id, clientMessageId);
+      if (existing) {
+        return { message: existing, duplicate: true };
+      }
+    }
+
+    await this.assertCanSend(conversationId, sender.id);
+    if (attachmentId) {
+      const attachment = await MessageAttachment.findUnsent(attachmentId, sender.id, conversationId);
+      if (!attachment) {
+        throw new ApiError(404, 'Attachment not found');
+      }
+      messageType = attachment.kind;
+    }
+    let locationRecord = null;
+    if (location) {
+      messageType = 'location';
+      locationRecord = {
+        latitude: location.latitude,
+        longitude: location.longitude,
+        accuracyMeters: location.accuracy ?? null,
+        label: location.label || null,
+        liveMinutes: location.live ? LIVE_LOCATION_MINUTES[location.live] : null
+      };
+    } else if (messageType === 'location') {
+      throw new ApiError(400, 'A location message needs a location');
+    }
+    if (sender.subscription_tier === 'Basic') {
+      await this.countBasicMessage(sender.id);
+    }
+
+    let message;
+    try {
+      message = await Message.create({
+        senderId: sender.id,
+        conversationId,
+        content,
+        messageType,
+        parentMessageId,
+        clientMessageId,
+        attachmentId,
+        location: locationRecord
+      });
+    } catch (error) {
+      // Nothing new was stored, so it doesn't count towards the limit
+      if (sender.subscription_tier === 'Basic') {
+        await this.releaseBasicMessage(sender.id);
+      }
+      if (error.code === 'ATTACHMENT_NOT_FOUND') {
+        // Sent by a concurrent request in the meantime
+        throw new ApiError(404, 'Attachment not found');
+      }
+      if (error.code !== UNIQUE_VIOLATION || !clientMessageId) {
+        throw error;
+      }
+      // A concurrent retry with the same id got there first
+      const existing = await Message.findByClientMessageId(sender.id, clientMessageId);
+      if (!existing) {
+        throw codedError(409, 'A message with this id was already sent and has been deleted.', 'DUPLICATE_MESSAGE');
+      }
+      return { message: existing, duplicate: true };
+    }
+
+    const participants = await Message.getConversationParticipants(conversationId);
+    if (wsController) {
+      participants.forEach(participantId => {
+        wsController.emitEvent(participantId, EVENTS.NEW_MESSAGE, message);
+      });
+    }
+    // Muting keeps the chat itself in sync (NEW_MESSAGE) but sends no
+    // notification, so nothing goes out over the WebSocket or by email
+    const muted = await ConversationParticipant.getMutedUserIds(conversationId);
+    participants
+      .filter(participantId => participantId !== sender.id && !muted.includes(participantId))
+      .forEach(participantId => {
+        NotificationService.notify(wsController, participantId, 'message', {
+          conversationId: message.conversation_id,
+          messageId: message.id,
+          fromUserId: sender.id
+        });
+      });
+
+    await Message.markAsRead(conversationId, sender.id, message.id);
+    return { message, duplicate: false };
+  }
+
+  /**
+   * Edits the sender's message within the edit window. The replaced content
+   * is kept in its history (see getHistory).
+   * @throws {ApiError} 404 unless it is the user's visible message, 403
+   *   (EDIT_WINDOW_EXPIRED) once the window has passed.
+   */
+  static async edit(userId, messageId, content, wsController) {
+    const existing = await this.getVisibleMessage(messageId, userId);
+    if (existing.sender_id !== userId) {
+      throw new ApiError(404, 'Message not found or not authorized');
+    }
+    const windowMinutes = await AppSetting.get('message_edit_window_minutes', DEFAULT_EDIT_WINDOW_MINUTES);
+    if (!withinWindow(existing, windowMinutes)) {
+      throw codedError(403, `Messages can only be edited within ${windowMinutes} minutes of sending.`, 'EDIT_WINDOW_EXPIRED');
+    }
+    const message = await Message.edit(messageId, content, userId);
+    if (!message) {
+      throw new ApiError(404, 'Message not found or not authorized');
+    }
+    await this.emitToConversation(wsController, message.conversation_id, EVENTS.MESSAGE_EDITED, message);
+    return message;
+  }
+
+  /**
+   * Deletes a message. 'everyone' removes the sender's own message for the
+   * whole conversation within the delete window; 'me' hides any message
+   * from the user alone, and only their own devices are told.
+   * @param {string} [scope='everyone'] - 'me' or 'everyone'.
+   * @returns {Promise<{messageId: number, conversationId: number, scope: string}>}
+   * @throws {ApiError} 404 for a message the user can't see (or, for
+   *   everyone, didn't send), 403 (DELETE_WINDOW_EXPIRED) once the window has passed.
+   */
+  static async delete(userId, messageId, wsController, scope = 'everyone') {
+    const message = await this.getVisibleMessage(messageId, userId);
+    const { conversation_id: conversationId, message_type: messageType } = message;
+    const result = { messageId, conversationId, scope };
+
+    if (scope === 'me') {
+      await Message.hideForUser(messageId, userId);
+      if (wsController) {
+        await wsController.emitEvent(userId, EVENTS.MESSAGE_HIDDEN, result);
+      }
+      return result;
+    }
+
+    if (message.sender_id !== userId) {
+      throw new ApiError(404, 'Message not found or not authorized');
+    }
+    const windowMinutes = await AppSetting.get('message_delete_window_minutes', DEFAULT_DELETE_WINDOW_MINUTES);
+    if (!withinWindow(message, windowMinutes)) {
+      throw codedError(403, `Messages can only be deleted for everyone within ${windowMinutes} minutes of sending.`, 'DELETE_WINDOW_EXPIRED');
+    }
+    if (!(await Message.delete(messageId, userId))) {
+      throw new ApiError(404, 'Message not found or not authorized');
+    }
+    // Deleting a live location stops sharing it
+    if (messageType === 'location') {
+      await MessageLocation.endLive(messageId, userId);
+    }
+    await this.emitToConversation(wsController, conversationId, EVENTS.MESSAGE_DELETED, result);
+    return result;
+  }
+
+  /**
+   * A message's earlier versions for a participant of its conversation.
+   * @returns {Promise<{message: object, edits: Array<{previous_content: string, edited_at: Date}>}>}
+   * @throws {ApiError} 404 for a deleted message or one the user can't see.
+   */
+  static async getHistory(userId, messageId) {
+    const message = await this.getVisibleMessage(messageId, userId);
+    return { message, edits: await MessageEdit.listForMessage(messageId) };
+  }
+
+  /**
+   * Adds or removes the user's reaction. A user has at most one reaction per
+   * message; adding another replaces it.
+   */
+  static async react(userId, messageId, emoji, action, wsController) {
+    const { conversation_id: conversationId } = await this.getVisibleMessage(messageId, userId);
+    if (action === 'add') {
+      if (!(await Message.addReaction(messageId, userId, emoji))) {
+        throw new ApiError(400, 'Failed to add reaction');
+      }
+    } else {
+      await Message.removeReaction(messageId, userId, emoji);
+    }
+    const reaction = { messageId, conversationId, userId, emoji, action };
+    await this.emitToConversation(wsController, conversationId, EVENTS.MESSAGE_REACTION, reaction);
+    return reaction;
+  }
+
+  /**
+   * Records that the user's client has received messages.
+   * @returns {Promise<{messageIds: number[]}>} The messages that became delivered.
+   */
+  static async markDelivered(userId, messageIds, wsController) {
+    const changed = await MessageStatus.markDelivered(userId, messageIds);
+    await this.emitStatusChanges(wsController, changed, { status: 'delivered', userId });
+    return { messageIds: changed.map(row => row.message_id) };
+  }
+
+  /**
+   * Mutes, archives or pins a conversation for the user (see
+   * ConversationParticipant.updateSettings) and syncs their other devices.
+   * @returns {Promise<object>} The user's new settings for the conversation.
+   * @throws {ApiError} 404 for a conversation hidden from the user.
+   */
+  static async updateConversationSettings(userId, conversationId, changes, wsController) {
+    if (!(await Message.getAccess(conversationId, userId)).visible) {
+      throw new ApiError(404, 'Conversation not found');
+    }
+    const settings = await ConversationParticipant.updateSettings(conversationId, userId, changes);
+    if (wsController) {
+      await wsController.emitEvent(userId, EVENTS.CONVERSATION_UPDATED, settings);
+    }
+    return settings;
+  }
+
+  /**
+   * Marks a conversation as read up to `messageId` (or entirely).
+   * @returns {Promise<{conversationId: number, messageIds: number[]}>} The messages that became read.
+   */
+  static async markRead(userId, conversationId, messageId = null, wsController) {
+    await Message.markAsRead(conversationId, userId, messageId);
+    // What they've read in the chat no longer counts as unseen, e.g. in digests
+    await Notification.markConversationRead(userId, conversationId, messageId);
+    const changed = await MessageStatus.markRead(userId, conversationId, messageId);
+    await this.emitStatusChanges(wsController, changed, { status: 'read', userId });
+    return { conversationId, messageIds: changed.map(row => row.message_id) };
+  }
+}
+
+module.exports = MessagingService;
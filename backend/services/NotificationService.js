@@ -0,0 +1,136 @@
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const User = require('../models/User');
+const { sendNotificationEmail } = require('./emailService');
+const { FRONTEND_URL } = require('../config/env');
+
+// Every notification type with the channels it uses until a user says otherwise.
+// `digest` decides whether unread ones are summarised in the email digest
+const TYPES = {
+  like: { in_app: true, websocket: true, email: false, digest: true },
+  super_like: { in_app: true, websocket: true, email: false, digest: true },
+  match: { in_app: true, websocket: true, email: true, digest: true },
+  message: { in_app: true, websocket: true, email: false, digest: true },
+  gift: { in_app: true, websocket: true, email: true, digest: true },
+  boost_expired: { in_app: true, websocket: true, email: false, digest: false },
+  subscription_expiring: { in_app: true, websocket: true, email: true, digest: false },
+  subscription_expired: { in_app: true, websocket: true, email: true, digest: false },
+  moderation: { in_app: true, websocket: true, email: true, digest: false }
+};
+
+const CHANNELS = ['in_app', 'websocket', 'email', 'digest'];
+
+// Wording for the email channel; in-app clients render from type and payload
+const describe = (type, payload) => {
+  const subscription = payload.tier ? `${payload.tier} subscription` : 'subscription';
+  switch (type) {
+    case 'like':
+      return { title: 'Someone likes you', body: 'Someone new liked your profile.' };
+    case 'super_like':
+      return { title: 'You got a Super Like!', body: 'Someone super liked your profile.' };
+    case 'match':
+      return { title: "It's a match!", body: 'You have a new match. Say hello!' };
+    case 'message':
+      return { title: 'New message', body: 'You have a new message waiting.' };
+    case 'gift':
+      return { title: 'You received a gift', body: 'Someone sent you a gift.' };
+    case 'boost_expired':
+      return { title: 'Your boost has ended', body: 'Your profile boost has finished.' };
+    case 'subscription_expiring':
+      return { title: 'Your subscription is ending soon', body: `Your ${subscription} ends soon.` };
+    case 'subscription_expired':
+      return { title: 'Your subscription has ended', body: `Your ${subscription} has ended.` };
+    case 'moderation':
+      return { title: 'An update from our moderation team', body: 'There is an update about your account or a report you made.' };
+    default:
+      return { title: 'New notification', body: 'You have a new notification.' };
+  }
+};
+
+class NotificationService {
+  static get TYPES() {
+    return Object.keys(TYPES);
+  }
+
+  static get CHANNELS() {
+    return CHANNELS;
+  }
+
+  /**
+   * Returns the channel settings for every notification type, with the
+   * user's overrides applied to the defaults.
+   * @param {number} userId
+   * @returns {Promise<object>} type -> { in_app, websocket, email, digest }
+   */
+  static async getPreferences(userId) {
+    const overrides = await NotificationPreference.listForUser(userId);
+    const preferences = {};
+    for (const [type, defaults] of Object.entries(TYPES)) {
+      preferences[type] = { ...defaults };
+    }
+    for (const row of overrides) {
+      if (preferences[row.type]) {
+        preferences[row.type] = { in_app: row.in_app, websocket: row.websocket, email: row.email, digest: row.digest };
+      }
+    }
+    return preferences;
+  }
+
+  /**
+   * Applies partial channel changes, e.g. { match: { email: false } }.
+   * @param {number} userId
+   * @param {object} changes - Validated by validateNotificationPreferences.
+   * @returns {Promise<object>} The full preferences after the change.
+   */
+  static async updatePreferences(userId, changes) {
+    const current = await this.getPreferences(userId);
+    for (const [type, channels] of Object.entries(changes)) {
+      await NotificationPreference.upsert(userId, type, { ...current[type], ...channels });
+    }
+    return this.getPreferences(userId);
+  }
+
+  /**
+   * Delivers a notification over each channel the user has enabled for its
+   * type: stored in the inbox, pushed as a `NOTIFICATION` WebSocket event
+   * and/or emailed. Failures are logged, never thrown, so callers can fire
+   * and forget once their own work has succeeded.
+   * @param {object} wsController - The WebSocketController (may be undefined).
+   * @param {number} userId - The recipient.
+   * @param {string} type - One of TYPES.
+   * @param {object} [payload] - Type-specific details shown to the recipient.
+   * @returns {Promise<object|null>} The stored notification, if the in-app channel is on.
+   */
+  static async notify(wsController, userId, type, payload = {}) {
+    if (!TYPES[type]) {
+      console.error(`Unknown notification type '${type}'`);
+      return null;
+    }
+    try {
+      const override = await NotificationPreference.findForUserAndType(userId, type);
+      const channels = override || TYPES[type];
+
+      const notification = channels.in_app
+        ? await Notification.create(userId, type, payload)
+        : { id: null, user_id: userId, type, payload, is_read: false, created_at: new Date().toISOString() };
+
+      if (channels.websocket && wsController) {
+        await wsController.emitEvent(userId, 'NOTIFICATION', notification);
+      }
+
+      if (channels.email) {
+        const user = await User.findById(userId);
+        if (user && user.email) {
+          await sendNotificationEmail(user.email, describe(type, payload), `${FRONTEND_URL}/notifications`);
+        }
+      }
+
+      return channels.in_app ? notification : null;
+    } catch (error) {
+      console.error(`Failed to deliver ${type} notification to user ${userId}:`, error);
+      return null;
+    }
+  }
+}
+
+module.exports = NotificationService;
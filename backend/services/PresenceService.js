@@ -0,0 +1,138 @@
+const Message = require('../models/Message');
+const UserPresence = require('../models/UserPresence');
+const MessagingService = require('./MessagingService');
+
+const EVENTS = {
+  PRESENCE: 'PRESENCE',
+  TYPING: 'TYPING'
+};
+
+// Typing stops by itself if the client doesn't renew it (or say stop) in time
+const TYPING_TIMEOUT_MS = 8000;
+
+// `${userId}:${conversationId}` -> timeout that sends the automatic stop
+const typingTimers = new Map();
+
+/**
+ * Online/offline and last-seen presence plus typing indicators. Only a
+ * user's contacts (matches and open conversation partners) hear about their
+ * presence. Both go out as transient events: they carry no `seq` because a
+ * client that misses one has nothing to refetch.
+ */
+class PresenceService {
+  static get EVENTS() {
+    return EVENTS;
+  }
+
+  static get TYPING_TIMEOUT_MS() {
+    return TYPING_TIMEOUT_MS;
+  }
+
+  /**
+   * How a user's presence looks to others. Incognito users always look
+   * offline and never show a last seen time.
+   * @param {object} row - A UserPresence.getVisibility row.
+   * @param {boolean} connected - Whether the user has an open connection.
+   * @returns {{userId: number, online: boolean, lastSeenAt: Date|null}}
+   */
+  static describe(row, connected) {
+    const online = connected && !row.appears_offline;
+    const showLastSeen = !online && !row.appears_offline && !row.hides_last_seen;
+    return { userId: row.id, online, lastSeenAt: showLastSeen ? row.last_seen_at : null };
+  }
+
+  /**
+   * Tells the user's connected contacts how the user looks right now. Call
+   * it when their first connection opens, their last one closes, or a
+   * setting that affects presence changes.
+   * @param {object} wsController - The WebSocketController instance.
+   * @param {number} userId
+   */
+  static async broadcast(wsController, userId) {
+    const [[row], contactIds] = await Promise.all([
+      UserPresence.getVisibility([userId]),
+      UserPresence.listContactIds(userId)
+    ]);
+    if (!row) {
+      return;
+    }
+    const presence = this.describe(row, wsController.isConnected(userId));
+    contactIds
+      .filter(contactId => wsController.isConnected(contactId))
+      .forEach(contactId => wsController.sendTransient(contactId, EVENTS.PRESENCE, presence));
+  }
+
+  static async userConnected(wsController, userId) {
+    await this.broadcast(wsController, userId);
+  }
+
+  /**
+   * Records the last seen time, ends any typing the user left running and
+   * tells their contacts they went offline.
+   */
+  static async userDisconnected(wsController, userId) {
+    for (const key of Array.from(typingTimers.keys())) {
+      const [typingUserId, conversationId] = key.split(':').map(Number);
+      if (typingUserId === userId) {
+        await this.setTyping(wsController, userId, conversationId, false, { checkAccess: false });
+      }
+    }
+    await UserPresence.recordLastSeen(userId);
+    await this.broadcast(wsController, userId);
+  }
+
+  /**
+   * Presence of the requested users, leaving out anyone who isn't one of the
+   * viewer's contacts.
+   * @param {object} wsController - The WebSocketController instance.
+   * @param {number} viewerId
+   * @param {number[]} userIds
+   * @returns {Promise<Array<{userId: number, online: boolean, lastSeenAt: Date|null}>>}
+   */
+  static async getPresence(wsController, viewerId, userIds) {
+    const contactIds = new Set(await UserPresence.listContactIds(viewerId));
+    const rows = await UserPresence.getVisibility(userIds.filter(id => contactIds.has(id)));
+    return rows.map(row => this.describe(row, Boolean(wsController) && wsController.isConnected(row.id)));
+  }
+
+  /**
+   * Starts or stops the user's typing indicator in a conversation and tells
+   * the other participants. A start has to be repeated within
+   * TYPING_TIMEOUT_MS to keep the indicator on.
+   * @param {object} wsController - The WebSocketController instance.
+   * @param {number} userId
+   * @param {number} conversationId
+   * @param {boolean} isTyping
+   * @returns {Promise<{conversationId: number, isTyping: boolean, expiresInMs: number|null}>}
+   * @throws {ApiError} Same as MessagingService.assertCanSend.
+   */
+  static async setTyping(wsController, userId, conversationId, isTyping, { checkAccess = true } = {}) {
+    if (checkAccess) {
+      await MessagingService.assertCanSend(conversationId, userId);
+    }
+
+    const key = `${userId}:${conversationId}`;
+    const wasTyping = typingTimers.has(key);
+    clearTimeout(typingTimers.get(key));
+    typingTimers.delete(key);
+    if (isTyping) {
+      const timer = setTimeout(() => {
+        this.setTyping(wsController, userId, conversationId, false, { checkAccess: false })
+          .catch(error => console.error(`Failed to stop typing for User ${userId}:`, error));
+      }, TYPING_TIMEOUT_MS);
+      timer.unref();
+      typingTimers.set(key, timer);
+    }
+
+    // Renewals and repeated stops don't need to reach the other side again
+    if (isTyping !== wasTyping) {
+      const participants = await Message.getConversationParticipants(conversationId);
+      participants
+        .filter(participantId => participantId !== userId)
+        .forEach(participantId => wsController.sendTransient(participantId, EVENTS.TYPING, { conversationId, userId, isTyping }));
+    }
+    return { conversationId, isTyping, expiresInMs: isTyping ? TYPING_TIMEOUT_MS : null };
+  }
+}
+
+module.exports = PresenceService;
@@ -0,0 +1,125 @@
+const Profile = require('../models/Profile');
+
+const EVENTS = {
+  MATCH_CREATED: 'MATCH_CREATED',
+  LIKE_RECEIVED: 'LIKE_RECEIVED',
+  UNMATCHED: 'UNMATCHED',
+  GIFT_RECEIVED: 'GIFT_RECEIVED'
+};
+
+const toPublicUser = (summary) => (summary
+  ? { id: summary.id, firstName: summary.first_name, profilePicture: summary.profile_picture }
+  : null);
+
+/**
+ * Builds and sends the real-time events for matching activity. Every method
+ * is a no-op without a WebSocketController and never throws, so callers can
+ * fire and forget after their own work has succeeded.
+ */
+class RealtimeEventService {
+  static get EVENTS() {
+    return EVENTS;
+  }
+
+  /**
+   * Tells both users about a new match, each with the other's details.
+   * @param {object} wsController - The WebSocketController (may be undefined).
+   * @param {object} match - The matches row.
+   */
+  static async matchCreated(wsController, match) {
+    if (!wsController || !match) {
+      return;
+    }
+    try {
+      const summaries = await Profile.getSummaries([match.user1_id, match.user2_id]);
+      const payload = (otherUserId) => ({
+        matchId: match.id,
+        matchedAt: match.created_at,
+        user: toPublicUser(summaries.get(otherUserId))
+      });
+      await Promise.all([
+        wsController.emitEvent(match.user1_id, EVENTS.MATCH_CREATED, payload(match.user2_id)),
+        wsController.emitEvent(match.user2_id, EVENTS.MATCH_CREATED, payload(match.user1_id))
+      ]);
+    } catch (error) {
+      console.error('Failed to send MATCH_CREATED events:', error);
+    }
+  }
+
+  /**
+   * Tells a user they were liked. The liker is only identified when the
+   * recipient could see them in Likes You anyway: super likes, or a
+   * Premium/Elite recipient. Incognito likers are never identified.
+   * @param {object} wsController - The WebSocketController (may be undefined).
+   * @param {object} like
+   * @param {number} like.likerId
+   * @param {number} like.recipientId
+   * @param {string} like.recipientTier - 'Basic', 'Premium' or 'Elite'.
+   * @param {boolean} [like.isSuper=false]
+   */
+  static async likeReceived(wsController, { likerId, recipientId, recipientTier, isSuper = false }) {
+    if (!wsController) {
+      return;
+    }
+    try {
+      const liker = (await Profile.getSummaries([likerId])).get(likerId);
+      const revealed = Boolean(liker) && !liker.is_incognito && (isSuper || recipientTier !== 'Basic');
+      await wsController.emitEvent(recipientId, EVENTS.LIKE_RECEIVED, {
+        isSuper,
+        redacted: !revealed,
+        from: revealed ? toPublicUser(liker) : null
+      });
+    } catch (error) {
+      console.error('Failed to send LIKE_RECEIVED event:', error);
+    }
+  }
+
+  /**
+   * Tells both users that a match was removed.
+   * @param {object} wsController - The WebSocketController (may be undefined).
+   * @param {object} match - The deleted matches row.
+   * @param {number} unmatchedBy - The user who unmatched.
+   */
+  static async unmatched(wsController, match, unmatchedBy) {
+    if (!wsController || !match) {
+      return;
+    }
+    const payload = (otherUserId) => ({
+      matchId: match.id,
+      userId: otherUserId,
+      unmatchedByMe: otherUserId !== unmatchedBy
+    });
+    await Promise.all([
+      wsController.emitEvent(match.user1_id, EVENTS.UNMATCHED, payload(match.user2_id)),
+      wsController.emitEvent(match.user2_id, EVENTS.UNMATCHED, payload(match.user1_id))
+    ]);
+  }
+
+  /**
+   * Tells the recipient about a gift. Anonymous gifts don't identify the sender.
+   * @param {object} wsController - The WebSocketController (may be undefined).
+   * @param {object} userGift - The user_gifts row.
+   */
+  static async giftReceived(wsController, userGift) {
+    if (!wsController || !userGift) {
+      return;
+    }
+    try {
+      const sender = userGift.is_anonymous
+        ? null
+        : (await Profile.getSummaries([userGift.sender_id])).get(userGift.sender_id);
+      await wsController.emitEvent(userGift.recipient_id, EVENTS.GIFT_RECEIVED, {
+        giftId: userGift.id,
+        giftItemId: userGift.gift_item_id,
+        message: userGift.message,
+        isAnonymous: userGift.is_anonymous,
+        sentAt: userGift.created_at,
+        from: toPublicUser(sender)
+      });
+    } catch (error) {
+      console.error('Failed to send GIFT_RECEIVED event:', error);
+    }
+  }
+}
+
+module.exports = RealtimeEventService;
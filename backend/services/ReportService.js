@@ -0,0 +1,96 @@
+const User = require('../models/User');
+const ReportedContent = require('../models/ReportedContent');
+const UserBlock = require('../models/UserBlock');
+const NotificationService = require('./NotificationService');
+const ApiError = require('../utils/ApiError');
+const withUserLock = require('../utils/withUserLock');
+
+const MAX_REPORTS_PER_DAY = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReportService {
+  static get MAX_REPORTS_PER_DAY() {
+    return MAX_REPORTS_PER_DAY;
+  }
+
+  /**
+   * Tells the people involved how moderators dealt with a report: the
+   * reporter once it is resolved or dismissed, the reported user when an
+   * action is taken against them. The reported user is only given the
+   * report's category as the reason, never the moderator's internal notes.
+   * @param {object} [wsController]
+   * @param {object} report - The reported_content row.
+   * @param {object} outcome
+   * @param {string} outcome.status - The report's new status.
+   * @param {string} [outcome.action] - 'warning', 'suspend' or 'ban', if any.
+   */
+  static notifyOutcome(wsController, report, { status, action = null }) {
+    if (status === 'resolved' || status === 'dismissed') {
+      NotificationService.notify(wsController, report.reporter_id, 'moderation', {
+        kind: 'report_outcome',
+        reportId: report.id,
+        status
+      });
+    }
+    if (['warning', 'suspend', 'ban'].includes(action)) {
+      NotificationService.notify(wsController, report.reported_user_id, 'moderation', {
+        kind: 'report_action',
+        action,
+        reason: report.category || null
+      });
+    }
+  }
+
+  /**
+   * Files a report for moderators. Reports run under the reporter's lock so
+   * the daily limit and the duplicate check hold under concurrent requests.
+   * @param {number} reporterId
+   * @param {object} report - Validated input (see validateReport).
+   * @param {number} report.reportedUserId
+   * @param {string} report.type - 'profile', 'photo', 'message' or 'activity'.
+   * @param {number} [report.contentId] - The photo or message reported. Defaults
+   *   to the reported user for profile reports.
+   * @param {string} report.category - See validateReport for the categories.
+   * @param {string} [report.details] - The reporter's own description.
+   * @param {boolean} [report.block=false] - Also block the reported user.
+   * @returns {Promise<{report: object, block: object|null}>} The report and,
+   *   when blocking, the result of UserBlock.block.
+   * @throws {ApiError} 400 for self-reports, 404 for an unknown user or content
+   *   that isn't theirs, 409 for a duplicate, 429 over the daily limit.
+   */
+  static async submit(reporterId, { reportedUserId, type, contentId = null, category, details = '', block = false }) {
+    if (reportedUserId === reporterId) {
+      throw new ApiError(400, 'You cannot report yourself.');
+    }
+    if (!(await User.findById(reportedUserId))) {
+      throw new ApiError(404, 'User not found.');
+    }
+    const target = {
+      reporterId,
+      reportedUserId,
+      type,
+      contentId: type === 'profile' ? reportedUserId : contentId
+    };
+    if (!(await ReportedContent.contentBelongsTo({ ...target, contentId }))) {
+      throw new ApiError(404, `Reported ${type} not found for this user.`);
+    }
+
+    const report = await withUserLock(reporterId, async (client) => {
+      const since = new Date(Date.now() - DAY_MS);
+      if (await ReportedContent.countByReporterSince(reporterId, since, client) >= MAX_REPORTS_PER_DAY) {
+        throw new ApiError(429, `You can file at most ${MAX_REPORTS_PER_DAY} reports per day.`);
+      }
+      if (await ReportedContent.findOpenDuplicate(target, client)) {
+        throw new ApiError(409, 'You have already reported this and it is awaiting review.');
+      }
+      return ReportedContent.create({ ...target, category, reason: details }, client);
+    });
+
+    return {
+      report,
+      block: block ? await UserBlock.block(reporterId, reportedUserId) : null
+    };
+  }
+}
+
+module.exports = ReportService;
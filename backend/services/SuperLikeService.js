@@ -0,0 +1,129 @@
+const Like = require('../models/Like');
+const SuperLikeCredit = require('../models/SuperLikeCredit');
+const UserActivity = require('../models/UserActivity');
+const UserBalance = require('../models/UserBalance');
+const AppSetting = require('../models/AppSetting');
+const ApiError = require('../utils/ApiError');
+const withUserLock = require('../utils/withUserLock');
+
+// Used when the corresponding settings are missing
+const DEFAULT_DAILY_ALLOWANCE = { Basic: 1, Premium: 3, Elite: 5 };
+const DEFAULT_PRICE = { price: 0.99, currency: 'USD' };
+
+class SuperLikeService {
+  /**
+   * Reads how many free super likes a subscription tier gets per day.
+   * @param {string} tier - 'Basic', 'Premium' or 'Elite'.
+   * @returns {Promise<number>}
+   */
+  static async getDailyAllowance(tier) {
+    const allowances = (await AppSetting.get('super_like_daily_allowance', DEFAULT_DAILY_ALLOWANCE)) || {};
+    return parseInt(allowances[tier], 10) || 0;
+  }
+
+  /**
+   * Reads the price of one extra super like.
+   * @returns {Promise<{price: number, currency: string}>}
+   */
+  static async getPrice() {
+    return (await AppSetting.get('super_like_price', DEFAULT_PRICE)) || DEFAULT_PRICE;
+  }
+
+  /**
+   * Summarises a user's super likes for today. Free super likes are spent
+   * before purchased credits, so `used` beyond the allowance came from credits.
+   * @param {number} userId - The ID of the user.
+   * @param {string} tier - The user's subscription tier.
+   * @returns {Promise<{allowance: number, used: number, remaining: number, credits: number, resetsAt: Date}>}
+   */
+  static async getStatus(userId, tier) {
+    const [allowance, used, credits] = await Promise.all([
+      this.getDailyAllowance(tier),
+      UserActivity.getSuperLikeCount(userId),
+      SuperLikeCredit.getBalance(userId)
+    ]);
+    const now = new Date();
+    return {
+      allowance,
+      used,
+      remaining: Math.max(allowance - used, 0),
+      credits,
+      resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+    };
+  }
+
+  /**
+   * Sends a super like, spending today's allowance first and purchased
+   * credits after that. A plain like already sent is upgraded.
+   * @param {number} userId - The liker.
+   * @param {string} tier - The liker's subscription tier.
+   * @param {number} likedUserId - The recipient.
+   * @returns {Promise<{like: object, source: string, wasLiked: boolean}>} `source` is
+   *   'allowance' or 'credit'; `wasLiked` is true when an existing like was upgraded.
+   * @throws {ApiError} 409 if already super liked, 403 once allowance and credits are used up.
+   */
+  static async send(userId, tier, likedUserId) {
+    const allowance = await this.getDailyAllowance(tier);
+    return withUserLock(userId, async (client) => {
+      const existing = await client.query(
+        'SELECT is_super FROM likes WHERE user_id = $1 AND liked_user_id = $2',
+        [userId, likedUserId]
+      );
+      if (existing.rows.length > 0 && existing.rows[0].is_super) {
+        throw new ApiError(409, 'You have already super liked this profile.');
+      }
+
+      let source = 'allowance';
+      const used = await UserActivity.getSuperLikeCount(userId, client);
+      if (used >= allowance) {
+        if (!(await SuperLikeCredit.consume(userId, client))) {
+          throw new ApiError(403, `You have used all ${allowance} free super likes for today.`);
+        }
+        source = 'credit';
+      }
+
+      const like = await Like.createSuperLike(userId, likedUserId, client);
+      await UserActivity.incrementSuperLikeCount(userId, client);
+      return { like, source, wasLiked: existing.rows.length > 0 };
+    });
+  }
+
+  /**
+   * Buys extra super likes with the user's site balance. The debit, the
+   * completed transaction record and the credits are committed together.
+   * @param {number} userId - The buyer.
+   * @param {number} quantity - How many super likes to buy.
+   * @returns {Promise<{credits: number, transaction: object}>}
+   * @throws {ApiError} 402 for insufficient balance.
+   */
+  static async purchaseWithBalance(userId, quantity) {
+    const { price, currency } = await this.getPrice();
+    const amount = Math.round(price * quantity * 100) / 100;
+    return withUserLock(userId, async (client) => {
+      try {
+        await UserBalance.debit(userId, amount, client);
+      } catch (error) {
+        if (error.message === 'Insufficient balance.') {
+          throw new ApiError(402, 'Insufficient balance.');
+        }
+        throw error;
+      }
+
+      const transactionResult = await client.query(
+        `INSERT INTO transactions (
+           user_id, payment_country_id, payment_method_type_id, amount, currency,
+           item_category, payable_item_id, status, description,
+           user_provided_reference, admin_notes, type
+         )
+         VALUES ($1, NULL, NULL, $2, $3, 'super_like', NULL, 'completed', $4, 'PAID_FROM_BALANCE', 'Paid from account balance', 'debit')
+         RETURNING *`,
+        [userId, amount, currency, `Super like purchase: ${quantity} (from balance)`]
+      );
+
+      const credits = await SuperLikeCredit.add(userId, quantity, client);
+      return { credits, transaction: transactionResult.rows[0] };
+    });
+  }
+}
+
+module.exports = SuperLikeService;
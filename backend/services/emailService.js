@@ -3,13 +3,15 @@ const { templates } = require('../config/email');
 const emailConfig = require('../config/email');
 const logger = require('../utils/logger');
 
-// Create a transporter object using Gmail SMTP
+// Create a transporter object. EMAIL_SERVICE selects a well-known provider
+// (e.g. 'gmail'); otherwise EMAIL_HOST/EMAIL_PORT are used, which can point at
+// a local SMTP stand-in such as Mailpit during development.
 const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS
-  },
+  ...(emailConfig.service
+    ? { service: emailConfig.service }
+    : { host: emailConfig.host, port: emailConfig.port, secure: emailConfig.secure }),
+  // Local SMTP stand-ins usually don't need credentials
+  auth: emailConfig.auth.user ? emailConfig.auth : undefined,
   logger: false, // Disable logging
   debug: false, // Disable SMTP traffic in the logs
   tls: {
@@ -34,8 +36,9 @@ transporter.verify(function(error, success) {
  * @param {string} subject - Email subject
  * @param {string} html - HTML content
  * @param {string} text - Plain text content
+ * @param {object} [headers] - Extra headers, e.g. List-Unsubscribe
  */
-const sendEmail = async ({ to, subject, html, text }) => {
+const sendEmail = async ({ to, subject, html, text, headers }) => {
   console.log('Attempting to send email...');
   console.log('From:', emailConfig.from);
   console.log('To:', to);
@@ -55,7 +58,8 @@ const sendEmail = async ({ to, subject, html, text }) => {
       to,
       subject,
       text: text || '',
-      html: html || ''
+      html: html || '',
+      headers
     };
 
     console.log('Mail options:', JSON.stringify(mailOptions, null, 2));
@@ -93,7 +97,46 @@ const sendVerificationEmail = async (email, token, baseUrl) => {
   });
 };
 
+/**
+ * Send a notification email
+ * @param {string} email - Recipient email address
+ * @param {object} content - { title, body } describing the notification
+ * @param {string} url - Link to the relevant page in the app
+ */
+const sendNotificationEmail = async (email, { title, body }, url) => {
+  const template = templates.notification({ title, body, url });
+
+  return sendEmail({
+    to: email,
+    subject: template.subject,
+    html: template.html,
+    text: template.text
+  });
+};
+
+/**
+ * Send an activity digest email with one-click unsubscribe headers (RFC 8058)
+ * @param {string} email - Recipient email address
+ * @param {object} digest - { frequency, items, appUrl, unsubscribeUrl } for templates.digest
+ */
+const sendDigestEmail = async (email, digest) => {
+  const template = templates.digest(digest);
+
+  return sendEmail({
+    to: email,
+    subject: template.subject,
+    html: template.html,
+    text: template.text,
+    headers: {
+      'List-Unsubscribe': `<${digest.unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  });
+};
+
 module.exports = {
   sendEmail,
-  sendVerificationEmail
+  sendVerificationEmail,
+  sendNotificationEmail,
+  sendDigestEmail
 };
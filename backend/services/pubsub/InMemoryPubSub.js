@@ -0,0 +1,34 @@
+/**
+ * Pub/sub for a single process: published messages go straight to the
+ * local subscriber. Use PostgresPubSub when running more than one instance.
+ */
+class InMemoryPubSub {
+  constructor() {
+    this.name = 'memory';
+    this.handler = null;
+  }
+
+  async start() {}
+
+  /**
+   * @param {function(object): void} handler - Called with every published message.
+   */
+  subscribe(handler) {
+    this.handler = handler;
+  }
+
+  /**
+   * @param {object} message - Any JSON-serialisable object.
+   */
+  async publish(message) {
+    if (this.handler) {
+      this.handler(message);
+    }
+  }
+
+  async close() {
+    this.handler = null;
+  }
+}
+
+module.exports = InMemoryPubSub;
@@ -0,0 +1,160 @@
+const pool = require('../../config/db');
+
+const DEFAULT_CHANNEL = 'ws_fanout';
+// NOTIFY payloads must stay under 8000 bytes; larger messages go through
+// ws_fanout_payloads and only their id is notified
+const MAX_NOTIFY_BYTES = 7500;
+const PAYLOAD_TTL_MINUTES = 5;
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+const MAX_RECONNECT_DELAY_MS = 30 * 1000;
+
+/**
+ * Pub/sub across instances using Postgres LISTEN/NOTIFY. Every instance
+ * (including the publisher) receives every message, in publish order per
+ * publisher. One pooled client is held for LISTEN and reconnected with
+ * backoff if it drops; messages published meanwhile are missed.
+ */
+class PostgresPubSub {
+  constructor({ channel = DEFAULT_CHANNEL, db = pool } = {}) {
+    this.name = 'postgres';
+    this.channel = channel;
+    this.db = db;
+    this.handler = null;
+    this.listener = null;
+    this.closed = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.cleanupTimer = null;
+    // Notifications are handled one at a time so large ones, which need a
+    // lookup, don't overtake the ones published after them
+    this.queue = Promise.resolve();
+  }
+
+  async start() {
+    this.closed = false;
+    try {
+      await this.listen();
+    } catch (err) {
+      console.error('Failed to start WebSocket fan-out listener:', err);
+      this.scheduleReconnect();
+    }
+    if (!this.cleanupTimer) {
+      this.cleanupTimer = setInterval(() => {
+        this.deleteExpiredPayloads().catch(err => console.error('Failed to clean up WebSocket fan-out payloads:', err));
+      }, CLEANUP_INTERVAL_MS);
+      this.cleanupTimer.unref();
+    }
+  }
+
+  async listen() {
+    const client = await this.db.connect();
+    client.on('notification', (notification) => {
+      if (notification.channel === this.channel) {
+        this.queue = this.queue
+          .then(() => this.receive(notification.payload))
+          .catch(err => console.error('Failed to handle WebSocket fan-out notification:', err));
+      }
+    });
+    client.on('error', (err) => {
+      console.error('WebSocket fan-out listener connection lost:', err);
+      this.dropListener(client, err);
+      this.scheduleReconnect();
+    });
+    try {
+      await client.query(`LISTEN ${this.channel}`);
+    } catch (err) {
+      client.release(err);
+      throw err;
+    }
+    this.listener = client;
+    this.reconnectAttempts = 0;
+  }
+
+  dropListener(client, err) {
+    if (this.listener === client) {
+      this.listener = null;
+      client.release(err);
+    }
+  }
+
+  scheduleReconnect() {
+    if (this.closed || this.reconnectTimer) {
+      return;
+    }
+    const delay = Math.min(1000 * 2 ** this.reconnectAttempts, MAX_RECONNECT_DELAY_MS);
+    this.reconnectAttempts++;
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      try {
+        await this.listen();
+        console.log('WebSocket fan-out listener reconnected');
+      } catch (err) {
+        console.error('Failed to reconnect WebSocket fan-out listener:', err);
+        this.scheduleReconnect();
+      }
+    }, delay);
+  }
+
+  /**
+   * @param {function(object): void} handler - Called with every published message.
+   */
+  subscribe(handler) {
+    this.handler = handler;
+  }
+
+  /**
+   * @param {object} message - Any JSON-serialisable object.
+   */
+  async publish(message) {
+    let payload = JSON.stringify(message);
+    if (Buffer.byteLength(payload) > MAX_NOTIFY_BYTES) {
+      const result = await this.db.query(
+        'INSERT INTO ws_fanout_payloads (payload) VALUES ($1) RETURNING id',
+        [payload]
+      );
+      payload = JSON.stringify({ ref: result.rows[0].id });
+    }
+    await this.db.query('SELECT pg_notify($1, $2)', [this.channel, payload]);
+  }
+
+  async receive(payload) {
+    let message = JSON.parse(payload);
+    if (message.ref !== undefined) {
+      const result = await this.db.query('SELECT payload FROM ws_fanout_payloads WHERE id = $1', [message.ref]);
+      if (!result.rows[0]) {
+        return;
+      }
+      message = result.rows[0].payload;
+    }
+    if (this.handler) {
+      this.handler(message);
+    }
+  }
+
+  async deleteExpiredPayloads() {
+    await this.db.query(
+      `DELETE FROM ws_fanout_payloads WHERE created_at < NOW() - make_interval(mins => $1)`,
+      [PAYLOAD_TTL_MINUTES]
+    );
+  }
+
+  async close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.cleanupTimer);
+    this.reconnectTimer = null;
+    this.cleanupTimer = null;
+    if (this.listener) {
+      const client = this.listener;
+      this.listener = null;
+      try {
+        await client.query(`UNLISTEN ${this.channel}`);
+      } finally {
+        client.release();
+      }
+    }
+    this.handler = null;
+  }
+}
+
+module.exports = PostgresPubSub;
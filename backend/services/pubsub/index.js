@@ -0,0 +1,23 @@
+const InMemoryPubSub = require('./InMemoryPubSub');
+const PostgresPubSub = require('./PostgresPubSub');
+
+const ADAPTERS = {
+  memory: InMemoryPubSub,
+  postgres: PostgresPubSub
+};
+
+/**
+ * Creates the pub/sub adapter WebSocketController uses to reach sockets on
+ * every instance.
+ * @param {string} [adapter='memory'] - 'memory' or 'postgres'.
+ * @returns {InMemoryPubSub|PostgresPubSub}
+ */
+const createPubSub = (adapter = 'memory') => {
+  const PubSub = ADAPTERS[adapter];
+  if (!PubSub) {
+    throw new Error(`Unknown WebSocket pub/sub adapter '${adapter}'. Use one of: ${Object.keys(ADAPTERS).join(', ')}.`);
+  }
+  return new PubSub();
+};
+
+module.exports = { createPubSub, InMemoryPubSub, PostgresPubSub };
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Stores files under a local directory. Keys are generated by the caller
+ * and must be plain names (no path separators). The directory must not be
+ * served statically; downloads go through access-checked routes.
+ */
+class LocalDiskStorage {
+  constructor({ root }) {
+    this.name = 'local';
+    this.root = root;
+  }
+
+  resolve(key) {
+    if (!/^[A-Za-z0-9_-]+$/.test(key)) {
+      throw new Error(`Invalid storage key '${key}'`);
+    }
+    return path.join(this.root, key);
+  }
+
+  async save(key, buffer) {
+    await fs.promises.mkdir(this.root, { recursive: true });
+    await fs.promises.writeFile(this.resolve(key), buffer, { flag: 'wx' });
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  // Removing a file that is already gone is not an error
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = LocalDiskStorage;
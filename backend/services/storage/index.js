@@ -0,0 +1,21 @@
+const LocalDiskStorage = require('./LocalDiskStorage');
+
+const ADAPTERS = {
+  local: LocalDiskStorage
+};
+
+/**
+ * Creates the storage adapter chat attachments are kept in.
+ * @param {string} [adapter='local'] - Currently only 'local'.
+ * @param {object} [options] - Passed to the adapter, e.g. { root } for 'local'.
+ * @returns {LocalDiskStorage}
+ */
+const createStorage = (adapter = 'local', options = {}) => {
+  const Storage = ADAPTERS[adapter];
+  if (!Storage) {
+    throw new Error(`Unknown attachment storage adapter '${adapter}'. Use one of: ${Object.keys(ADAPTERS).join(', ')}.`);
+  }
+  return new Storage(options);
+};
+
+module.exports = { createStorage, LocalDiskStorage };
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const { JWT_SECRET } = require('../config/env');
+const ApiError = require('./ApiError');
+
+// Page cursors hold sort positions (scores, activity times) that clients must
+// neither read nor forge, so they are sealed with AES-256-GCM
+const KEY = crypto.createHash('sha256').update(`${JWT_SECRET}:cursor`).digest();
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+/**
+ * Turns a cursor payload into an opaque string.
+ * @param {object} payload - Any JSON-serialisable value.
+ * @returns {string} base64url
+ */
+const sealCursor = (payload) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+};
+
+/**
+ * Reads back a cursor made by sealCursor.
+ * @param {string} cursor
+ * @returns {*} The payload.
+ * @throws {ApiError} 400 for a cursor that wasn't issued by this server.
+ */
+const openCursor = (cursor) => {
+  try {
+    const sealed = Buffer.from(String(cursor), 'base64url');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', KEY, sealed.subarray(0, IV_BYTES));
+    decipher.setAuthTag(sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+    const decrypted = Buffer.concat([decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+    return JSON.parse(decrypted.toString('utf8'));
+  } catch (error) {
+    throw new ApiError(400, 'Invalid cursor');
+  }
+};
+
+module.exports = { sealCursor, openCursor };
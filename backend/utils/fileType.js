@@ -0,0 +1,220 @@
+// Identifies uploads by their leading bytes and reads the metadata chat
+// needs (image dimensions, audio/video duration) without external tools.
+
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+// Header values are whatever the uploader wrote, so anything that doesn't fit
+// the message_attachments columns (INTEGER, NUMERIC(10, 3)) counts as unknown
+const MAX_DIMENSION = 2147483647;
+const MAX_DURATION_SECONDS = 9999999.999;
+
+// ISO base media files (MP4, QuickTime, HEIF...) by their major brand. HEIF
+// images share the container with video, so unlisted brands stay unknown
+const FTYP_BRANDS = {
+  'isom': 'video/mp4',
+  'iso2': 'video/mp4',
+  'iso4': 'video/mp4',
+  'iso5': 'video/mp4',
+  'iso6': 'video/mp4',
+  'mp41': 'video/mp4',
+  'mp42': 'video/mp4',
+  'avc1': 'video/mp4',
+  'dash': 'video/mp4',
+  'M4V ': 'video/mp4',
+  'M4VH': 'video/mp4',
+  'M4VP': 'video/mp4',
+  'M4A ': 'audio/mp4',
+  'M4B ': 'audio/mp4',
+  'qt  ': 'video/quicktime',
+  'heic': 'image/heic',
+  'heix': 'image/heic',
+  'heim': 'image/heic',
+  'heis': 'image/heic',
+  'hevc': 'image/heic-sequence',
+  'hevx': 'image/heic-sequence',
+  'mif1': 'image/heif',
+  'msf1': 'image/heif-sequence'
+};
+
+/**
+ * Works out a file's MIME type from its magic bytes. The extension and the
+ * client's declared type are not trusted; the declared type is only used to
+ * tell audio from video in containers that hold either (WebM).
+ * @param {Buffer} buffer - The file contents.
+ * @param {string} [declaredMime] - The Content-Type the client sent.
+ * @returns {string|null} The detected MIME type, or null if unrecognised.
+ */
+const detectMimeType = (buffer, declaredMime = '') => {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+    return 'image/jpeg';
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+    return 'image/png';
+  }
+  if (ascii(buffer, 0, 6) === 'GIF87a' || ascii(buffer, 0, 6) === 'GIF89a') {
+    return 'image/gif';
+  }
+  if (ascii(buffer, 0, 4) === 'RIFF') {
+    const format = ascii(buffer, 8, 12);
+    if (format === 'WEBP') return 'image/webp';
+    if (format === 'WAVE') return 'audio/wav';
+    return null;
+  }
+  if (ascii(buffer, 4, 8) === 'ftyp') {
+    return FTYP_BRANDS[ascii(buffer, 8, 12)] || null;
+  }
+  if (buffer[0] === 0x1A && buffer[1] === 0x45 && buffer[2] === 0xDF && buffer[3] === 0xA3) {
+    return declaredMime.startsWith('audio/') ? 'audio/webm' : 'video/webm';
+  }
+  if (ascii(buffer, 0, 4) === 'OggS') {
+    return 'audio/ogg';
+  }
+  if (ascii(buffer, 0, 3) === 'ID3' || (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0)) {
+    return 'audio/mpeg';
+  }
+  if (ascii(buffer, 0, 5) === '%PDF-') {
+    return 'application/pdf';
+  }
+  return null;
+};
+
+const jpegDimensions = (buffer) => {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xFF) {
+      return null;
+    }
+    const marker = buffer[offset + 1];
+    // SOF0-SOF15 hold the frame size; C4 (DHT), C8 (JPG) and CC (DAC) don't
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+};
+
+const webpDimensions = (buffer) => {
+  const chunk = ascii(buffer, 12, 16);
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+  }
+  if (chunk === 'VP8L' && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+  }
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+};
+
+// RIFF chunks after the 12-byte header: duration is data size / byte rate
+const wavDuration = (buffer) => {
+  let byteRate = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = ascii(buffer, offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (id === 'fmt ' && offset + 16 <= buffer.length) {
+      byteRate = buffer.readUInt32LE(offset + 16);
+    } else if (id === 'data') {
+      return byteRate ? size / byteRate : null;
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+};
+
+// MP4/QuickTime: the movie header box (moov > mvhd) has timescale and duration
+const mp4Duration = (buffer, start = 0, end = buffer.length) => {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = ascii(buffer, offset + 4, offset + 8);
+    let header = 8;
+    if (size === 1 && offset + 16 <= end) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header) {
+      return null;
+    }
+    if (type === 'moov') {
+      return mp4Duration(buffer, offset + header, Math.min(offset + size, end));
+    }
+    if (type === 'mvhd') {
+      const content = offset + header;
+      const version = buffer[content];
+      const timescale = version === 1 ? buffer.readUInt32BE(content + 20) : buffer.readUInt32BE(content + 12);
+      const duration = version === 1 ? Number(buffer.readBigUInt64BE(content + 24)) : buffer.readUInt32BE(content + 16);
+      return timescale ? duration / timescale : null;
+    }
+    offset += size;
+  }
+  return null;
+};
+
+/**
+ * Reads the metadata a chat client needs to lay out an attachment before
+ * downloading it. Fields that can't be read for the format are null.
+ * @param {Buffer} buffer - The file contents.
+ * @param {string} mimeType - As returned by detectMimeType.
+ * @returns {{width: number|null, height: number|null, durationSeconds: number|null}}
+ */
+const readMediaMetadata = (buffer, mimeType) => {
+  let dimensions = null;
+  let durationSeconds = null;
+  try {
+    switch (mimeType) {
+      case 'image/png':
+        dimensions = { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+        break;
+      case 'image/gif':
+        dimensions = { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+        break;
+      case 'image/jpeg':
+        dimensions = jpegDimensions(buffer);
+        break;
+      case 'image/webp':
+        dimensions = webpDimensions(buffer);
+        break;
+      case 'audio/wav':
+        durationSeconds = wavDuration(buffer);
+        break;
+      case 'audio/mp4':
+      case 'video/mp4':
+      case 'video/quicktime':
+        durationSeconds = mp4Duration(buffer);
+        break;
+      default:
+        break;
+    }
+  } catch (error) {
+    // Truncated or malformed headers (RangeError); the file is still usable
+  }
+  if (dimensions && !(dimensions.width <= MAX_DIMENSION && dimensions.height <= MAX_DIMENSION)) {
+    dimensions = null;
+  }
+  if (durationSeconds !== null) {
+    durationSeconds = Math.round(durationSeconds * 1000) / 1000;
+    if (!(durationSeconds >= 0 && durationSeconds <= MAX_DURATION_SECONDS)) {
+      durationSeconds = null;
+    }
+  }
+  return {
+    width: dimensions ? dimensions.width : null,
+    height: dimensions ? dimensions.height : null,
+    durationSeconds
+  };
+};
+
+module.exports = {
+  detectMimeType,
+  readMediaMetadata
+};
@@ -34,8 +34,239 @@ const validateProfile = (data) => {
   return schema.validate(data);
 };
 
+const validatePreferences = (data) => {
+  const schema = Joi.object({
+    min_age: Joi.number().integer().min(18).max(120),
+    max_age: Joi.number().integer().min(18).max(120),
+    genders: Joi.array().items(Joi.string().valid('male', 'female', 'other').insensitive()).unique(),
+    country_ids: Joi.array().items(Joi.number().integer().min(1)).unique(),
+    max_distance_km: Joi.number().integer().min(1).max(20000).allow(null)
+  }).min(1);
+
+  return schema.validate(data);
+};
+
+const validateLocation = (data) => {
+  const schema = Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required(),
+    city: Joi.string().trim().max(100).allow(null, '')
+  });
+
+  return schema.validate(data);
+};
+
+// Either a preset window in days or an explicit from/to date range
+const validateProfileViewsQuery = (query) => {
+  const schema = Joi.object({
+    days: Joi.number().integer().valid(30, 90),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from')),
+    recentLimit: Joi.number().integer().min(1).max(50).default(10)
+  }).and('from', 'to').oxor('days', 'from');
+
+  return schema.validate(query);
+};
+
+const ADVANCED_SEARCH_SORTS = ['recently_active', 'newest', 'youngest', 'oldest'];
+
+const advancedSearchFilters = Joi.object({
+  ageMin: Joi.number().integer().min(18).max(120),
+  ageMax: Joi.number().integer().min(18).max(120)
+    .when('ageMin', { is: Joi.exist(), then: Joi.number().min(Joi.ref('ageMin')) }),
+  genders: Joi.array().items(Joi.string().valid('male', 'female', 'other').insensitive().lowercase()).unique(),
+  countryIds: Joi.array().items(Joi.number().integer().min(1)).unique(),
+  hasPhoto: Joi.boolean(),
+  activeWithinDays: Joi.number().integer().min(1).max(365),
+  emailVerified: Joi.boolean(),
+  bioKeyword: Joi.string().trim().min(2).max(50)
+});
+
+// Query string for GET /api/users/advanced-matches; list filters arrive comma separated
+const validateAdvancedSearch = (query) => {
+  const schema = Joi.object({
+    sort: Joi.string().valid(...ADVANCED_SEARCH_SORTS).default('recently_active'),
+    limit: Joi.number().integer().min(1).max(50).default(20),
+    cursor: Joi.string().max(500)
+  }).concat(advancedSearchFilters);
+
+  const data = { ...query };
+  ['genders', 'countryIds'].forEach((key) => {
+    if (typeof data[key] === 'string') {
+      data[key] = data[key].split(',').map(item => item.trim()).filter(Boolean);
+    }
+  });
+  return schema.validate(data);
+};
+
+const validateSavedSearch = (data, { partial = false } = {}) => {
+  const schema = Joi.object({
+    name: partial ? Joi.string().trim().max(100) : Joi.string().trim().max(100).required(),
+    filters: advancedSearchFilters,
+    sort: Joi.string().valid(...ADVANCED_SEARCH_SORTS),
+    notify: Joi.boolean()
+  }).min(1);
+
+  return schema.validate(data);
+};
+
+// Creating a product requires every field; updates accept any subset
+const validateBoostProduct = (data, { partial = false } = {}) => {
+  const field = (rule) => (partial ? rule : rule.required());
+  const schema = Joi.object({
+    name: field(Joi.string().trim().max(100)),
+    boost_type: field(Joi.string().trim().max(50)),
+    duration_hours: field(Joi.number().integer().min(1).max(720)),
+    multiplier: field(Joi.number().min(1).max(10)),
+    price: field(Joi.number().min(0).precision(2)),
+    currency: Joi.string().trim().uppercase().max(10),
+    allowance_eligible: Joi.boolean(),
+    is_active: partial ? Joi.boolean() : Joi.forbidden()
+  }).min(1);
+
+  return schema.validate(data);
+};
+
+const NOTIFICATION_TYPES = ['like', 'super_like', 'match', 'message', 'gift', 'boost_expired',
+  'subscription_expiring', 'subscription_expired', 'moderation'];
+
+const notificationChannels = Joi.object({
+  in_app: Joi.boolean(),
+  websocket: Joi.boolean(),
+  email: Joi.boolean(),
+  digest: Joi.boolean()
+}).min(1);
+
+// Partial per-type channel changes, e.g. { match: { email: false } }
+const validateNotificationPreferences = (data) => {
+  const schema = Joi.object(
+    Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, notificationChannels]))
+  ).min(1);
+
+  return schema.validate(data);
+};
+
+const isTimeZone = (value, helpers) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return value;
+  } catch (error) {
+    return helpers.error('any.invalid');
+  }
+};
+
+// Quiet hours are whole local hours and must be set (or cleared with null) together
+const validateDigestSettings = (data) => {
+  const schema = Joi.object({
+    frequency: Joi.string().valid('daily', 'weekly', 'off'),
+    quietHoursStart: Joi.number().integer().min(0).max(23).allow(null),
+    quietHoursEnd: Joi.number().integer().min(0).max(23).allow(null),
+    timezone: Joi.string().max(64).custom(isTimeZone, 'IANA time zone')
+  }).and('quietHoursStart', 'quietHoursEnd').min(1);
+
+  return schema.validate(data);
+};
+
+const REPORT_TYPES = ['profile', 'photo', 'message', 'activity'];
+const REPORT_CATEGORIES = ['spam', 'harassment', 'inappropriate_content', 'fake_profile', 'scam', 'underage', 'other'];
+
+// Photos and messages must say which one is reported; activity reports can't point at anything
+const validateReport = (data) => {
+  const schema = Joi.object({
+    type: Joi.string().valid(...REPORT_TYPES).required(),
+    reportedUserId: Joi.number().integer().min(1).required(),
+    contentId: Joi.number().integer().min(1)
+      .when('type', { is: Joi.valid('photo', 'message'), then: Joi.required() })
+      .when('type', { is: 'activity', then: Joi.forbidden() }),
+    category: Joi.string().valid(...REPORT_CATEGORIES).required(),
+    details: Joi.string().trim().max(1000).allow(''),
+    block: Joi.boolean()
+  });
+
+  return schema.validate(data);
+};
+
+const MESSAGE_TYPES = ['text', 'image', 'video', 'audio', 'file', 'location', 'emoji', 'system'];
+const recordId = Joi.number().integer().min(1);
+const messageContent = Joi.string().trim().min(1);
+
+const LIVE_LOCATION_DURATIONS = ['15m', '1h', '8h'];
+const coordinates = {
+  latitude: Joi.number().min(-90).max(90).required(),
+  longitude: Joi.number().min(-180).max(180).required(),
+  accuracy: Joi.number().min(0).max(100000)
+};
+// A shared location; `live` keeps it updatable for that long
+const locationShare = Joi.object({
+  ...coordinates,
+  label: Joi.string().trim().max(100).allow(''),
+  live: Joi.string().valid(...LIVE_LOCATION_DURATIONS)
+});
+
+const validateLocationShare = (data) => locationShare.required().validate(data);
+
+// Payloads of the actions clients send over the WebSocket, by action type
+const SOCKET_ACTION_DATA = {
+  // `content` is an optional caption when sending an attachment or location,
+  // and either of those sets the type, so `messageType` is then dropped
+  SEND_MESSAGE: Joi.object({
+    conversationId: recordId.required(),
+    content: messageContent,
+    messageType: Joi.when('attachmentId', {
+      is: Joi.exist(),
+      then: Joi.any().strip(),
+      otherwise: Joi.when('location', {
+        is: Joi.exist(),
+        then: Joi.any().strip(),
+        // A location message needs the location itself
+        otherwise: Joi.string().valid(...MESSAGE_TYPES.filter(type => type !== 'location'))
+      })
+    }),
+    parentMessageId: recordId,
+    attachmentId: recordId,
+    location: locationShare
+  }).or('content', 'attachmentId', 'location').oxor('attachmentId', 'location'),
+  EDIT_MESSAGE: Joi.object({ messageId: recordId.required(), content: messageContent.required() }),
+  DELETE_MESSAGE: Joi.object({ messageId: recordId.required(), scope: Joi.string().valid('me', 'everyone').default('everyone') }),
+  REACT_MESSAGE: Joi.object({
+    messageId: recordId.required(),
+    emoji: Joi.string().max(10).required(),
+    action: Joi.string().valid('add', 'remove').default('add')
+  }),
+  MARK_DELIVERED: Joi.object({ messageIds: Joi.array().items(recordId).min(1).max(100).required() }),
+  MARK_READ: Joi.object({ conversationId: recordId.required(), messageId: recordId }),
+  TYPING_START: Joi.object({ conversationId: recordId.required() }),
+  TYPING_STOP: Joi.object({ conversationId: recordId.required() }),
+  LOCATION_UPDATE: Joi.object({ messageId: recordId.required(), ...coordinates }),
+  LOCATION_STOP: Joi.object({ messageId: recordId.required() })
+};
+
+// A client action frame: { type, id, data }, where `id` is the client's idempotency id
+const validateSocketAction = (frame) => {
+  const schema = Joi.object({
+    type: Joi.string().valid(...Object.keys(SOCKET_ACTION_DATA)).required(),
+    id: Joi.string().trim().min(1).max(64).required(),
+    data: Joi.any().when('type', {
+      switch: Object.entries(SOCKET_ACTION_DATA).map(([type, data]) => ({ is: type, then: data.required() }))
+    })
+  });
+
+  return schema.validate(frame);
+};
+
 module.exports = {
   validateRegister,
   validateLogin,
-  validateProfile
+  validateProfile,
+  validatePreferences,
+  validateLocation,
+  validateBoostProduct,
+  validateProfileViewsQuery,
+  validateAdvancedSearch,
+  validateSavedSearch,
+  validateNotificationPreferences,
+  validateDigestSettings,
+  validateReport,
+  validateLocationShare,
+  validateSocketAction
 };
\ No newline at end of file
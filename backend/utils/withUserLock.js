@@ -0,0 +1,32 @@
+const pool = require('../config/db');
+const ApiError = require('./ApiError');
+
+/**
+ * Runs `work` inside a DB transaction while holding a lock on the user's row.
+ * Purchases and allowance redemptions go through this lock so two concurrent
+ * requests can't both spend the same balance or the same allowance slot.
+ * @param {number} userId - The user whose row is locked.
+ * @param {function(object): Promise<*>} work - Receives the pg client.
+ * @returns {Promise<*>} Whatever `work` resolves to.
+ * @throws {ApiError} 404 if the user doesn't exist.
+ */
+const withUserLock = async (userId, work) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const userResult = await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    if (userResult.rows.length === 0) {
+      throw new ApiError(404, 'User not found.');
+    }
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = withUserLock;